@@ -0,0 +1,198 @@
+/*
+ * Campaign library.
+ *
+ * A campaign is a saved map under a name of the user's choosing: its map
+ * code (seed and every setting, see mapcode.js), the density field, the
+ * worlds generated so far, the hand edits, any house rules (as a rules
+ * document, see rulesets.js) and the view.  Campaigns are kept in
+ * IndexedDB, falling back to localStorage where IndexedDB is not
+ * available (some browsers disable it for pages opened from disk), and
+ * can be written to and read from JSON files to move them between
+ * machines.  This file has no DOM dependencies; the library panel in
+ * script.js drives it.  Every store operation returns a Promise.
+ */
+
+/** Identifies campaign files; checked when a file is imported. */
+const CAMPAIGN_FILE_FORMAT = 'traveller-mapper-campaigns';
+/** Version of the campaign record and file layout. */
+const CAMPAIGN_VERSION = 1;
+
+const CAMPAIGN_DB_NAME = 'traveller-mapper';
+const CAMPAIGN_STORE_NAME = 'campaigns';
+const CAMPAIGN_STORAGE_KEY = 'traveller-mapper-campaigns';
+
+/**
+ * Make a new campaign id, unique in practice: the time and a random
+ * suffix.
+ * @returns {string}
+ */
+function createCampaignId() {
+    return `${Date.now().toString(36)}-${Math.floor(Math.random() * 0x100000000).toString(36)}`;
+}
+
+/**
+ * Wrap an IndexedDB request in a Promise.
+ * @param {IDBRequest} request
+ * @returns {Promise}
+ */
+function promiseRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Campaign store backed by IndexedDB.
+ * @param {IDBDatabase} db
+ * @returns {object} the store (see openCampaignStore())
+ */
+function createIndexedDbStore(db) {
+    const objectStore = (mode) => db.transaction(CAMPAIGN_STORE_NAME, mode).objectStore(CAMPAIGN_STORE_NAME);
+    return {
+        kind: 'indexedDB',
+        list: () => promiseRequest(objectStore('readonly').getAll()),
+        get: (id) => promiseRequest(objectStore('readonly').get(id)).then((campaign) => campaign || null),
+        put: (campaign) => promiseRequest(objectStore('readwrite').put(campaign)).then(() => campaign),
+        remove: (id) => promiseRequest(objectStore('readwrite').delete(id))
+    };
+}
+
+/**
+ * Campaign store backed by localStorage: every campaign in one JSON
+ * object keyed by id.  localStorage holds only a few megabytes, so a
+ * save that does not fit is rejected with the browser's error.
+ * @param {Storage} storage
+ * @returns {object} the store (see openCampaignStore())
+ */
+function createLocalStorageStore(storage) {
+    const read = () => JSON.parse(storage.getItem(CAMPAIGN_STORAGE_KEY) || '{}');
+    const write = (campaigns) => storage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(campaigns));
+    return {
+        kind: 'localStorage',
+        list: () => Promise.resolve().then(() => Object.values(read())),
+        get: (id) => Promise.resolve().then(() => read()[id] || null),
+        put: (campaign) => Promise.resolve().then(() => {
+            const campaigns = read();
+            campaigns[campaign.id] = campaign;
+            write(campaigns);
+            return campaign;
+        }),
+        remove: (id) => Promise.resolve().then(() => {
+            const campaigns = read();
+            delete campaigns[id];
+            write(campaigns);
+        })
+    };
+}
+
+/**
+ * Open the campaign library.  The store has list(), get(id), put(campaign)
+ * and remove(id); list() resolves to every campaign in no particular
+ * order.
+ * @param {object} [env] – where to look for storage, normally the window
+ * @returns {Promise<object>} the store; rejects if neither IndexedDB nor
+ *   localStorage can be used
+ */
+function openCampaignStore(env = (typeof self !== 'undefined' ? self : {})) {
+    const fallback = () => {
+        try {
+            env.localStorage.getItem(CAMPAIGN_STORAGE_KEY);
+            return createLocalStorageStore(env.localStorage);
+        } catch (error) {
+            throw new Error('This browser does not allow saving data for this page, so campaigns cannot be stored.');
+        }
+    };
+    if (!env.indexedDB) {
+        return Promise.resolve().then(fallback);
+    }
+    return new Promise((resolve, reject) => {
+        const request = env.indexedDB.open(CAMPAIGN_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(CAMPAIGN_STORE_NAME, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(createIndexedDbStore(request.result));
+        request.onerror = () => reject(request.error);
+    }).catch(fallback);
+}
+
+/**
+ * Copy a campaign under a new id and name.
+ * @param {object} campaign
+ * @param {string} name
+ * @returns {object}
+ */
+function duplicateCampaign(campaign, name) {
+    const now = new Date().toISOString();
+    return Object.assign(JSON.parse(JSON.stringify(campaign)), { id: createCampaignId(), name, created: now, modified: now });
+}
+
+/**
+ * Write campaigns to a JSON file.
+ * @param {object[]} campaigns
+ * @returns {string}
+ */
+function serialiseCampaigns(campaigns) {
+    return JSON.stringify({ format: CAMPAIGN_FILE_FORMAT, version: CAMPAIGN_VERSION, campaigns });
+}
+
+/**
+ * Read a file written by serialiseCampaigns().  Every campaign is
+ * checked for the fields the page needs to load it.
+ * @param {string} text
+ * @returns {object[]} the campaigns
+ * @throws {Error} with a message for the user if the file is unusable
+ */
+function parseCampaignFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!data || data.format !== CAMPAIGN_FILE_FORMAT || !Array.isArray(data.campaigns)) {
+        throw new Error('The file is not a Traveller Mapper campaign file.');
+    }
+    if (data.version > CAMPAIGN_VERSION) {
+        throw new Error(`The file is from a newer version of the mapper (campaign format ${data.version}; this page reads ${CAMPAIGN_VERSION}).`);
+    }
+    data.campaigns.forEach((campaign, i) => {
+        const label = campaign && typeof campaign.name === 'string' ? `Campaign "${campaign.name}"` : `Campaign ${i + 1}`;
+        if (!campaign || typeof campaign.name !== 'string') {
+            throw new Error(`${label} has no name.`);
+        }
+        if (typeof campaign.mapCode !== 'string') {
+            throw new Error(`${label} has no map code.`);
+        }
+        if (!Array.isArray(campaign.cellIntensities)) {
+            throw new Error(`${label} has no density field.`);
+        }
+        if (!Array.isArray(campaign.worlds) || !Array.isArray(campaign.overrides)) {
+            throw new Error(`${label} is missing its worlds or edits.`);
+        }
+    });
+    return data.campaigns;
+}
+
+// Expose the library in the browser and through CommonJS in Node.js,
+// mirroring worldgen.js.
+if (typeof self !== 'undefined') {
+    self.CAMPAIGN_VERSION = CAMPAIGN_VERSION;
+    self.createCampaignId = createCampaignId;
+    self.openCampaignStore = openCampaignStore;
+    self.duplicateCampaign = duplicateCampaign;
+    self.serialiseCampaigns = serialiseCampaigns;
+    self.parseCampaignFile = parseCampaignFile;
+}
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = {
+        CAMPAIGN_FILE_FORMAT,
+        CAMPAIGN_VERSION,
+        createCampaignId,
+        openCampaignStore,
+        createLocalStorageStore,
+        duplicateCampaign,
+        serialiseCampaigns,
+        parseCampaignFile
+    };
+}
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/*
+ * Command line sector generation.
+ *
+ *   traveller-mapper generate [--seed <map code>] [--format t5-tab]
+ *                             [--out sector.tab] [--edits <hex edits>]
+ *                             [--names names.txt] [--rules rules.json]
+ *
+ * Builds the map for a map code with the same engine the page uses
+ * (engine.js), so the output is identical to the page's export for the
+ * same code.  Old seed strings and bare numeric seeds are accepted as on
+ * the page; without --seed a random map is made and its code reported.
+ * Formats: t5-tab and t5-column (the sector shown in the code's map
+ * mode, as the page's T5 export) and json (the whole map as a map
+ * document, see mapdocument.js).  A house rules file (see rulesets.js)
+ * rolls the worlds with those rules.  Messages go to standard error so
+ * the output can be piped.
+ */
+
+const fs = require('fs');
+const { readMapCode, encodeMapCode, decodeWorldEdits, houseRulesChecksum } = require('./mapcode.js');
+const { parseNameList } = require('./names.js');
+const { DEFAULT_RULESET_ID, HOUSE_RULESET_ID, parseRulesDocument } = require('./rulesets.js');
+const { MAP_LAYOUT, mapModeArea, formatT5Rows, completeMapSettings, generateMapFromSettings } = require('./engine.js');
+
+const USAGE = `Usage: traveller-mapper generate [options]
+
+Options:
+  --seed <code>      map code, old seed string or number (default: random)
+  --format <format>  t5-tab (default), t5-column or json
+  --out <file>       write to a file instead of standard output
+  --edits <edits>    hex edits, as in the "edits" part of a permalink
+  --names <file>     name list for maps named from an uploaded list
+  --rules <file>     house rules file to roll the worlds with
+  --help             show this help`;
+
+const FORMATS = ['t5-tab', 't5-column', 'json'];
+
+/**
+ * Read the command line into options.
+ * @param {string[]} args – arguments after the command name
+ * @returns {object}
+ * @throws {Error} with a message for the user on a bad option
+ */
+function parseArguments(args) {
+    const options = { command: null, seed: null, format: 't5-tab', out: null, edits: '', names: null, rules: null, help: false };
+    const valueOptions = { '--seed': 'seed', '--format': 'format', '--out': 'out', '--edits': 'edits', '--names': 'names', '--rules': 'rules' };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (valueOptions[arg]) {
+            if (i + 1 >= args.length) {
+                throw new Error(`${arg} needs a value.`);
+            }
+            options[valueOptions[arg]] = args[++i];
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}.`);
+        } else if (options.command === null) {
+            options.command = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}".`);
+        }
+    }
+    if (!options.help && options.command !== 'generate') {
+        throw new Error(options.command === null ? 'No command given.' : `Unknown command "${options.command}".`);
+    }
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (expected ${FORMATS.join(', ')}).`);
+    }
+    return options;
+}
+
+/**
+ * Generate the map and format it.
+ * @param {object} options – from parseArguments()
+ * @param {function(string)} warn – reports notes for the user
+ * @returns {string} the file contents
+ * @throws {Error} with a message for the user if the input is unusable
+ */
+function generate(options, warn) {
+    const cellCount = MAP_LAYOUT.cols * MAP_LAYOUT.rows;
+    let settings;
+    // Report the code of the map made whenever it is not the one given
+    let reportCode = false;
+    if (options.seed === null) {
+        settings = completeMapSettings({ seed: Math.floor(Math.random() * 0xFFFFFFFF) });
+        reportCode = true;
+    } else {
+        const result = readMapCode(options.seed, cellCount);
+        settings = completeMapSettings(result.settings);
+        if (result.legacy) {
+            warn('Old seed string converted to a map code.');
+            reportCode = true;
+        }
+    }
+    if (settings.densityImage) {
+        warn('This map was made with a density image, which the command line cannot load; the simulated field is used instead.');
+        settings.densityImage = null;
+        reportCode = true;
+    }
+    let customNames = [];
+    if (options.names !== null) {
+        try {
+            customNames = parseNameList(fs.readFileSync(options.names, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read the name list ${options.names}: ${error.message}`);
+        }
+    } else if (settings.nameSource === 'list' || settings.nameSource === 'markovList') {
+        warn('This map names its worlds from an uploaded list; give the list with --names, or the names fall back to syllables.');
+    }
+    let houseRules = null;
+    if (options.rules !== null) {
+        try {
+            houseRules = parseRulesDocument(fs.readFileSync(options.rules, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read the house rules ${options.rules}: ${error.message}`);
+        }
+        const checksum = houseRulesChecksum(houseRules);
+        if (settings.ruleset === HOUSE_RULESET_ID && settings.houseRulesChecksum !== checksum) {
+            warn('This map was made with different house rules from the ones given.');
+        }
+        // The code changes unless it already names these rules
+        reportCode = reportCode || settings.ruleset !== HOUSE_RULESET_ID || settings.houseRulesChecksum !== checksum;
+        settings.ruleset = HOUSE_RULESET_ID;
+        settings.houseRulesChecksum = checksum;
+    } else if (settings.ruleset === HOUSE_RULESET_ID) {
+        warn('This map was made with house rules; give the rules file with --rules, or the worlds follow the default ruleset.');
+        settings.ruleset = DEFAULT_RULESET_ID;
+        delete settings.houseRulesChecksum;
+        reportCode = true;
+    }
+    if (reportCode) {
+        warn(`Map code: ${encodeMapCode(settings)}`);
+    }
+    const model = generateMapFromSettings(settings, {
+        customNames,
+        houseRules,
+        overrides: decodeWorldEdits(options.edits, cellCount)
+    });
+    if (options.format === 'json') {
+        return JSON.stringify(model.toMapDocument());
+    }
+    const area = mapModeArea(settings.mapMode);
+    const rows = model.buildT5Rows(area.firstCol, area.firstRow, area.nCols, area.nRows);
+    return formatT5Rows(rows, options.format === 't5-column' ? 'column' : 'tab');
+}
+
+/**
+ * Run the command line.
+ * @param {string[]} args – arguments after the command name
+ * @returns {number} the exit code
+ */
+function main(args) {
+    const warn = (message) => process.stderr.write(`${message}\n`);
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        warn(`traveller-mapper: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    try {
+        const content = generate(options, warn);
+        if (options.out === null) {
+            process.stdout.write(content);
+        } else {
+            fs.writeFileSync(options.out, content);
+        }
+    } catch (error) {
+        warn(`traveller-mapper: ${error.message}`);
+        return 1;
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArguments, generate, main };
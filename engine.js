@@ -0,0 +1,778 @@
+/*
+ * Map engine.
+ *
+ * Everything that turns a map code into worlds and files, free of the
+ * DOM: the density field, its quantisation into levels, world presence,
+ * worlds and names, polities and routes, the T5 and JSON exports, and
+ * checks of the worlds against the rules.  The page (script.js) and the
+ * command line (cli.js) both work through a map model from
+ * createMapModel(), so the same map code gives the same worlds in
+ * either.  The page's model reads its live state; the command
+ * line's reads a map built by generateMapFromSettings().
+ */
+
+// In Node.js pull in the helpers that the browser loads as separate scripts
+const engineHelpers = (typeof module !== 'undefined' && typeof module.exports !== 'undefined')
+    ? Object.assign({}, require('./rulesets.js'), require('./worldgen.js'), require('./generators.js'), require('./simulation.js'),
+        require('./names.js'), require('./routes.js'), require('./polities.js'), require('./mapcode.js'),
+        require('./mapdocument.js'), require('./worldcheck.js'))
+    : self;
+
+/**
+ * Size of the map: subsectors of 8 × 10 hexes, 8 × 8 subsectors (a 2 × 2
+ * block of sectors) in all.  Hexes are numbered row by row across the
+ * whole map (the global cell index, row × cols + col).
+ */
+const MAP_LAYOUT = { subCols: 8, subRows: 10, subsectorCols: 8, subsectorRows: 8, cols: 64, rows: 80 };
+
+/** Sector labels used in exports, indexed by sectorY * 2 + sectorX. */
+const MAP_SECTOR_LABELS = ['SECA', 'SECB', 'SECC', 'SECD'];
+
+/**
+ * Areas the density simulation can run over continuously, and the areas
+ * intensities can be normalised over, in subsectors across and down.
+ * 'subsector' tiles the map with independent simulations; the larger
+ * areas let filaments cross subsector (and sector) lines.
+ */
+const SIMULATION_AREA_SIZES = {
+    subsector: { cols: 1, rows: 1 },
+    sector: { cols: 4, rows: 4 },
+    vastness: { cols: MAP_LAYOUT.subsectorCols, rows: MAP_LAYOUT.subsectorRows }
+};
+const NORMALISATION_AREA_SIZES = {
+    subsector: { cols: 1, rows: 1 },
+    sector: { cols: 4, rows: 4 },
+    global: { cols: MAP_LAYOUT.subsectorCols, rows: MAP_LAYOUT.subsectorRows }
+};
+
+/**
+ * World names draw from the map seed salted with this, so changing the
+ * name source never changes the worlds; polities use their own salt for
+ * the same reason.
+ */
+const NAME_SEED_SALT = 0x4e414d45;
+const POLITY_SEED_SALT = 0x504f4c59;
+
+/**
+ * Hexes exported in each map mode: one sector, or the whole map.
+ * @param {string} mapMode – 'single' or 'vastness'
+ * @returns {{firstCol: number, firstRow: number, nCols: number, nRows: number}}
+ */
+function mapModeArea(mapMode) {
+    const subsectors = mapMode === 'vastness' ? MAP_LAYOUT.subsectorCols : 4;
+    const subsectorRows = mapMode === 'vastness' ? MAP_LAYOUT.subsectorRows : 4;
+    return { firstCol: 0, firstRow: 0, nCols: MAP_LAYOUT.subCols * subsectors, nRows: MAP_LAYOUT.subRows * subsectorRows };
+}
+
+/**
+ * Convert a Traveller world object into an 8‑character UWP code.  Uses
+ * eHex notation for numeric fields (0–33, see toEHex() in worldgen.js).
+ * Starport letter appears first followed by size, atmosphere,
+ * hydrographics, population, government, law and tech level; an
+ * asterisk marks a gas giant.
+ * @param {object} world
+ * @returns {string}
+ */
+function worldToUWP(world) {
+    const toEHex = engineHelpers.toEHex;
+    let uwp = `${world.starport}${toEHex(world.size)}${toEHex(world.atmosphere)}${toEHex(world.hydrographics)}${toEHex(world.population)}${toEHex(world.government)}${toEHex(world.law)}${toEHex(world.techLevel)}`;
+    if (world.gasGiant) {
+        uwp += '*';
+    }
+    return uwp;
+}
+
+/**
+ * UWP as written in T5 files, with the dash before the tech level and
+ * no gas giant marker.
+ * @param {object} world
+ * @returns {string}
+ */
+function formatUwpForExport(world) {
+    const baseUwp = worldToUWP(world).replace(/\*$/, '');
+    if (baseUwp.length < 8) {
+        return baseUwp;
+    }
+    return `${baseUwp.slice(0, 7)}-${baseUwp.slice(7)}`;
+}
+
+/**
+ * Format the T5 PBG code: population multiplier, planetoid belts and
+ * gas giants.  Worlds without a generated system (e.g. imported
+ * without a PBG) fall back to a multiplier of 1 for populated
+ * worlds and the gas giant flag.
+ * @param {object} world
+ * @returns {string}
+ */
+function formatPbg(world) {
+    const system = world.system;
+    if (!system) {
+        return `${world.population > 0 ? 1 : 0}0${world.gasGiant ? 1 : 0}`;
+    }
+    return `${system.populationMultiplier}${system.belts}${system.gasGiants}`;
+}
+
+/**
+ * Write rows from buildT5Rows() as a T5 sector file.
+ * @param {string[][]} rows
+ * @param {string} format – 'tab' or 'column'
+ * @returns {string}
+ */
+function formatT5Rows(rows, format) {
+    const header = ['Hex', 'Name', 'UWP', 'Remarks', '{Ix}', '(Ex)', '[Cx]', 'N', 'B', 'Z', 'PBG', 'W', 'A', 'Stellar', 'Sector', 'SS'];
+    if (format === 'column') {
+        // Each column is as wide as its longest value, as in T5 files
+        const widths = header.map((label, index) => rows.reduce(
+            (width, row) => Math.max(width, String(row[index]).length), label.length));
+        const formatRow = (columns) => columns
+            .map((value, index) => String(value).padEnd(widths[index] || 0))
+            .join(' ')
+            .trimEnd();
+        const separator = widths
+            .map((width) => '-'.repeat(Math.max(1, width)))
+            .join(' ')
+            .trimEnd();
+        return [formatRow(header), separator, ...rows.map(formatRow)].join('\r\n');
+    }
+    return [header.join('\t'), ...rows.map((row) => row.join('\t'))].join('\r\n');
+}
+
+/**
+ * The density simulation request for a map: what simulateRegions() (or
+ * the worker running it) needs.
+ * @param {object} settings – as returned by readMapCode()
+ * @returns {{seed: number, params: object, layout: object}}
+ */
+function createSimulationRequest(settings) {
+    const area = SIMULATION_AREA_SIZES[settings.simulationArea];
+    return {
+        seed: settings.seed,
+        params: Object.assign({}, engineHelpers.SIMULATION_DEFAULTS, settings.simulationParams, {
+            scale: settings.scale,
+            generators: settings.generators
+        }),
+        layout: {
+            subCols: MAP_LAYOUT.subCols,
+            subRows: MAP_LAYOUT.subRows,
+            subsectorCols: MAP_LAYOUT.subsectorCols,
+            subsectorRows: MAP_LAYOUT.subsectorRows,
+            regionCols: area.cols,
+            regionRows: area.rows
+        }
+    };
+}
+
+/**
+ * Copy a simulated region into the global density field.
+ * @param {number[]} field – one intensity per global cell
+ * @param {number} sx – first subsector column of the region
+ * @param {number} sy – first subsector row of the region
+ * @param {number} nCols – hexes across the region
+ * @param {number} nRows – hexes down the region
+ * @param {ArrayLike<number>} regionIntensities
+ */
+function storeRegion(field, sx, sy, nCols, nRows, regionIntensities) {
+    for (let r = 0; r < nRows; r++) {
+        for (let c = 0; c < nCols; c++) {
+            const globalRow = sy * MAP_LAYOUT.subRows + r;
+            const globalCol = sx * MAP_LAYOUT.subCols + c;
+            field[globalRow * MAP_LAYOUT.cols + globalCol] = regionIntensities[r * nCols + c];
+        }
+    }
+}
+
+/**
+ * Blend an imported density image into a simulated field: the field is
+ * scaled to 0–1 by its brightest hex and mixed with the image by
+ * `weight`.  Normalisation, saturation and the presence threshold then
+ * apply as usual.
+ * @param {number[]} field
+ * @param {ArrayLike<number>} image – one brightness (0–1) per global cell
+ * @param {number} weight – share of the image, 0–1
+ * @returns {number[]} the blended field
+ */
+function blendDensityImage(field, image, weight) {
+    const max = Math.max(...field);
+    return field.map((value, index) => (
+        (1 - weight) * (max > 0 ? value / max : 0) + weight * image[index]
+    ));
+}
+
+/**
+ * Build the density field for a map in one go, as the page does when
+ * web workers are unavailable.
+ * @param {object} settings – as returned by readMapCode()
+ * @param {ArrayLike<number>|null} [densityImage] – needed when the settings
+ *   name one
+ * @param {function(number)} [onProgress] – called with the share done
+ * @returns {number[]} one intensity per global cell
+ */
+function generateDensityField(settings, densityImage = null, onProgress) {
+    if (densityImage && settings.densityImage && settings.densityImage.mode === 'replace') {
+        return Array.from(densityImage);
+    }
+    const field = new Array(MAP_LAYOUT.cols * MAP_LAYOUT.rows).fill(0);
+    const request = createSimulationRequest(settings);
+    engineHelpers.simulateRegions(request.seed, request.params, request.layout, (sx, sy, nCols, nRows, intensities) => {
+        storeRegion(field, sx, sy, nCols, nRows, intensities);
+    }, onProgress);
+    if (densityImage && settings.densityImage) {
+        return blendDensityImage(field, densityImage, settings.densityImage.weight);
+    }
+    return field;
+}
+
+/**
+ * Create a map model: the engine's view of one map.  The source is read
+ * afresh on every call, so the page can pass getters over its own state
+ * and keep changing it.  Its fields:
+ *   seed, levels, saturate, threshold, normalisation, mapMode,
+ *   displayMode, routeJump, nameSource, ruleset – as in the map code
+ *     settings;
+ *   houseRules – the house ruleset (see rulesets.js), or null;
+ *   cellIntensities – the density field, one number per global cell;
+ *   densityMask – painted density, hundredths per global cell;
+ *   densityImage – the imported image per global cell, or null;
+ *   customNames, customNameModel – the user's name list and the Markov
+ *     model built from it (null if none);
+ *   worlds – world cache by global cell index, filled as worlds are
+ *     first asked for;
+ *   names – Map caching generated names by global cell index;
+ *   overrides – Map of locked hexes: world, or null for an empty hex;
+ *   settings – every map code setting, for the JSON export.
+ * The methods keep the names the page has always used for them.
+ * @param {object} source
+ * @returns {object}
+ */
+function createMapModel(source) {
+    const { subCols, subRows, subsectorCols, subsectorRows, cols, rows } = MAP_LAYOUT;
+    let builtInNameModel = null;
+
+    /**
+     * Compute the min/max intensity range each subsector is normalised
+     * with, taken over the area chosen in the normalisation setting: the
+     * subsector itself, its sector or the whole 2×2 sector map.  Ranges
+     * never depend on the map mode, so world visibility stays the same
+     * when the map grows from a single sector to a multi-sector layout.
+     * @returns {{minVal: number, maxVal: number}[]} indexed by sy * subsectorCols + sx
+     */
+    function computeSubsectorRanges() {
+        const area = NORMALISATION_AREA_SIZES[source.normalisation];
+        const cellIntensities = source.cellIntensities;
+        const ranges = new Array(subsectorCols * subsectorRows);
+        for (let ay = 0; ay < subsectorRows; ay += area.rows) {
+            for (let ax = 0; ax < subsectorCols; ax += area.cols) {
+                let minVal = Infinity;
+                let maxVal = -Infinity;
+                for (let r = 0; r < subRows * area.rows; r++) {
+                    for (let c = 0; c < subCols * area.cols; c++) {
+                        const globalRow = ay * subRows + r;
+                        const globalCol = ax * subCols + c;
+                        const val = cellIntensities[globalRow * cols + globalCol];
+                        if (val < minVal) minVal = val;
+                        if (val > maxVal) maxVal = val;
+                    }
+                }
+                for (let sy = ay; sy < ay + area.rows; sy++) {
+                    for (let sx = ax; sx < ax + area.cols; sx++) {
+                        ranges[sy * subsectorCols + sx] = { minVal, maxVal };
+                    }
+                }
+            }
+        }
+        return ranges;
+    }
+
+    /**
+     * Quantised density level (zero‑based) of a global cell.
+     * @param {number} index – global cell index
+     * @param {number} globalRow
+     * @param {number} globalCol
+     * @param {number} levels – number of levels
+     * @param {{minVal: number, maxVal: number}[]} subsectorRanges – from computeSubsectorRanges()
+     * @returns {number}
+     */
+    function getCellLevel(index, globalRow, globalCol, levels, subsectorRanges) {
+        const val = source.cellIntensities[index];
+        const sx = Math.floor(globalCol / subCols);
+        const sy = Math.floor(globalRow / subRows);
+        const { minVal, maxVal } = subsectorRanges[sy * subsectorCols + sx];
+        let norm = 0;
+        if (maxVal > minVal) {
+            norm = (val - minVal) / (maxVal - minVal);
+        }
+        // Painted density is added before the saturate bias and quantisation
+        const painted = source.densityMask[index];
+        if (painted !== 0) {
+            norm = Math.min(1, Math.max(0, norm + painted / 100));
+        }
+        const saturate = source.saturate;
+        if (saturate !== 1) {
+            norm = Math.min(1, Math.max(0, Math.pow(norm, 1 / saturate)));
+        }
+        let level = Math.floor(norm * (levels - 1));
+        if (level < 0) level = 0;
+        if (level >= levels) level = levels - 1;
+        return level;
+    }
+
+    /**
+     * Decide whether a world occupies a global cell.  Locked hexes keep
+     * whatever the edit or import said; every other hex is occupied when
+     * its quantised level reaches the presence threshold.
+     * @param {number} index – global cell index
+     * @param {number} level – quantised density level (zero‑based)
+     * @returns {boolean}
+     */
+    function isWorldPresent(index, level) {
+        if (source.overrides.has(index)) {
+            return source.overrides.get(index) !== null;
+        }
+        return (level + 1) >= source.threshold;
+    }
+
+    /**
+     * Return the world in the given global cell, generating it on first
+     * use.  Each hex draws its dice from its own stream derived from the
+     * map seed and the hex's global coordinates (see createHexRandom() in
+     * worldgen.js), so a world is identical however the hexes are
+     * visited: on screen, in either map mode or in any export.  The
+     * map's ruleset decides how it is rolled.
+     * @param {number} index – global cell index
+     * @returns {object}
+     */
+    function getOrCreateWorld(index) {
+        if (source.overrides.has(index)) {
+            return source.overrides.get(index);
+        }
+        const worlds = source.worlds;
+        if (!worlds[index]) {
+            const rng = engineHelpers.createHexRandom(source.seed, index % cols, Math.floor(index / cols));
+            worlds[index] = engineHelpers.generateWorld(rng, engineHelpers.getRuleset(source.ruleset, source.houseRules));
+        }
+        return worlds[index];
+    }
+
+    /**
+     * Reroll the world in a global cell with a roll trace (see
+     * generateWorld() in worldgen.js), to explain how it came about.
+     * The same dice give the same world, so the trace is that of the
+     * world shown unless the hex is locked, or the world was saved with
+     * other rules.
+     * @param {number} index – global cell index
+     * @returns {object[]|null} the trace, or null if the world shown was
+     *   not rolled that way
+     */
+    function traceWorld(index) {
+        if (source.overrides.has(index)) {
+            return null;
+        }
+        const trace = [];
+        const rng = engineHelpers.createHexRandom(source.seed, index % cols, Math.floor(index / cols));
+        const world = engineHelpers.generateWorld(rng, engineHelpers.getRuleset(source.ruleset, source.houseRules), trace);
+        return worldToUWP(world) === worldToUWP(getOrCreateWorld(index)) ? trace : null;
+    }
+
+    /**
+     * Return the display name of the world in a global cell: the name set
+     * in the hex editor or import if there is one, otherwise a name
+     * generated from the current name source.
+     * @param {number} index – global cell index
+     * @param {object} world
+     * @returns {string}
+     */
+    function getWorldName(index, world) {
+        if (world.name) {
+            return world.name;
+        }
+        const names = source.names;
+        if (!names.has(index)) {
+            const rng = engineHelpers.createHexRandom((source.seed ^ NAME_SEED_SALT) >>> 0, index % cols, Math.floor(index / cols));
+            const nameSource = source.nameSource;
+            let name;
+            if (nameSource === 'markov') {
+                if (!builtInNameModel) {
+                    builtInNameModel = engineHelpers.buildNameModel(engineHelpers.DEFAULT_NAME_CORPUS);
+                }
+                name = engineHelpers.generateWorldName('markov', rng, { model: builtInNameModel });
+            } else if (nameSource === 'markovList') {
+                name = engineHelpers.generateWorldName('markov', rng, { model: source.customNameModel });
+            } else {
+                name = engineHelpers.generateWorldName(nameSource, rng, { list: source.customNames });
+            }
+            names.set(index, name);
+        }
+        return names.get(index);
+    }
+
+    /**
+     * Sector, sector hex and subsector of a global cell as written in
+     * exports.  A single‑sector map numbers every hex from the first
+     * sector.
+     * @param {number} globalRow
+     * @param {number} globalCol
+     * @returns {{hexCol: number, hexRow: number, sector: string, subsector: string}}
+     */
+    function getSectorDetails(globalRow, globalCol) {
+        const sectorWidth = subCols * 4;
+        const sectorHeight = subRows * 4;
+        const isVastness = source.mapMode === 'vastness';
+        const sectorX = isVastness ? Math.floor(globalCol / sectorWidth) : 0;
+        const sectorY = isVastness ? Math.floor(globalRow / sectorHeight) : 0;
+        const sectorIndex = sectorY * 2 + sectorX;
+        const sector = MAP_SECTOR_LABELS[sectorIndex] || MAP_SECTOR_LABELS[0];
+        const localCol = isVastness ? (globalCol % sectorWidth) : globalCol;
+        const localRow = isVastness ? (globalRow % sectorHeight) : globalRow;
+        const subsectorX = Math.floor(globalCol / subCols) % 4;
+        const subsectorY = Math.floor(globalRow / subRows) % 4;
+        const subsectorIndex = subsectorY * 4 + subsectorX;
+        const subsector = String.fromCharCode(65 + subsectorIndex);
+        return { hexCol: localCol, hexRow: localRow, sector, subsector };
+    }
+
+    /**
+     * List the present worlds in a block of global cells as systems for
+     * the route and polity functions: { index, col, row, world } with
+     * global coordinates.  The block is clipped to the map.
+     * @param {number} firstCol – first global column
+     * @param {number} firstRow – first global row
+     * @param {number} nCols
+     * @param {number} nRows
+     * @returns {object[]}
+     */
+    function collectSystems(firstCol, firstRow, nCols, nRows) {
+        const levels = source.levels;
+        const subsectorRanges = computeSubsectorRanges();
+        const systems = [];
+        const lastRow = Math.min(rows, firstRow + nRows);
+        const lastCol = Math.min(cols, firstCol + nCols);
+        for (let row = Math.max(0, firstRow); row < lastRow; row++) {
+            for (let col = Math.max(0, firstCol); col < lastCol; col++) {
+                const index = row * cols + col;
+                const level = getCellLevel(index, row, col, levels, subsectorRanges);
+                if (isWorldPresent(index, level)) {
+                    systems.push({ index, col, row, world: getOrCreateWorld(index) });
+                }
+            }
+        }
+        return systems;
+    }
+
+    /**
+     * Work out the jump and trade routes between the worlds in a block of
+     * global cells, for the map shown.  Routes need whole worlds, so
+     * nothing is returned in the occurrence DM display.  The block is
+     * clipped to the map.
+     * @param {number} firstCol – first global column
+     * @param {number} firstRow – first global row
+     * @param {number} nCols
+     * @param {number} nRows
+     * @returns {{links: object[], trade: object[]}}
+     */
+    function computeRoutes(firstCol, firstRow, nCols, nRows) {
+        if (source.displayMode !== 'density') {
+            return { links: [], trade: [] };
+        }
+        return routesBetween(collectSystems(firstCol, firstRow, nCols, nRows));
+    }
+
+    /**
+     * Work out the jump and trade routes between systems, whatever the
+     * display mode.
+     * @param {object[]} systems – as from collectSystems()
+     * @returns {{links: object[], trade: object[]}}
+     */
+    function routesBetween(systems) {
+        const jump = source.routeJump;
+        const links = engineHelpers.findJumpLinks(systems, jump);
+        return { links, trade: engineHelpers.findTradeRoutes(links, jump) };
+    }
+
+    /**
+     * Generate the polities for the whole map.  Every present world
+     * takes part, whichever map mode is shown, so a world's allegiance
+     * does not depend on the view.
+     * @returns {{polities: object[], territory: Int16Array}}
+     */
+    function computePolities() {
+        const systems = collectSystems(0, 0, cols, rows);
+        const rng = engineHelpers.createSeededRandom((source.seed ^ POLITY_SEED_SALT) >>> 0);
+        return engineHelpers.generatePolities(systems, rng, {
+            cols,
+            rows,
+            nameOf: (system) => getWorldName(system.index, system.world)
+        });
+    }
+
+    /**
+     * Check the worlds in a block of global cells against the map's
+     * ruleset (see checkWorld() in worldcheck.js).
+     * @param {number} firstCol – first global column
+     * @param {number} firstRow – first global row
+     * @param {number} nCols
+     * @param {number} nRows
+     * @returns {{index: number, world: object, issues: object[]}[]} the
+     *   worlds with problems, row by row
+     */
+    function checkWorlds(firstCol, firstRow, nCols, nRows) {
+        const levels = source.levels;
+        const subsectorRanges = computeSubsectorRanges();
+        const rules = engineHelpers.getRuleset(source.ruleset, source.houseRules);
+        const results = [];
+        for (let globalRow = firstRow; globalRow < firstRow + nRows; globalRow++) {
+            for (let globalCol = firstCol; globalCol < firstCol + nCols; globalCol++) {
+                const index = globalRow * cols + globalCol;
+                const level = getCellLevel(index, globalRow, globalCol, levels, subsectorRanges);
+                if (!isWorldPresent(index, level)) {
+                    continue;
+                }
+                const world = getOrCreateWorld(index);
+                const issues = engineHelpers.checkWorld(world, rules);
+                if (issues.length > 0) {
+                    results.push({ index, world, issues });
+                }
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Rows of a T5 sector file for the worlds in a block of global cells,
+     * in the column order of formatT5Rows().
+     * @param {number} firstCol – first global column
+     * @param {number} firstRow – first global row
+     * @param {number} nCols
+     * @param {number} nRows
+     * @returns {string[][]}
+     */
+    function buildT5Rows(firstCol, firstRow, nCols, nRows) {
+        const levels = source.levels;
+        const subsectorRanges = computeSubsectorRanges();
+        const t5Rows = [];
+        const polityResult = computePolities();
+        for (let globalRow = firstRow; globalRow < firstRow + nRows; globalRow++) {
+            for (let globalCol = firstCol; globalCol < firstCol + nCols; globalCol++) {
+                const index = globalRow * cols + globalCol;
+                const level = getCellLevel(index, globalRow, globalCol, levels, subsectorRanges);
+                if (!isWorldPresent(index, level)) {
+                    continue;
+                }
+                const world = getOrCreateWorld(index);
+                const { hexCol, hexRow, sector, subsector } = getSectorDetails(globalRow, globalCol);
+                const hex = `${String(hexCol + 1).padStart(2, '0')}${String(hexRow + 1).padStart(2, '0')}`;
+                // Imported worlds keep the allegiance from their file
+                const allegiance = world.allegiance || engineHelpers.allegianceAt(polityResult, index);
+                t5Rows.push([
+                    hex,
+                    getWorldName(index, world),
+                    formatUwpForExport(world),
+                    (world.tradeCodes || []).join(' '),
+                    engineHelpers.formatImportance(engineHelpers.calculateImportance(world)),
+                    world.economic ? engineHelpers.formatEconomic(world.economic) : '',
+                    world.cultural ? engineHelpers.formatCultural(world.cultural) : '',
+                    '',
+                    (world.bases || []).join(''),
+                    world.zone || '',
+                    formatPbg(world),
+                    world.system ? String(world.system.worlds) : '',
+                    allegiance,
+                    world.system ? engineHelpers.formatStellar(world.system.stars) : '',
+                    sector,
+                    subsector
+                ]);
+            }
+        }
+        return t5Rows;
+    }
+
+    /**
+     * The whole map, whichever part and display mode is shown, as a JSON
+     * map document (see mapdocument.js).
+     * @returns {object}
+     */
+    function toMapDocument() {
+        const levels = source.levels;
+        const subsectorRanges = computeSubsectorRanges();
+        const polityResult = computePolities();
+        const routes = routesBetween(collectSystems(0, 0, cols, rows));
+        const tradeLinks = new Set(routes.trade);
+        const cells = [];
+        for (let index = 0; index < cols * rows; index++) {
+            const level = getCellLevel(index, Math.floor(index / cols), index % cols, levels, subsectorRanges);
+            const world = isWorldPresent(index, level) ? getOrCreateWorld(index) : null;
+            cells.push({
+                intensity: source.cellIntensities[index],
+                painted: source.densityMask[index],
+                level,
+                world,
+                name: world ? getWorldName(index, world) : '',
+                locked: source.overrides.has(index),
+                allegiance: world ? (world.allegiance || engineHelpers.allegianceAt(polityResult, index)) : ''
+            });
+        }
+        const settings = source.settings;
+        const houseRules = settings.ruleset === engineHelpers.HOUSE_RULESET_ID ? source.houseRules : null;
+        return engineHelpers.buildMapDocument({
+            mapCode: engineHelpers.encodeMapCode(settings),
+            settings,
+            rulesetName: engineHelpers.getRuleset(settings.ruleset, houseRules).name,
+            houseRules: houseRules ? engineHelpers.rulesToDocument(houseRules) : null,
+            map: { columns: cols, rows, subsectorColumns: subCols, subsectorRows: subRows, sectorLabels: MAP_SECTOR_LABELS },
+            cells,
+            densityImage: source.densityImage,
+            customNames: source.customNames,
+            polities: polityResult.polities.map((polity) => ({
+                code: polity.code,
+                name: polity.name,
+                colour: polity.colour,
+                capital: polity.capital.index
+            })),
+            routes: routes.links.map((link) => ({
+                from: link.from.index,
+                to: link.to.index,
+                distance: link.distance,
+                trade: tradeLinks.has(link)
+            }))
+        });
+    }
+
+    return {
+        computeSubsectorRanges,
+        getCellLevel,
+        isWorldPresent,
+        getOrCreateWorld,
+        traceWorld,
+        getWorldName,
+        getSectorDetails,
+        collectSystems,
+        computeRoutes,
+        computePolities,
+        buildT5Rows,
+        checkWorlds,
+        toMapDocument
+    };
+}
+
+/**
+ * Fill in the settings an old seed string did not record with the
+ * page's initial values.
+ * @param {object} settings – as returned by readMapCode()
+ * @returns {object} a complete copy
+ */
+function completeMapSettings(settings) {
+    return Object.assign({
+        levels: 16,
+        scale: 1,
+        saturate: 1,
+        threshold: 4,
+        displayMode: 'density',
+        mapMode: 'single',
+        showBoundaries: true,
+        printable: false,
+        showRoutes: false,
+        showPolities: false,
+        routeJump: 2,
+        nameSource: 'markov',
+        ruleset: engineHelpers.DEFAULT_RULESET_ID,
+        simulationArea: 'subsector',
+        normalisation: 'subsector',
+        simulationParams: Object.assign({}, engineHelpers.SIMULATION_PRESETS.default),
+        generators: engineHelpers.DEFAULT_GENERATORS.map((g) => Object.assign({}, g)),
+        densityMask: new Int8Array(MAP_LAYOUT.cols * MAP_LAYOUT.rows),
+        densityImage: null
+    }, settings);
+}
+
+/**
+ * Build a whole map from map code settings, as the page does when a code
+ * is entered, and return its model.  Runs the simulation, so this takes
+ * a few seconds.  Like the page, a map whose density image or name list
+ * is not supplied is built without it: from the simulated field alone,
+ * with syllable names, with the default ruleset in place of house rules.
+ * @param {object} settings – as returned by readMapCode(); missing
+ *   settings are filled in by completeMapSettings()
+ * @param {object} [options]
+ * @param {ArrayLike<number>|null} [options.densityImage] – brightness per
+ *   global cell, for settings that name a density image
+ * @param {string[]} [options.customNames] – for the 'list' and
+ *   'markovList' name sources
+ * @param {object|null} [options.houseRules] – for settings that name house
+ *   rules, from parseRulesDocument()
+ * @param {Map<number, object|null>} [options.overrides] – locked hexes, e.g.
+ *   from decodeWorldEdits()
+ * @param {function(number)} [options.onProgress] – called with the share of
+ *   the simulation done
+ * @returns {object} the map model (see createMapModel())
+ */
+function generateMapFromSettings(settings, { densityImage = null, customNames = [], houseRules = null, overrides = new Map(), onProgress } = {}) {
+    const full = completeMapSettings(settings);
+    if (!densityImage) {
+        // As on the page, a map without its image records none
+        full.densityImage = null;
+    }
+    if (full.ruleset === engineHelpers.HOUSE_RULESET_ID) {
+        if (houseRules) {
+            full.houseRulesChecksum = engineHelpers.houseRulesChecksum(houseRules);
+        } else {
+            full.ruleset = engineHelpers.DEFAULT_RULESET_ID;
+            delete full.houseRulesChecksum;
+        }
+    }
+    const map = {
+        seed: full.seed,
+        levels: full.levels,
+        saturate: full.saturate,
+        threshold: Math.min(full.threshold, full.levels),
+        normalisation: full.normalisation,
+        mapMode: full.mapMode,
+        displayMode: full.displayMode,
+        routeJump: full.routeJump,
+        nameSource: full.nameSource,
+        ruleset: full.ruleset,
+        houseRules,
+        customNames,
+        customNameModel: customNames.length > 0 ? engineHelpers.buildNameModel(customNames) : null,
+        cellIntensities: generateDensityField(full, densityImage, onProgress),
+        densityMask: full.densityMask,
+        densityImage,
+        worlds: new Array(MAP_LAYOUT.cols * MAP_LAYOUT.rows).fill(null),
+        names: new Map(),
+        overrides,
+        settings: full
+    };
+    return createMapModel(map);
+}
+
+// Expose the engine in the browser and through CommonJS in Node.js,
+// mirroring worldgen.js.
+if (typeof self !== 'undefined') {
+    self.MAP_LAYOUT = MAP_LAYOUT;
+    self.MAP_SECTOR_LABELS = MAP_SECTOR_LABELS;
+    self.worldToUWP = worldToUWP;
+    self.formatPbg = formatPbg;
+    self.formatT5Rows = formatT5Rows;
+    self.createSimulationRequest = createSimulationRequest;
+    self.storeRegion = storeRegion;
+    self.blendDensityImage = blendDensityImage;
+    self.createMapModel = createMapModel;
+}
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = {
+        MAP_LAYOUT,
+        MAP_SECTOR_LABELS,
+        SIMULATION_AREA_SIZES,
+        NORMALISATION_AREA_SIZES,
+        mapModeArea,
+        worldToUWP,
+        formatUwpForExport,
+        formatPbg,
+        formatT5Rows,
+        createSimulationRequest,
+        storeRegion,
+        blendDensityImage,
+        generateDensityField,
+        createMapModel,
+        completeMapSettings,
+        generateMapFromSettings
+    };
+}
@@ -0,0 +1,273 @@
+/*
+ * Density generators.
+ *
+ * Besides the Physarum simulation (simulation.js), the density field can
+ * come from procedural fields: fractal noise, spiral galactic arms and
+ * Gaussian star clusters, plus a rift mask that carves an empty lane
+ * through whatever the other generators produce.  Generators are mixed
+ * by weight (see simulateRegions() in simulation.js) and every one of
+ * them is sampled onto the same deposit grid the simulation uses, so it
+ * goes through accumulateToCells() and the normal quantisation.
+ *
+ * Field generators work in global hex coordinates (column and row, with
+ * x from 0 to the map's width in columns), so a field is seamless however
+ * the map is split into simulation regions.  Each draws its random
+ * numbers from its own stream, the map seed salted with the generator's
+ * salt, so adding a generator never changes what the others produce.
+ */
+
+// Width of a hex column relative to the height of a hex row
+// (1.5 side ÷ √3 side), used to keep round features round
+const COLUMN_ASPECT = 1.5 / Math.sqrt(3);
+
+/**
+ * Smooth step from 0 at `edge0` to 1 at `edge1`.
+ * @param {number} edge0
+ * @param {number} edge1
+ * @param {number} x
+ * @returns {number}
+ */
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Build a seeded 2D value noise function returning values in [0, 1].
+ * Lattice values come from a shuffled 256‑entry table, so the noise
+ * repeats every 256 units.
+ * @param {function(): number} rng
+ * @returns {function(number, number): number}
+ */
+function createValueNoise(rng) {
+    const perm = new Uint8Array(512);
+    const values = new Float64Array(256);
+    for (let i = 0; i < 256; i++) {
+        perm[i] = i;
+        values[i] = rng();
+    }
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        const tmp = perm[i];
+        perm[i] = perm[j];
+        perm[j] = tmp;
+    }
+    for (let i = 0; i < 256; i++) {
+        perm[i + 256] = perm[i];
+    }
+    const lattice = (ix, iy) => values[perm[perm[ix & 255] + (iy & 255)]];
+    return (x, y) => {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const fx = x - ix;
+        const fy = y - iy;
+        const sx = fx * fx * (3 - 2 * fx);
+        const sy = fy * fy * (3 - 2 * fy);
+        const top = lattice(ix, iy) + (lattice(ix + 1, iy) - lattice(ix, iy)) * sx;
+        const bottom = lattice(ix, iy + 1) + (lattice(ix + 1, iy + 1) - lattice(ix, iy + 1)) * sx;
+        return top + (bottom - top) * sy;
+    };
+}
+
+/**
+ * Fractal Brownian motion: five octaves of value noise, each at twice the
+ * frequency and half the amplitude of the last.  The largest features
+ * are about a subsector across.
+ * @param {function(): number} rng
+ * @returns {function(number, number): number}
+ */
+function createFbmField(rng) {
+    const noise = createValueNoise(rng);
+    const octaves = 5;
+    const baseFrequency = 1 / 8;
+    // Offset so the map does not sit on the noise's lattice origin
+    const offsetX = rng() * 256;
+    const offsetY = rng() * 256;
+    return (x, y) => {
+        let amplitude = 1;
+        let frequency = baseFrequency;
+        let total = 0;
+        let norm = 0;
+        for (let o = 0; o < octaves; o++) {
+            total += amplitude * noise(offsetX + x * COLUMN_ASPECT * frequency, offsetY + y * frequency);
+            norm += amplitude;
+            amplitude *= 0.5;
+            frequency *= 2;
+        }
+        return total / norm;
+    };
+}
+
+/**
+ * Logarithmic‑spiral galactic arms around the centre of the map: two to
+ * four arms with a pitch of 12°–25°, a random rotation and a bright
+ * central bulge, fading towards the rim.
+ * @param {function(): number} rng
+ * @param {{cols: number, rows: number}} map
+ * @returns {function(number, number): number}
+ */
+function createArmsField(rng, map) {
+    const armCount = 2 + Math.floor(rng() * 3);
+    const pitch = (12 + rng() * 13) * Math.PI / 180;
+    const rotation = rng() * Math.PI * 2;
+    const armWidth = 0.35 + rng() * 0.2; // angular spread in radians
+    const centreX = map.cols * COLUMN_ASPECT / 2;
+    const centreY = map.rows / 2;
+    const rim = Math.hypot(centreX, centreY);
+    const coreRadius = rim * 0.05;
+    const b = Math.tan(pitch);
+    return (x, y) => {
+        const dx = x * COLUMN_ASPECT - centreX;
+        const dy = y - centreY;
+        const r = Math.max(Math.hypot(dx, dy), coreRadius);
+        const theta = Math.atan2(dy, dx);
+        // Angle at which an arm passes radius r
+        const armTheta = Math.log(r / coreRadius) / b + rotation;
+        let arm = 0;
+        for (let k = 0; k < armCount; k++) {
+            let delta = theta - armTheta - (Math.PI * 2 * k) / armCount;
+            delta -= Math.PI * 2 * Math.round(delta / (Math.PI * 2));
+            arm = Math.max(arm, Math.exp(-(delta * delta) / (2 * armWidth * armWidth)));
+        }
+        const bulge = Math.exp(-(r * r) / (2 * (rim * 0.12) * (rim * 0.12)));
+        const fade = Math.exp(-r / rim);
+        return Math.min(1, arm * fade + bulge);
+    };
+}
+
+/**
+ * Gaussian star clusters scattered over the map, roughly one per 300
+ * hexes, each 1.5–5 hexes across (one standard deviation) with a random
+ * brightness.
+ * @param {function(): number} rng
+ * @param {{cols: number, rows: number}} map
+ * @returns {function(number, number): number}
+ */
+function createClustersField(rng, map) {
+    const count = Math.max(1, Math.round((map.cols * map.rows) / 300));
+    const clusters = [];
+    for (let i = 0; i < count; i++) {
+        const sigma = 1.5 + rng() * 3.5;
+        clusters.push({
+            x: rng() * map.cols * COLUMN_ASPECT,
+            y: rng() * map.rows,
+            twoSigmaSq: 2 * sigma * sigma,
+            reachSq: 9 * sigma * sigma,
+            brightness: 0.5 + rng() * 0.5
+        });
+    }
+    return (x, y) => {
+        const px = x * COLUMN_ASPECT;
+        let total = 0;
+        clusters.forEach((cluster) => {
+            const dSq = (px - cluster.x) * (px - cluster.x) + (y - cluster.y) * (y - cluster.y);
+            if (dSq < cluster.reachSq) {
+                total += cluster.brightness * Math.exp(-dSq / cluster.twoSigmaSq);
+            }
+        });
+        return Math.min(1, total);
+    };
+}
+
+/**
+ * Rift mask: a meandering empty lane 2–5 hexes wide crossing the map
+ * near its centre.  Returns 0 along the middle of the rift rising to 1
+ * outside it.
+ * @param {function(): number} rng
+ * @param {{cols: number, rows: number}} map
+ * @returns {function(number, number): number}
+ */
+function createRiftMask(rng, map) {
+    const width = 2 + rng() * 3;
+    const angle = rng() * Math.PI;
+    const dirX = Math.cos(angle);
+    const dirY = Math.sin(angle);
+    const originX = map.cols * COLUMN_ASPECT * (0.3 + rng() * 0.4);
+    const originY = map.rows * (0.3 + rng() * 0.4);
+    // Two sine waves make the lane wander from side to side
+    const waves = [0, 1].map((i) => ({
+        amplitude: (1 + rng() * 2) / (i + 1),
+        frequency: (0.05 + rng() * 0.1) * (i + 1),
+        phase: rng() * Math.PI * 2
+    }));
+    return (x, y) => {
+        const px = x * COLUMN_ASPECT - originX;
+        const py = y - originY;
+        const along = px * dirX + py * dirY;
+        const across = -px * dirY + py * dirX;
+        const wander = waves.reduce((sum, w) => sum + w.amplitude * Math.sin(along * w.frequency + w.phase), 0);
+        return smoothstep(width * 0.25, width, Math.abs(across - wander));
+    };
+}
+
+/**
+ * The density generators, by the name used in seed strings.  `kind` is
+ * 'simulation' for the Physarum simulation (run by simulation.js),
+ * 'field' for generators whose weighted values are added together and
+ * 'mask' for generators that scale the result down where they are low,
+ * by up to their weight.  Field and mask generators have
+ * `create(rng, map)` returning a function of global hex coordinates
+ * (x, y) giving a value in [0, 1].
+ */
+const DENSITY_GENERATORS = {
+    physarum: { label: 'Slime mould', kind: 'simulation' },
+    fbm: { label: 'Fractal noise', kind: 'field', salt: 0x46424d31, create: createFbmField },
+    arms: { label: 'Spiral arms', kind: 'field', salt: 0x41524d53, create: createArmsField },
+    clusters: { label: 'Star clusters', kind: 'field', salt: 0x434c5553, create: createClustersField },
+    rift: { label: 'Rift', kind: 'mask', salt: 0x52494654, create: createRiftMask }
+};
+
+/** The generator mix used unless another is chosen: the simulation alone. */
+const DEFAULT_GENERATORS = [{ name: 'physarum', weight: 1 }];
+
+/**
+ * Encode a generator mix for a seed string as name*weight pairs joined
+ * by '+', e.g. "physarum*1+rift*0.8".  Generators with no weight are left
+ * out.
+ * @param {{name: string, weight: number}[]} generators
+ * @returns {string}
+ */
+function encodeGenerators(generators) {
+    const active = generators.filter(({ weight }) => weight > 0);
+    return active.map(({ name, weight }) => `${name}*${weight}`).join('+');
+}
+
+/**
+ * Decode the output of encodeGenerators().  Unknown generators and
+ * invalid weights are ignored; an empty mix gives DEFAULT_GENERATORS.
+ * @param {string} text
+ * @returns {{name: string, weight: number}[]}
+ */
+function decodeGenerators(text) {
+    const generators = [];
+    String(text).split('+').forEach((pair) => {
+        const [name, weightText] = pair.split('*');
+        const weight = parseFloat(weightText);
+        if (Object.prototype.hasOwnProperty.call(DENSITY_GENERATORS, name) && isFinite(weight) && weight > 0) {
+            generators.push({ name, weight });
+        }
+    });
+    return generators.length > 0 ? generators : DEFAULT_GENERATORS.map((g) => Object.assign({}, g));
+}
+
+// Expose the generators in the browser (page or worker) and through
+// CommonJS in Node.js, mirroring worldgen.js.
+if (typeof self !== 'undefined') {
+    self.DENSITY_GENERATORS = DENSITY_GENERATORS;
+    self.DEFAULT_GENERATORS = DEFAULT_GENERATORS;
+    self.encodeGenerators = encodeGenerators;
+    self.decodeGenerators = decodeGenerators;
+}
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = {
+        DENSITY_GENERATORS,
+        DEFAULT_GENERATORS,
+        encodeGenerators,
+        decodeGenerators,
+        createValueNoise,
+        createFbmField,
+        createArmsField,
+        createClustersField,
+        createRiftMask
+    };
+}
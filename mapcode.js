@@ -0,0 +1,749 @@
+/*
+ * Map codes.
+ *
+ * A map code holds every setting needed to rebuild a map – the numeric
+ * seed, the display and density settings, the simulation parameters, the
+ * generator mix and the painted density mask – in a short string that can
+ * be pasted into the seed box, a URL or a chat message.  The settings are
+ * packed into bytes, followed by a CRC‑16 of everything before it, and
+ * written as unpadded base64url, so a code is safe in URLs and a mistyped
+ * or truncated one is rejected instead of quietly giving a different map.
+ *
+ * Layout of format 2 (multi‑byte numbers are big‑endian; "milli" means
+ * the value × 1000, rounded):
+ *
+ *   u8   format version (2)
+ *   u32  numeric seed
+ *   u8   bit depth (levels)
+ *   u16  simulation scale, milli
+ *   u16  density (saturate factor), milli
+ *   u8   presence threshold
+ *   u8   flags: 1 occurrence DM display, 2 vastness map, 4 subsector
+ *        boundaries, 8 printable, 16 routes, 32 polities, 64 density
+ *        image used, 128 density image blended rather than replacing
+ *   u8   simulation area, index into MAP_SIMULATION_AREAS
+ *   u8   normalisation, index into MAP_NORMALISATION_AREAS
+ *   u8   route jump limit
+ *   u8   world name source, index into MAP_NAME_SOURCES
+ *   u8   world generation ruleset, index into MAP_RULESETS
+ *   u16  only for house rules: their checksum (see houseRulesChecksum())
+ *   u16  density image weight, milli
+ *   u16  × 8  simulation tunables in SIMULATION_TUNABLES order; counts as
+ *        they are, the rest milli
+ *   u8   number of generators, then for each: u8 index into
+ *        MAP_GENERATOR_NAMES and u16 weight, milli
+ *   u16  length of the density mask, then the mask run‑length code (see
+ *        encodeMaskRuns())
+ *   u16  CRC‑16/CCITT of all the bytes above
+ *
+ * Format 1 is the same without the ruleset byte; its worlds were all
+ * generated with Cepheus Deluxe.  The first byte of every format is its
+ * version and the last two are the checksum, so a code from a newer
+ * format is recognised as such.  Codes
+ * from before map codes existed – dash‑separated "seed strings" such as
+ * "16-1.0-1.0-4-g-s-b-n-12345" or a bare number –
+ * always begin with a digit, which a map code never does, and are
+ * migrated by parseLegacySeedString().
+ */
+
+// In Node.js pull in the helpers that the browser loads as separate scripts
+const mapCodeHelpers = (typeof module !== 'undefined' && typeof module.exports !== 'undefined')
+    ? Object.assign({}, require('./simulation.js'), require('./generators.js'))
+    : self;
+
+/** The format written by encodeMapCode(). */
+const MAP_CODE_VERSION = 2;
+
+/** Settings stored as indexes; new values may only be added at the end. */
+const MAP_SIMULATION_AREAS = ['subsector', 'sector', 'vastness'];
+const MAP_NORMALISATION_AREAS = ['subsector', 'sector', 'global'];
+const MAP_NAME_SOURCES = ['markov', 'syllable', 'markovList', 'list'];
+const MAP_GENERATOR_NAMES = ['physarum', 'fbm', 'arms', 'clusters', 'rift'];
+const MAP_RULESETS = ['cepheus', 'classic', 'mongoose2', 'house'];
+
+/**
+ * Allowed range of each numeric setting.  Both decoders reject values
+ * outside them, so a code always gives a map the page can show.
+ */
+const MAP_SETTING_LIMITS = {
+    levels: { label: 'bit depth', min: 2, max: 32 },
+    scale: { label: 'simulation scale', min: 0.1, max: 10 },
+    saturate: { label: 'density', min: 0.1, max: 10 },
+    threshold: { label: 'presence threshold', min: 1, max: 32 },
+    routeJump: { label: 'route jump limit', min: 1, max: 6 },
+    densityImageWeight: { label: 'density image weight', min: 0, max: 1 },
+    generatorWeight: { label: 'generator weight', min: 0, max: 10 },
+    agentCount: { label: 'agent count', min: 1, max: 65535 },
+    iterations: { label: 'iteration count', min: 1, max: 65535 },
+    sensorDistance: { label: 'sensor distance', min: 0, max: 65 },
+    sensorAngle: { label: 'sensor angle', min: 0, max: 65 },
+    rotationAngle: { label: 'rotation angle', min: 0, max: 65 },
+    depositAmount: { label: 'deposit amount', min: 0, max: 65 },
+    diffusionRate: { label: 'diffusion rate', min: 0, max: 1 },
+    decayRate: { label: 'decay rate', min: 0, max: 1 }
+};
+
+// Tunables stored as whole numbers rather than in thousandths
+const WHOLE_TUNABLES = ['agentCount', 'iterations'];
+
+const FLAG_DM_DISPLAY = 1;
+const FLAG_VASTNESS = 2;
+const FLAG_BOUNDARIES = 4;
+const FLAG_PRINTABLE = 8;
+const FLAG_ROUTES = 16;
+const FLAG_POLITIES = 32;
+const FLAG_DENSITY_IMAGE = 64;
+const FLAG_IMAGE_BLEND = 128;
+
+/**
+ * Check a numeric setting against MAP_SETTING_LIMITS.
+ * @param {string} key
+ * @param {number} value
+ * @param {string} source – how to refer to the code in the message
+ * @returns {number} the value
+ * @throws {Error} if the value is out of range or not a number
+ */
+function checkSetting(key, value, source) {
+    const { label, min, max } = MAP_SETTING_LIMITS[key];
+    if (!isFinite(value)) {
+        throw new Error(`${source}: the ${label} is not a number.`);
+    }
+    if (value < min || value > max) {
+        throw new Error(`${source}: the ${label} ${value} is outside the allowed range ${min}–${max}.`);
+    }
+    return value;
+}
+
+/**
+ * CRC‑16/CCITT (polynomial 0x1021, initial value 0xFFFF).
+ * @param {number[]|Uint8Array} bytes
+ * @param {number} length – number of leading bytes to include
+ * @returns {number}
+ */
+function crc16(bytes, length) {
+    let crc = 0xffff;
+    for (let i = 0; i < length; i++) {
+        crc ^= bytes[i] << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+    return crc;
+}
+
+/**
+ * Write bytes as unpadded base64url.
+ * @param {number[]|Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Read unpadded base64url.
+ * @param {string} text – already checked to use only base64url characters
+ * @returns {Uint8Array|null} the bytes, or null if the length is impossible
+ */
+function fromBase64Url(text) {
+    if (text.length % 4 === 1) {
+        return null;
+    }
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((text.length + 3) % 4));
+    return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+/**
+ * Run‑length code a density mask: bytes 0–200 are a painted cell's value
+ * + 100, bytes 201–254 a run of 1–54 unpainted cells and byte 255 a run
+ * whose length is in the next two bytes.  A trailing run is left out, so
+ * an unpainted mask has no bytes at all.
+ * @param {Int8Array} mask
+ * @returns {number[]}
+ */
+function encodeMaskRuns(mask) {
+    const bytes = [];
+    let run = 0;
+    mask.forEach((value) => {
+        if (value === 0) {
+            run++;
+            return;
+        }
+        while (run > 0) {
+            if (run > 54) {
+                const length = Math.min(run, 0xffff);
+                bytes.push(255, length >>> 8, length & 0xff);
+                run -= length;
+            } else {
+                bytes.push(200 + run);
+                run = 0;
+            }
+        }
+        bytes.push(value + 100);
+    });
+    return bytes;
+}
+
+/**
+ * Decode the output of encodeMaskRuns().
+ * @param {number[]|Uint8Array} bytes
+ * @param {number} cellCount – number of cells on the map
+ * @returns {Int8Array}
+ * @throws {Error} if the mask does not fit the map
+ */
+function decodeMaskRuns(bytes, cellCount) {
+    const mask = new Int8Array(cellCount);
+    let index = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+        if (byte === 255) {
+            if (i + 2 >= bytes.length) {
+                throw new Error('the painted density mask is cut short');
+            }
+            index += (bytes[i + 1] << 8) | bytes[i + 2];
+            i += 2;
+        } else if (byte > 200) {
+            index += byte - 200;
+        } else if (index < cellCount) {
+            mask[index++] = byte - 100;
+        } else {
+            index++;
+        }
+    }
+    if (index > cellCount) {
+        throw new Error('the painted density mask is larger than the map');
+    }
+    return mask;
+}
+
+/**
+ * Checksum a house ruleset for its map code, so a map is not quietly
+ * shown with different rules from the ones it was made with: the
+ * CRC‑16 of the ruleset's JSON.  parseRulesDocument() in rulesets.js
+ * always builds a ruleset with its fields in the same order, so the same
+ * rules give the same checksum however the file was laid out.
+ * @param {object} rules
+ * @returns {number}
+ */
+function houseRulesChecksum(rules) {
+    const bytes = new TextEncoder().encode(JSON.stringify(rules));
+    return crc16(bytes, bytes.length);
+}
+
+/**
+ * Pack map settings into a map code.
+ * @param {object} settings
+ * @param {number} settings.seed – 32‑bit numeric seed
+ * @param {number} settings.levels
+ * @param {number} settings.scale
+ * @param {number} settings.saturate
+ * @param {number} settings.threshold
+ * @param {string} settings.displayMode – 'density' or 'dm'
+ * @param {string} settings.mapMode – 'single' or 'vastness'
+ * @param {boolean} settings.showBoundaries
+ * @param {boolean} settings.printable
+ * @param {boolean} settings.showRoutes
+ * @param {boolean} settings.showPolities
+ * @param {number} settings.routeJump
+ * @param {string} settings.nameSource – one of MAP_NAME_SOURCES
+ * @param {string} settings.ruleset – one of MAP_RULESETS
+ * @param {number} [settings.houseRulesChecksum] – for house rules, from
+ *   houseRulesChecksum(); the rules themselves are not part of the code
+ * @param {string} settings.simulationArea – one of MAP_SIMULATION_AREAS
+ * @param {string} settings.normalisation – one of MAP_NORMALISATION_AREAS
+ * @param {object} settings.simulationParams – values for SIMULATION_TUNABLES
+ * @param {{name: string, weight: number}[]} settings.generators
+ * @param {Int8Array} settings.densityMask
+ * @param {{mode: string, weight: number}|null} settings.densityImage –
+ *   how an imported density image was used; the image itself is not
+ *   part of the code
+ * @returns {string}
+ * @throws {Error} if a setting cannot be stored
+ */
+function encodeMapCode(settings) {
+    const bytes = [];
+    const u8 = (value) => bytes.push(value & 0xff);
+    const u16 = (value) => bytes.push((value >>> 8) & 0xff, value & 0xff);
+    const milli = (key, value) => u16(Math.round(checkSetting(key, value, 'Cannot make a map code') * 1000));
+    const indexOf = (list, value, label) => {
+        const index = list.indexOf(value);
+        if (index < 0) {
+            throw new Error(`Cannot make a map code: unknown ${label} "${value}".`);
+        }
+        return index;
+    };
+
+    u8(MAP_CODE_VERSION);
+    const seed = settings.seed >>> 0;
+    bytes.push(seed >>> 24, (seed >>> 16) & 0xff, (seed >>> 8) & 0xff, seed & 0xff);
+    u8(checkSetting('levels', settings.levels, 'Cannot make a map code'));
+    milli('scale', settings.scale);
+    milli('saturate', settings.saturate);
+    u8(checkSetting('threshold', settings.threshold, 'Cannot make a map code'));
+    let flags = 0;
+    if (settings.displayMode === 'dm') flags |= FLAG_DM_DISPLAY;
+    if (settings.mapMode === 'vastness') flags |= FLAG_VASTNESS;
+    if (settings.showBoundaries) flags |= FLAG_BOUNDARIES;
+    if (settings.printable) flags |= FLAG_PRINTABLE;
+    if (settings.showRoutes) flags |= FLAG_ROUTES;
+    if (settings.showPolities) flags |= FLAG_POLITIES;
+    if (settings.densityImage) flags |= FLAG_DENSITY_IMAGE;
+    if (settings.densityImage && settings.densityImage.mode === 'blend') flags |= FLAG_IMAGE_BLEND;
+    u8(flags);
+    u8(indexOf(MAP_SIMULATION_AREAS, settings.simulationArea, 'simulation area'));
+    u8(indexOf(MAP_NORMALISATION_AREAS, settings.normalisation, 'normalisation'));
+    u8(checkSetting('routeJump', settings.routeJump, 'Cannot make a map code'));
+    u8(indexOf(MAP_NAME_SOURCES, settings.nameSource, 'name source'));
+    u8(indexOf(MAP_RULESETS, settings.ruleset, 'ruleset'));
+    if (settings.ruleset === 'house') {
+        u16(settings.houseRulesChecksum);
+    }
+    milli('densityImageWeight', settings.densityImage ? settings.densityImage.weight : 0);
+    mapCodeHelpers.SIMULATION_TUNABLES.forEach((key) => {
+        const value = settings.simulationParams[key];
+        if (WHOLE_TUNABLES.includes(key)) {
+            u16(Math.round(checkSetting(key, value, 'Cannot make a map code')));
+        } else {
+            milli(key, value);
+        }
+    });
+    const generators = settings.generators.filter(({ weight }) => weight > 0);
+    u8(generators.length);
+    generators.forEach(({ name, weight }) => {
+        u8(indexOf(MAP_GENERATOR_NAMES, name, 'density generator'));
+        milli('generatorWeight', weight);
+    });
+    const mask = encodeMaskRuns(settings.densityMask);
+    if (mask.length > 0xffff) {
+        throw new Error('Cannot make a map code: the painted density mask is too detailed.');
+    }
+    u16(mask.length);
+    mask.forEach(u8);
+    u16(crc16(bytes, bytes.length));
+    return toBase64Url(bytes);
+}
+
+/**
+ * Unpack a map code made by encodeMapCode().
+ * @param {string} code
+ * @param {number} cellCount – number of cells on the map, for the mask
+ * @returns {object} the settings, as taken by encodeMapCode()
+ * @throws {Error} with a message for the user if the code is invalid
+ */
+function decodeMapCode(code, cellCount) {
+    const text = String(code).trim();
+    if (text === '') {
+        throw new Error('The map code is empty.');
+    }
+    const badChar = /[^A-Za-z0-9_-]/.exec(text);
+    if (badChar) {
+        throw new Error(`The map code contains "${badChar[0]}", which never appears in map codes; check it was copied exactly.`);
+    }
+    const bytes = fromBase64Url(text);
+    if (!bytes || bytes.length < 3) {
+        throw new Error('The map code is too short; it may have been cut off when it was copied.');
+    }
+    const storedCrc = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+    if (crc16(bytes, bytes.length - 2) !== storedCrc) {
+        throw new Error('The map code failed its checksum, so part of it is missing or mistyped.');
+    }
+    const version = bytes[0];
+    if (version < 1 || version > MAP_CODE_VERSION) {
+        throw new Error(version > MAP_CODE_VERSION
+            ? `The map code uses format ${version}, which is newer than this mapper understands (format ${MAP_CODE_VERSION}).`
+            : `The map code uses unknown format ${version}.`);
+    }
+
+    const end = bytes.length - 2;
+    let offset = 1;
+    const take = (count) => {
+        if (offset + count > end) {
+            throw new Error('The map code ends too early; it was probably made by a faulty copy of the mapper.');
+        }
+        offset += count;
+        return offset - count;
+    };
+    const u8 = () => bytes[take(1)];
+    const u16 = () => {
+        const at = take(2);
+        return (bytes[at] << 8) | bytes[at + 1];
+    };
+    const setting = (key, value) => checkSetting(key, value, 'Invalid map code');
+    const pick = (list, label) => {
+        const index = u8();
+        if (index >= list.length) {
+            throw new Error(`Invalid map code: unknown ${label} number ${index}.`);
+        }
+        return list[index];
+    };
+
+    const settings = {};
+    const seedAt = take(4);
+    settings.seed = ((bytes[seedAt] << 24) | (bytes[seedAt + 1] << 16) | (bytes[seedAt + 2] << 8) | bytes[seedAt + 3]) >>> 0;
+    settings.levels = setting('levels', u8());
+    settings.scale = setting('scale', u16() / 1000);
+    settings.saturate = setting('saturate', u16() / 1000);
+    settings.threshold = setting('threshold', u8());
+    if (settings.threshold > settings.levels) {
+        throw new Error(`Invalid map code: the presence threshold ${settings.threshold} is above the bit depth ${settings.levels}.`);
+    }
+    const flags = u8();
+    settings.displayMode = (flags & FLAG_DM_DISPLAY) ? 'dm' : 'density';
+    settings.mapMode = (flags & FLAG_VASTNESS) ? 'vastness' : 'single';
+    settings.showBoundaries = Boolean(flags & FLAG_BOUNDARIES);
+    settings.printable = Boolean(flags & FLAG_PRINTABLE);
+    settings.showRoutes = Boolean(flags & FLAG_ROUTES);
+    settings.showPolities = Boolean(flags & FLAG_POLITIES);
+    settings.simulationArea = pick(MAP_SIMULATION_AREAS, 'simulation area');
+    settings.normalisation = pick(MAP_NORMALISATION_AREAS, 'normalisation');
+    settings.routeJump = setting('routeJump', u8());
+    settings.nameSource = pick(MAP_NAME_SOURCES, 'name source');
+    settings.ruleset = version >= 2 ? pick(MAP_RULESETS, 'ruleset') : 'cepheus';
+    if (settings.ruleset === 'house') {
+        settings.houseRulesChecksum = u16();
+    }
+    const imageWeight = setting('densityImageWeight', u16() / 1000);
+    settings.densityImage = (flags & FLAG_DENSITY_IMAGE)
+        ? { mode: (flags & FLAG_IMAGE_BLEND) ? 'blend' : 'replace', weight: imageWeight }
+        : null;
+    settings.simulationParams = {};
+    mapCodeHelpers.SIMULATION_TUNABLES.forEach((key) => {
+        const raw = u16();
+        settings.simulationParams[key] = setting(key, WHOLE_TUNABLES.includes(key) ? raw : raw / 1000);
+    });
+    settings.generators = [];
+    const generatorCount = u8();
+    for (let i = 0; i < generatorCount; i++) {
+        const name = pick(MAP_GENERATOR_NAMES, 'density generator');
+        settings.generators.push({ name, weight: setting('generatorWeight', u16() / 1000) });
+    }
+    const maskLength = u16();
+    const maskAt = take(maskLength);
+    try {
+        settings.densityMask = decodeMaskRuns(bytes.subarray(maskAt, maskAt + maskLength), cellCount);
+    } catch (error) {
+        throw new Error(`Invalid map code: ${error.message}.`);
+    }
+    if (offset !== end) {
+        throw new Error(`Invalid map code: ${end - offset} unexpected bytes after the settings.`);
+    }
+    return settings;
+}
+
+/**
+ * Migrate a seed string from before map codes.  Seed strings are
+ * dash‑separated, with as many fields as the version that wrote them
+ * knew about (newest first):
+ *
+ *   9   levels-scale-density-threshold-mode-map-boundary-printable-seed
+ *       (simulated and normalised per subsector)
+ *   6   levels-scale-density-mode-printable-seed
+ *   5   levels-scale-density-mode-seed
+ *
+ * or just the numeric seed.  Settings a format did not record are left
+ * out of the result, so the caller keeps its current values for them;
+ * the ruleset is the exception, as seed strings predate rulesets and
+ * their worlds were always Cepheus Deluxe.
+ * @param {string} text
+ * @param {number} cellCount – number of cells on the map, for the mask
+ * @returns {object} some of the settings taken by encodeMapCode(); always
+ *   includes the seed and the ruleset
+ * @throws {Error} with a message for the user if the string is invalid
+ */
+function parseLegacySeedString(text, cellCount) {
+    const source = 'Invalid seed string';
+    const parts = String(text).trim().split('-');
+    const readSeed = (first) => {
+        const seedText = parts.slice(first).join('-');
+        if (!/^\d+$/.test(seedText)) {
+            throw new Error(`${source}: it should end in a numeric seed, not "${seedText}".`);
+        }
+        return parseInt(seedText, 10) >>> 0;
+    };
+    const number = (key, value, parse) => checkSetting(key, parse(value), source);
+    const code = (value, codes, label) => {
+        if (!Object.prototype.hasOwnProperty.call(codes, value)) {
+            throw new Error(`${source}: "${value}" is not a valid ${label} code (expected ${Object.keys(codes).join(', ')}).`);
+        }
+        return codes[value];
+    };
+    const displayCodes = { g: 'density', o: 'dm', d: 'dm' };
+
+    if (parts.length < 5) {
+        return { seed: readSeed(0), ruleset: 'cepheus' };
+    }
+    const settings = {
+        ruleset: 'cepheus',
+        levels: number('levels', parts[0], Number),
+        scale: number('scale', parts[1], Number),
+        saturate: number('saturate', parts[2], Number)
+    };
+    if (parts.length < 9) {
+        settings.displayMode = code(parts[3], displayCodes, 'display mode');
+        if (parts.length >= 6) {
+            settings.printable = code(parts[4], { p: true, n: false }, 'printable');
+        }
+        settings.seed = readSeed(parts.length >= 6 ? 5 : 4);
+        return settings;
+    }
+    settings.threshold = number('threshold', parts[3], Number);
+    settings.displayMode = code(parts[4], displayCodes, 'display mode');
+    settings.mapMode = code(parts[5], { s: 'single', v: 'vastness' }, 'map mode');
+    settings.showBoundaries = code(parts[6], { b: true, n: false }, 'boundary');
+    settings.printable = code(parts[7], { p: true, n: false }, 'printable');
+    settings.simulationArea = 'subsector';
+    settings.normalisation = 'subsector';
+    settings.simulationParams = Object.assign({}, mapCodeHelpers.SIMULATION_PRESETS.default);
+    settings.generators = mapCodeHelpers.DEFAULT_GENERATORS.map((g) => Object.assign({}, g));
+    settings.densityMask = new Int8Array(cellCount);
+    settings.seed = readSeed(8);
+    return settings;
+}
+
+/**
+ * Read whatever was typed or pasted into the seed box: a map code or an
+ * old seed string, which always starts with a digit.
+ * @param {string} text
+ * @param {number} cellCount – number of cells on the map, for the mask
+ * @returns {{settings: object, legacy: boolean}} the settings and whether
+ *   they came from an old seed string (which may not hold every setting)
+ * @throws {Error} with a message for the user if the text is invalid
+ */
+function readMapCode(text, cellCount) {
+    const trimmed = String(text).trim();
+    if (/^\d/.test(trimmed)) {
+        return { settings: parseLegacySeedString(trimmed, cellCount), legacy: true };
+    }
+    return { settings: decodeMapCode(trimmed, cellCount), legacy: false };
+}
+
+/** The format written by encodeWorldEdits(). */
+const WORLD_EDITS_VERSION = 1;
+
+const EDIT_EMPTY_RUN = 0;
+const EDIT_WORLD = 1;
+const EDIT_STARPORTS = 'ABCDEX';
+const EDIT_ZONES = ['', 'A', 'R'];
+const EDIT_UWP_KEYS = ['size', 'atmosphere', 'hydrographics', 'population', 'government', 'law', 'techLevel'];
+
+/**
+ * Pack hand‑edited and imported hexes (the page's locked hexes) into a
+ * base64url string for a permalink.  Hexes are written in index order,
+ * each preceded by the number of unedited cells skipped since the last:
+ * a run of hexes locked as empty is one entry, a world is written field
+ * by field.  All numbers are zig‑zag varints and text is UTF‑8 with its
+ * length in front.  Like a map code the string starts with a version
+ * byte and ends with a CRC‑16.
+ * @param {Map<number, object|null>} overrides – world, or null for a
+ *   hex locked as empty, by global cell index
+ * @returns {string} '' when there are no edits
+ */
+function encodeWorldEdits(overrides) {
+    if (overrides.size === 0) {
+        return '';
+    }
+    const bytes = [WORLD_EDITS_VERSION];
+    const int = (value) => {
+        let n = value >= 0 ? value * 2 : -value * 2 - 1;
+        while (n >= 0x80) {
+            bytes.push((n & 0x7f) | 0x80);
+            n = Math.floor(n / 0x80);
+        }
+        bytes.push(n);
+    };
+    const text = (value) => {
+        const encoded = new TextEncoder().encode(value);
+        int(encoded.length);
+        encoded.forEach((b) => bytes.push(b));
+    };
+    const indexes = Array.from(overrides.keys()).sort((a, b) => a - b);
+    let next = 0;
+    for (let i = 0; i < indexes.length; i++) {
+        const index = indexes[i];
+        const world = overrides.get(index);
+        int(index - next);
+        if (world === null) {
+            let end = i;
+            while (end + 1 < indexes.length && indexes[end + 1] === indexes[end] + 1 && overrides.get(indexes[end + 1]) === null) {
+                end++;
+            }
+            bytes.push(EDIT_EMPTY_RUN);
+            int(end - i + 1);
+            next = indexes[end] + 1;
+            i = end;
+            continue;
+        }
+        bytes.push(EDIT_WORLD);
+        let flags = 0;
+        if (world.gasGiant) flags |= 1;
+        if (world.system) flags |= 2;
+        if (world.economic) flags |= 4;
+        if (world.cultural) flags |= 8;
+        if (world.name) flags |= 16;
+        if (world.allegiance) flags |= 32;
+        bytes.push(flags);
+        int(Math.max(0, EDIT_STARPORTS.indexOf(world.starport)));
+        EDIT_UWP_KEYS.forEach((key) => int(world[key]));
+        int(Math.max(0, EDIT_ZONES.indexOf(world.zone || '')));
+        text((world.tradeCodes || []).join(' '));
+        text((world.bases || []).join(''));
+        if (world.system) {
+            const system = world.system;
+            int(system.stars.length);
+            system.stars.forEach((star) => {
+                text(star.type);
+                int(star.decimal === null ? -1 : star.decimal);
+                text(star.size);
+            });
+            [system.populationMultiplier, system.belts, system.gasGiants, system.worlds].forEach(int);
+        }
+        if (world.economic) {
+            const ex = world.economic;
+            [ex.resources, ex.labor, ex.infrastructure, ex.efficiency].forEach(int);
+        }
+        if (world.cultural) {
+            const cx = world.cultural;
+            [cx.heterogeneity, cx.acceptance, cx.strangeness, cx.symbols].forEach(int);
+        }
+        if (world.name) text(world.name);
+        if (world.allegiance) text(world.allegiance);
+        next = index + 1;
+    }
+    const crc = crc16(bytes, bytes.length);
+    bytes.push(crc >>> 8, crc & 0xff);
+    return toBase64Url(bytes);
+}
+
+/**
+ * Unpack the output of encodeWorldEdits().
+ * @param {string} code
+ * @param {number} cellCount – number of cells on the map
+ * @returns {Map<number, object|null>}
+ * @throws {Error} with a message for the user if the edits are damaged
+ */
+function decodeWorldEdits(code, cellCount) {
+    const overrides = new Map();
+    if (code === '') {
+        return overrides;
+    }
+    const damaged = 'The hex edits in this link are damaged';
+    const bytes = /^[A-Za-z0-9_-]+$/.test(code) ? fromBase64Url(code) : null;
+    if (!bytes || bytes.length < 3 || crc16(bytes, bytes.length - 2) !== ((bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1])) {
+        throw new Error(`${damaged}; the link may have been cut short.`);
+    }
+    if (bytes[0] !== WORLD_EDITS_VERSION) {
+        throw new Error(`The hex edits in this link use format ${bytes[0]}, which this mapper does not understand.`);
+    }
+    const end = bytes.length - 2;
+    let offset = 1;
+    const byte = () => {
+        if (offset >= end) {
+            throw new Error(`${damaged}: they end too early.`);
+        }
+        return bytes[offset++];
+    };
+    const int = () => {
+        let n = 0;
+        let scale = 1;
+        let b;
+        do {
+            b = byte();
+            n += (b & 0x7f) * scale;
+            scale *= 0x80;
+        } while (b & 0x80);
+        return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+    };
+    const text = () => {
+        const length = int();
+        if (length < 0 || offset + length > end) {
+            throw new Error(`${damaged}: they end too early.`);
+        }
+        offset += length;
+        return new TextDecoder().decode(bytes.subarray(offset - length, offset));
+    };
+    let next = 0;
+    while (offset < end) {
+        const index = next + int();
+        const kind = byte();
+        if (kind === EDIT_EMPTY_RUN) {
+            const count = int();
+            if (index < 0 || count < 1 || index + count > cellCount) {
+                throw new Error(`${damaged}: an empty hex lies outside the map.`);
+            }
+            for (let i = 0; i < count; i++) {
+                overrides.set(index + i, null);
+            }
+            next = index + count;
+            continue;
+        }
+        if (kind !== EDIT_WORLD || index < 0 || index >= cellCount) {
+            throw new Error(`${damaged}: unexpected data for hex ${index}.`);
+        }
+        const flags = byte();
+        const world = { starport: EDIT_STARPORTS[int()] || 'X' };
+        EDIT_UWP_KEYS.forEach((key) => {
+            world[key] = int();
+        });
+        world.zone = EDIT_ZONES[int()] || '';
+        const tradeCodes = text();
+        world.tradeCodes = tradeCodes === '' ? [] : tradeCodes.split(' ');
+        world.bases = text().split('').filter(Boolean);
+        world.gasGiant = Boolean(flags & 1);
+        if (flags & 2) {
+            const stars = [];
+            const starCount = int();
+            for (let i = 0; i < starCount; i++) {
+                const type = text();
+                const decimal = int();
+                stars.push({ type, decimal: decimal < 0 ? null : decimal, size: text() });
+            }
+            const [populationMultiplier, belts, gasGiants, worlds] = [int(), int(), int(), int()];
+            world.system = { stars, populationMultiplier, belts, gasGiants, worlds };
+        }
+        if (flags & 4) {
+            const [resources, labor, infrastructure, efficiency] = [int(), int(), int(), int()];
+            world.economic = { resources, labor, infrastructure, efficiency };
+        }
+        if (flags & 8) {
+            const [heterogeneity, acceptance, strangeness, symbols] = [int(), int(), int(), int()];
+            world.cultural = { heterogeneity, acceptance, strangeness, symbols };
+        }
+        if (flags & 16) world.name = text();
+        if (flags & 32) world.allegiance = text();
+        overrides.set(index, world);
+        next = index + 1;
+    }
+    return overrides;
+}
+
+// Expose the codec in the browser and through CommonJS in Node.js,
+// mirroring worldgen.js.
+if (typeof self !== 'undefined') {
+    self.MAP_CODE_VERSION = MAP_CODE_VERSION;
+    self.encodeMapCode = encodeMapCode;
+    self.decodeMapCode = decodeMapCode;
+    self.parseLegacySeedString = parseLegacySeedString;
+    self.readMapCode = readMapCode;
+    self.houseRulesChecksum = houseRulesChecksum;
+    self.encodeWorldEdits = encodeWorldEdits;
+    self.decodeWorldEdits = decodeWorldEdits;
+}
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = {
+        MAP_CODE_VERSION,
+        MAP_SIMULATION_AREAS,
+        MAP_NORMALISATION_AREAS,
+        MAP_NAME_SOURCES,
+        MAP_GENERATOR_NAMES,
+        MAP_RULESETS,
+        encodeMapCode,
+        decodeMapCode,
+        parseLegacySeedString,
+        readMapCode,
+        houseRulesChecksum,
+        encodeWorldEdits,
+        decodeWorldEdits,
+        encodeMaskRuns,
+        decodeMaskRuns
+    };
+}
@@ -0,0 +1,353 @@
+/*
+ * JSON map documents.
+ *
+ * A map document is the whole map in one JSON file, for other tools and
+ * scripts to read without scraping the T5 text, which drops bases, gas
+ * giant flags and the density field.  Nothing on the map is left out:
+ * reading a document back shows exactly the map that was written.  The
+ * formal schema is map-document.schema.json; in outline:
+ *
+ *   {
+ *     "format": "traveller-mapper-map",
+ *     "version": 1,
+ *     "generator": {
+ *       "mapCode": "A…",            seed and every setting (see mapcode.js)
+ *       "seed": 12345,              the numeric seed, for reading only
+ *       "ruleset": "Cepheus Deluxe", the world generation rules, for
+ *                                   reading only
+ *       "parameters": { … }         the settings in the map code, for
+ *                                   reading only (the painted mask is
+ *                                   given per hex instead)
+ *     },
+ *     "map": {
+ *       "columns": 64, "rows": 80,  global hexes; hex [col, row] is
+ *                                   entry row × columns + col of "hexes"
+ *       "subsectorColumns": 8, "subsectorRows": 10,
+ *       "sectorLabels": ["SECA", …] sectors left to right, top to bottom
+ *     },
+ *     "densityImage": [ … ] | null, the imported greyscale image, one
+ *                                   value in [0, 1] per hex
+ *     "customNames": [ … ],         the user's name list
+ *     "houseRules": { … } | null,   the rules document of the house
+ *                                   rules the worlds follow, if any (see
+ *                                   rulesets.js)
+ *     "hexes": [ {
+ *       "col": 0, "row": 0,         global position
+ *       "sector": "SECA", "hex": "0101", "subsector": "A",
+ *       "density": {
+ *         "intensity": 0.52,        simulated density
+ *         "painted": 0,             density brush adjustment, −100…100
+ *         "level": 3                quantised level (zero‑based), for
+ *                                   reading only
+ *       },
+ *       "world": { … } | null,      every field generateWorld() returns,
+ *                                   plus name and allegiance if imported
+ *       "name": "Regina",           the name shown on the map
+ *       "locked": true,             hand edited or imported: the world
+ *                                   (or emptiness) stays whatever the
+ *                                   density; absent when false
+ *       "annotations": {            worked out from the map, for reading
+ *         "allegiance": "ReIm"      only: the polity code, or "Na"
+ *       }
+ *     } ],
+ *     "polities": [ { "code", "name", "colour", "capital" } ],
+ *     "routes": [ { "from", "to", "distance", "trade" } ]
+ *   }
+ *
+ * Hexes are referred to elsewhere in the document ("capital", "from",
+ * "to") as "SECA 0101": the sector label and the hex within the sector,
+ * whichever map mode is shown.  Fields marked "for reading only" are
+ * recalculated when a document is loaded; the map code, the density
+ * field, the worlds, the names and the locks are what the page restores.
+ * This file has no DOM dependencies.
+ */
+
+// In Node.js pull in the rulesets, which the browser loads as a separate
+// script
+const mapDocumentHelpers = (typeof module !== 'undefined' && typeof module.exports !== 'undefined')
+    ? require('./rulesets.js')
+    : self;
+
+/** Identifies map documents; checked when a document is read. */
+const MAP_DOCUMENT_FORMAT = 'traveller-mapper-map';
+/** Version of the document layout. */
+const MAP_DOCUMENT_VERSION = 1;
+
+const DOCUMENT_STARPORTS = 'ABCDEX';
+const DOCUMENT_ZONES = ['', 'A', 'R'];
+const DOCUMENT_UWP_KEYS = ['size', 'atmosphere', 'hydrographics', 'population', 'government', 'law', 'techLevel'];
+
+/**
+ * Sector, sector hex and subsector letter of a global hex.
+ * @param {number} col – global column
+ * @param {number} row – global row
+ * @param {object} map – the "map" section of a document
+ * @returns {{sector: string, hex: string, subsector: string}}
+ */
+function documentHexLocation(col, row, map) {
+    const sectorWidth = map.subsectorColumns * 4;
+    const sectorHeight = map.subsectorRows * 4;
+    const sectorsAcross = Math.ceil(map.columns / sectorWidth);
+    const sectorIndex = Math.floor(row / sectorHeight) * sectorsAcross + Math.floor(col / sectorWidth);
+    const localCol = col % sectorWidth;
+    const localRow = row % sectorHeight;
+    const subsectorIndex = Math.floor(localRow / map.subsectorRows) * 4 + Math.floor(localCol / map.subsectorColumns);
+    return {
+        sector: map.sectorLabels[sectorIndex],
+        hex: `${String(localCol + 1).padStart(2, '0')}${String(localRow + 1).padStart(2, '0')}`,
+        subsector: String.fromCharCode(65 + subsectorIndex)
+    };
+}
+
+/**
+ * Reference to a global hex as used within a document, e.g. "SECA 0101".
+ * @param {number} index – global cell index
+ * @param {object} map – the "map" section of a document
+ * @returns {string}
+ */
+function documentHexReference(index, map) {
+    const { sector, hex } = documentHexLocation(index % map.columns, Math.floor(index / map.columns), map);
+    return `${sector} ${hex}`;
+}
+
+/**
+ * Build a map document.
+ * @param {object} source
+ * @param {string} source.mapCode – from encodeMapCode()
+ * @param {object} source.settings – the settings in the map code
+ * @param {string} source.rulesetName – name of the settings' ruleset
+ * @param {object|null} source.houseRules – the rules document of the
+ *   house rules the map uses (see rulesets.js), or null
+ * @param {{columns: number, rows: number, subsectorColumns: number, subsectorRows: number, sectorLabels: string[]}} source.map
+ * @param {object[]} source.cells – one per global cell, in index order:
+ *   { intensity, painted, level, world (null if empty), name, locked,
+ *   allegiance }
+ * @param {ArrayLike<number>|null} source.densityImage
+ * @param {string[]} source.customNames
+ * @param {{code: string, name: string, colour: string, capital: number}[]} source.polities –
+ *   capital is a global cell index
+ * @param {{from: number, to: number, distance: number, trade: boolean}[]} source.routes –
+ *   ends are global cell indexes
+ * @returns {object} the document, ready for JSON.stringify()
+ */
+function buildMapDocument(source) {
+    const map = {
+        columns: source.map.columns,
+        rows: source.map.rows,
+        subsectorColumns: source.map.subsectorColumns,
+        subsectorRows: source.map.subsectorRows,
+        sectorLabels: source.map.sectorLabels.slice()
+    };
+    const parameters = Object.assign({}, source.settings);
+    delete parameters.seed;
+    delete parameters.densityMask;
+    const hexes = source.cells.map((cell, index) => {
+        const col = index % map.columns;
+        const row = Math.floor(index / map.columns);
+        const hex = Object.assign({ col, row }, documentHexLocation(col, row, map), {
+            density: { intensity: cell.intensity, painted: cell.painted, level: cell.level },
+            world: cell.world
+        });
+        if (cell.world) {
+            hex.name = cell.name;
+        }
+        if (cell.locked) {
+            hex.locked = true;
+        }
+        if (cell.world && cell.allegiance) {
+            hex.annotations = { allegiance: cell.allegiance };
+        }
+        return hex;
+    });
+    return {
+        format: MAP_DOCUMENT_FORMAT,
+        version: MAP_DOCUMENT_VERSION,
+        generator: { mapCode: source.mapCode, seed: source.settings.seed, ruleset: source.rulesetName, parameters },
+        map,
+        densityImage: source.densityImage ? Array.from(source.densityImage) : null,
+        customNames: source.customNames.slice(),
+        houseRules: source.houseRules,
+        hexes,
+        polities: source.polities.map((polity) => ({
+            code: polity.code,
+            name: polity.name,
+            colour: polity.colour,
+            capital: documentHexReference(polity.capital, map)
+        })),
+        routes: source.routes.map((route) => ({
+            from: documentHexReference(route.from, map),
+            to: documentHexReference(route.to, map),
+            distance: route.distance,
+            trade: route.trade
+        }))
+    };
+}
+
+/**
+ * Check that a value from a document is a world object of the shape
+ * generateWorld() returns.
+ * @param {*} world
+ * @param {string} label – names the hex in messages
+ * @throws {Error} naming the first field that is missing or wrong
+ */
+function checkDocumentWorld(world, label) {
+    const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+    const isText = (value) => typeof value === 'string';
+    const fail = (message) => {
+        throw new Error(`${label}: ${message}.`);
+    };
+    if (typeof world !== 'object' || Array.isArray(world)) {
+        fail('the world must be an object or null');
+    }
+    if (!isText(world.starport) || world.starport.length !== 1 || !DOCUMENT_STARPORTS.includes(world.starport)) {
+        fail('the starport must be one of A, B, C, D, E or X');
+    }
+    DOCUMENT_UWP_KEYS.forEach((key) => {
+        if (!isInt(world[key], 0, 33)) {
+            fail(`${key} must be a whole number from 0 to 33`);
+        }
+    });
+    if (!Array.isArray(world.tradeCodes) || !world.tradeCodes.every(isText)) {
+        fail('tradeCodes must be a list of codes');
+    }
+    if (!Array.isArray(world.bases) || !world.bases.every(isText)) {
+        fail('bases must be a list of base codes');
+    }
+    if (typeof world.gasGiant !== 'boolean') {
+        fail('gasGiant must be true or false');
+    }
+    if (world.zone !== undefined && !DOCUMENT_ZONES.includes(world.zone)) {
+        fail('the zone must be "", "A" or "R"');
+    }
+    if (world.system !== undefined) {
+        const system = world.system;
+        if (!system || !Array.isArray(system.stars) || !system.stars.every((star) => (
+            star && isText(star.type) && isText(star.size) && (star.decimal === null || isInt(star.decimal, 0, 9))
+        ))) {
+            fail('the system must list its stars as { type, decimal, size }');
+        }
+        if (!['populationMultiplier', 'belts', 'gasGiants', 'worlds'].every((key) => isInt(system[key], 0, 99))) {
+            fail('the system needs populationMultiplier, belts, gasGiants and worlds as whole numbers');
+        }
+    }
+    if (world.economic !== undefined && !(world.economic && ['resources', 'labor', 'infrastructure', 'efficiency'].every((key) => isInt(world.economic[key], -99, 99)))) {
+        fail('economic needs resources, labor, infrastructure and efficiency as whole numbers');
+    }
+    if (world.cultural !== undefined && !(world.cultural && ['heterogeneity', 'acceptance', 'strangeness', 'symbols'].every((key) => isInt(world.cultural[key], -99, 99)))) {
+        fail('cultural needs heterogeneity, acceptance, strangeness and symbols as whole numbers');
+    }
+    if ((world.name !== undefined && !isText(world.name)) || (world.allegiance !== undefined && !isText(world.allegiance))) {
+        fail('name and allegiance must be text');
+    }
+}
+
+/**
+ * Read a map document.  Everything the page restores is checked; the
+ * fields marked "for reading only" are not.
+ * @param {string} text
+ * @returns {object} the document, with its hexes in index order and its
+ *   house rules read into a ruleset
+ * @throws {Error} with a message for the user if the document is unusable
+ */
+function parseMapDocument(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!doc || doc.format !== MAP_DOCUMENT_FORMAT) {
+        throw new Error('The file is not a Traveller Mapper map document.');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new Error('The document has no valid version number; it should be a whole number such as 1.');
+    }
+    if (doc.version > MAP_DOCUMENT_VERSION) {
+        throw new Error(`The file is from a newer version of the mapper (map document format ${doc.version}; this page reads ${MAP_DOCUMENT_VERSION}).`);
+    }
+    if (!doc.generator || typeof doc.generator.mapCode !== 'string') {
+        throw new Error('The document has no map code.');
+    }
+    const map = doc.map;
+    if (!map || !['columns', 'rows', 'subsectorColumns', 'subsectorRows'].every((key) => Number.isInteger(map[key]) && map[key] > 0)
+        || !Array.isArray(map.sectorLabels)) {
+        throw new Error('The document does not say how big the map is.');
+    }
+    const cellCount = map.columns * map.rows;
+    if (!Array.isArray(doc.hexes) || doc.hexes.length !== cellCount) {
+        throw new Error(`The document should list all ${cellCount} hexes of its ${map.columns}×${map.rows} map.`);
+    }
+    const hexes = new Array(cellCount).fill(null);
+    doc.hexes.forEach((hex, i) => {
+        const inMap = hex && Number.isInteger(hex.col) && Number.isInteger(hex.row)
+            && hex.col >= 0 && hex.row >= 0 && hex.col < map.columns && hex.row < map.rows;
+        if (!inMap) {
+            throw new Error(`Hex entry ${i + 1} has no position on the map.`);
+        }
+        const index = hex.row * map.columns + hex.col;
+        const label = `Hex ${documentHexReference(index, map)}`;
+        if (hexes[index]) {
+            throw new Error(`${label} is listed twice.`);
+        }
+        const density = hex.density;
+        if (!density || typeof density.intensity !== 'number' || !isFinite(density.intensity)) {
+            throw new Error(`${label}: the density intensity must be a number.`);
+        }
+        if (density.painted !== undefined && !(Number.isInteger(density.painted) && density.painted >= -100 && density.painted <= 100)) {
+            throw new Error(`${label}: the painted density must be a whole number from -100 to 100.`);
+        }
+        if (hex.world === undefined) {
+            throw new Error(`${label} has no world entry; use null for an empty hex.`);
+        }
+        if (hex.world !== null) {
+            checkDocumentWorld(hex.world, label);
+        }
+        if (hex.name !== undefined && typeof hex.name !== 'string') {
+            throw new Error(`${label}: the name must be text.`);
+        }
+        if (hex.locked !== undefined && typeof hex.locked !== 'boolean') {
+            throw new Error(`${label}: locked must be true or false.`);
+        }
+        hexes[index] = hex;
+    });
+    if (doc.densityImage !== undefined && doc.densityImage !== null
+        && !(Array.isArray(doc.densityImage) && doc.densityImage.length === cellCount && doc.densityImage.every((v) => typeof v === 'number' && v >= 0 && v <= 1))) {
+        throw new Error(`The density image must list a number from 0 to 1 for each of the ${cellCount} hexes.`);
+    }
+    if (doc.customNames !== undefined && !(Array.isArray(doc.customNames) && doc.customNames.every((name) => typeof name === 'string'))) {
+        throw new Error('The custom names must be a list of text.');
+    }
+    let houseRules = null;
+    if (doc.houseRules !== undefined && doc.houseRules !== null) {
+        try {
+            houseRules = mapDocumentHelpers.parseRulesDocument(doc.houseRules);
+        } catch (error) {
+            throw new Error(`The house rules are unusable. ${error.message}`);
+        }
+    }
+    return Object.assign({}, doc, {
+        densityImage: doc.densityImage || null,
+        customNames: doc.customNames || [],
+        houseRules,
+        hexes
+    });
+}
+
+// Expose the format in the browser and through CommonJS in Node.js,
+// mirroring worldgen.js.
+if (typeof self !== 'undefined') {
+    self.MAP_DOCUMENT_VERSION = MAP_DOCUMENT_VERSION;
+    self.buildMapDocument = buildMapDocument;
+    self.parseMapDocument = parseMapDocument;
+}
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = {
+        MAP_DOCUMENT_FORMAT,
+        MAP_DOCUMENT_VERSION,
+        documentHexLocation,
+        documentHexReference,
+        buildMapDocument,
+        checkDocumentWorld,
+        parseMapDocument
+    };
+}
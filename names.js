@@ -0,0 +1,183 @@
+/*
+ * World name generation.
+ *
+ * Names can come from three sources: random syllable combinations, a
+ * character‑level Markov chain trained on a list of example names (the
+ * built‑in corpus below or a list supplied by the user), or words picked
+ * straight from a user‑supplied list.  Every generator draws from an
+ * injected random number generator, so passing a seeded stream (see
+ * createHexRandom() in worldgen.js) gives each hex a stable name.
+ */
+
+/**
+ * Example names used to train the default Markov model.  A mix of
+ * mythological, astronomical and old place names gives a pleasantly
+ * varied, pronounceable output.
+ */
+const DEFAULT_NAME_CORPUS = [
+    'Achernar', 'Aldebaran', 'Alcyone', 'Altair', 'Andara', 'Antares', 'Arcadia', 'Ardent',
+    'Asteria', 'Avalon', 'Bellatrix', 'Borealis', 'Calypso', 'Capella', 'Carthage', 'Cassia',
+    'Celaeno', 'Corvus', 'Cygnia', 'Delphine', 'Deneb', 'Dorado', 'Elysia', 'Eridan',
+    'Fomalhaut', 'Galatea', 'Halcyon', 'Helios', 'Hesperia', 'Hyperion', 'Icarion', 'Ilium',
+    'Ithaca', 'Kepler', 'Kestrel', 'Larissa', 'Lethe', 'Lyra', 'Marathon', 'Meridian',
+    'Merope', 'Mimosa', 'Mirach', 'Nereid', 'Nimbus', 'Nova', 'Olympia', 'Orinoco',
+    'Pallas', 'Pelagia', 'Perseus', 'Phoebe', 'Polaris', 'Procyon', 'Rhea', 'Rigel',
+    'Sabik', 'Samarkand', 'Selene', 'Serica', 'Sirona', 'Tarsus', 'Tethys', 'Thalassa',
+    'Thule', 'Titania', 'Tyrrhen', 'Umbriel', 'Valeria', 'Vega', 'Verdant', 'Zanzibar',
+    'Zephyria', 'Zosma'
+];
+
+/**
+ * Syllable pieces for the syllable generator.  Each syllable is an
+ * optional onset, a vowel and an optional coda.
+ */
+const NAME_SYLLABLES = {
+    onsets: ['b', 'br', 'c', 'ch', 'd', 'dr', 'f', 'g', 'gr', 'h', 'k', 'kr', 'l', 'm', 'n', 'p', 'ph', 'r', 's', 'st', 't', 'th', 'tr', 'v', 'z'],
+    vowels: ['a', 'a', 'e', 'e', 'i', 'i', 'o', 'o', 'u', 'ae', 'ai', 'ia', 'ou'],
+    codas: ['', '', '', 'l', 'n', 'r', 's', 'th', 'x', 'nd', 'rn']
+};
+
+/**
+ * Pick a uniformly random element of an array.
+ * @param {Array} items
+ * @param {function(): number} rng
+ * @returns {*}
+ */
+function pickFrom(items, rng) {
+    return items[Math.floor(rng() * items.length)];
+}
+
+/**
+ * Upper‑case the first letter of a name.
+ * @param {string} name
+ * @returns {string}
+ */
+function capitalise(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Generate a name of two or three random syllables.
+ * @param {function(): number} [rng=Math.random]
+ * @returns {string}
+ */
+function syllableName(rng = Math.random) {
+    const count = rng() < 0.7 ? 2 : 3;
+    let name = '';
+    for (let i = 0; i < count; i++) {
+        // Leave the onset off the first syllable now and then so some names start with a vowel
+        const onset = (i === 0 && rng() < 0.2) ? '' : pickFrom(NAME_SYLLABLES.onsets, rng);
+        const coda = (i === count - 1) ? pickFrom(NAME_SYLLABLES.codas, rng) : '';
+        name += onset + pickFrom(NAME_SYLLABLES.vowels, rng) + coda;
+    }
+    return capitalise(name);
+}
+
+/**
+ * Train a character‑level Markov model on a list of names.  The model
+ * maps every `order`‑character prefix seen in the training words to the
+ * string of characters that followed it ('$' marks the end of a word).
+ * Words are padded with '^' so the chain also learns how names start.
+ * @param {string[]} words
+ * @param {number} [order=2]
+ * @returns {{order: number, table: Object<string, string>, words: Set<string>}}
+ */
+function buildNameModel(words, order = 2) {
+    const table = {};
+    const known = new Set();
+    words.forEach((word) => {
+        const clean = word.trim().toLowerCase();
+        if (clean.length === 0) return;
+        known.add(clean);
+        const padded = '^'.repeat(order) + clean + '$';
+        for (let i = 0; i + order < padded.length; i++) {
+            const prefix = padded.slice(i, i + order);
+            table[prefix] = (table[prefix] || '') + padded[i + order];
+        }
+    });
+    return { order, table, words: known };
+}
+
+/**
+ * Generate a name from a Markov model.  Candidates that are too short,
+ * too long or copied verbatim from the training list are rejected; after
+ * a number of failed attempts a syllable name is returned instead.
+ * @param {object} model – as returned by buildNameModel()
+ * @param {function(): number} [rng=Math.random]
+ * @param {{minLength?: number, maxLength?: number}} [options]
+ * @returns {string}
+ */
+function markovName(model, rng = Math.random, { minLength = 4, maxLength = 10 } = {}) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        let prefix = '^'.repeat(model.order);
+        let name = '';
+        while (name.length <= maxLength) {
+            const followers = model.table[prefix];
+            if (!followers) break;
+            const next = followers[Math.floor(rng() * followers.length)];
+            if (next === '$') break;
+            name += next;
+            prefix = prefix.slice(1) + next;
+        }
+        if (name.length >= minLength && name.length <= maxLength && !model.words.has(name)) {
+            return capitalise(name);
+        }
+    }
+    return syllableName(rng);
+}
+
+/**
+ * Split uploaded text into a list of names: one per line or separated by
+ * commas.  Blank entries, duplicates and lines starting with '#' are
+ * dropped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseNameList(text) {
+    const names = [];
+    const seen = new Set();
+    text.split(/\r?\n/).forEach((line) => {
+        if (line.trim().startsWith('#')) return;
+        line.split(',').forEach((entry) => {
+            const name = entry.trim();
+            if (name !== '' && !seen.has(name)) {
+                seen.add(name);
+                names.push(name);
+            }
+        });
+    });
+    return names;
+}
+
+/**
+ * Generate a world name from the chosen source.
+ *  'syllable' – random syllables;
+ *  'markov'   – Markov chain over `model`;
+ *  'list'     – a word picked from `list`.
+ * Sources that lack their model or list fall back to syllables.
+ * @param {string} source
+ * @param {function(): number} rng
+ * @param {{model?: object, list?: string[]}} [data]
+ * @returns {string}
+ */
+function generateWorldName(source, rng, { model = null, list = [] } = {}) {
+    if (source === 'markov' && model) {
+        return markovName(model, rng);
+    }
+    if (source === 'list' && list.length > 0) {
+        return pickFrom(list, rng);
+    }
+    return syllableName(rng);
+}
+
+// Expose the name generators in the browser and through CommonJS in
+// Node.js, mirroring worldgen.js.
+if (typeof window !== 'undefined') {
+    window.generateWorldName = generateWorldName;
+    window.buildNameModel = buildNameModel;
+    window.parseNameList = parseNameList;
+    window.DEFAULT_NAME_CORPUS = DEFAULT_NAME_CORPUS;
+}
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = { generateWorldName, buildNameModel, markovName, syllableName, parseNameList, DEFAULT_NAME_CORPUS };
+}
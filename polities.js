@@ -0,0 +1,213 @@
+/*
+ * Polity (allegiance) generation.
+ *
+ * A handful of capitals are picked from the populated worlds, favouring
+ * those with high Importance, and each polity then spreads outwards
+ * along the jump network until it runs out of reach or meets a
+ * neighbour.  Empty hexes next to a polity's worlds are claimed too so
+ * that borders enclose a territory rather than isolated worlds.  The
+ * result is deterministic for a given random number generator, so the
+ * map seed always yields the same political map.
+ */
+
+// In Node.js pull in the helpers that the browser loads as separate scripts
+const polityHelpers = (typeof module !== 'undefined' && typeof module.exports !== 'undefined')
+    ? Object.assign({}, require('./worldgen.js'), require('./routes.js'))
+    : self;
+
+/** Government styles for polity names, with the T5 code suffix for each. */
+const POLITY_TYPES = [
+    { name: 'Empire', code: 'Em' },
+    { name: 'Hegemony', code: 'He' },
+    { name: 'Confederation', code: 'Cf' },
+    { name: 'Republic', code: 'Re' },
+    { name: 'League', code: 'Lg' },
+    { name: 'Union', code: 'Un' },
+    { name: 'Protectorate', code: 'Pr' },
+    { name: 'Dominion', code: 'Do' }
+];
+
+/** Border colours, assigned to polities in order of founding. */
+const POLITY_COLOURS = [
+    '#DC2626', '#2563EB', '#16A34A', '#D97706', '#9333EA', '#0891B2', '#DB2777', '#65A30D',
+    '#EA580C', '#4F46E5', '#0D9488', '#CA8A04', '#7C3AED', '#E11D48', '#059669', '#1D4ED8'
+];
+
+/** Allegiance code written for worlds outside every polity (T5 "Non‑aligned"). */
+const NON_ALIGNED = 'Na';
+
+/**
+ * Neighbour offsets across each hex edge in the odd‑q layout, indexed by
+ * edge k (the edge from vertex k to vertex k+1 at angles 60°·k, y down):
+ * 0 south‑east, 1 south, 2 south‑west, 3 north‑west, 4 north, 5 north‑east.
+ * The first table is for even columns, the second for odd columns.
+ */
+const HEX_EDGE_NEIGHBOURS = [
+    [[1, 0], [0, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]],
+    [[1, 1], [0, 1], [-1, 1], [-1, 0], [0, -1], [1, 0]]
+];
+
+/**
+ * Pick an index at random with probability proportional to its weight.
+ * @param {number[]} weights
+ * @param {function(): number} rng
+ * @returns {number} the index, or -1 if every weight is zero
+ */
+function pickWeighted(weights, rng) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total <= 0) return -1;
+    let target = rng() * total;
+    for (let i = 0; i < weights.length; i++) {
+        target -= weights[i];
+        if (target < 0 && weights[i] > 0) return i;
+    }
+    return weights.length - 1;
+}
+
+/**
+ * Build a unique T5‑style allegiance code from a capital name and a
+ * government type, e.g. "Vega" + Hegemony → "VeHe".
+ * @param {string} capitalName
+ * @param {string} typeCode
+ * @param {Set<string>} used – codes already taken; the new code is added
+ * @returns {string}
+ */
+function makeAllegianceCode(capitalName, typeCode, used) {
+    const letters = capitalName.replace(/[^A-Za-z]/g, '') || 'Xx';
+    const first = letters[0].toUpperCase();
+    const candidates = [];
+    for (let i = 1; i < letters.length; i++) {
+        candidates.push(first + letters[i].toLowerCase() + typeCode);
+    }
+    for (let n = 0; n < 10; n++) {
+        candidates.push(first + n + typeCode);
+    }
+    const code = candidates.find((c) => !used.has(c) && c.slice(0, 2) !== NON_ALIGNED) || `${first}${used.size}${typeCode}`;
+    used.add(code);
+    return code;
+}
+
+/**
+ * Generate polities over a set of systems.  Systems are objects with
+ * `col`, `row` (global offset coordinates) and `world`.  Options:
+ *  cols, rows  – size of the map, for the territory grid;
+ *  jump        – longest jump a polity can expand across (default 2);
+ *  nameOf      – function(system) returning the capital's name.
+ * Returns the polities as { code, name, colour, capital, reach } and the
+ * territory as an Int16Array over cols × rows holding the polity number
+ * of every claimed hex (system or empty), or -1.
+ * @param {object[]} systems
+ * @param {function(): number} rng
+ * @param {{cols: number, rows: number, jump?: number, nameOf?: function(object): string}} options
+ * @returns {{polities: object[], territory: Int16Array}}
+ */
+function generatePolities(systems, rng, { cols, rows, jump = 2, nameOf = () => 'Polity' }) {
+    const territory = new Int16Array(cols * rows).fill(-1);
+    const polities = [];
+    // Capitals: populated worlds with a starport, weighted by Importance
+    // (each point doubles the chance) and kept well apart from each other
+    const candidates = systems.filter(({ world }) => world.population > 0 && world.starport !== 'X');
+    const weights = candidates.map(({ world }) => Math.pow(2, polityHelpers.calculateImportance(world) + 3));
+    const polityCount = Math.max(1, Math.round(systems.length / 200));
+    const minSeparation = 8;
+    const usedCodes = new Set();
+    while (polities.length < polityCount) {
+        const pick = pickWeighted(weights, rng);
+        if (pick < 0) break;
+        const capital = candidates[pick];
+        weights[pick] = 0;
+        const tooClose = polities.some(({ capital: other }) => (
+            polityHelpers.hexDistance(capital.col, capital.row, other.col, other.row) < minSeparation
+        ));
+        if (tooClose) continue;
+        const type = POLITY_TYPES[Math.floor(rng() * POLITY_TYPES.length)];
+        const capitalName = nameOf(capital);
+        polities.push({
+            code: makeAllegianceCode(capitalName, type.code, usedCodes),
+            name: `${capitalName} ${type.name}`,
+            colour: POLITY_COLOURS[polities.length % POLITY_COLOURS.length],
+            capital,
+            // Parsecs of travel the polity can hold: larger for important capitals
+            reach: 2 + Math.floor(rng() * 7) + Math.max(0, polityHelpers.calculateImportance(capital.world)) * 2
+        });
+    }
+    // Grow every polity at once across the jump network (Dijkstra from
+    // all capitals).  A system goes to the polity that reaches it in the
+    // fewest parsecs; ties go to the older polity.
+    const neighbours = new Map(systems.map((system) => [system, []]));
+    polityHelpers.findJumpLinks(systems, jump).forEach(({ from, to, distance }) => {
+        neighbours.get(from).push({ system: to, distance });
+        neighbours.get(to).push({ system: from, distance });
+    });
+    const best = new Map();
+    const frontier = [];
+    polities.forEach((polity, number) => {
+        best.set(polity.capital, { cost: 0, number });
+        frontier.push({ system: polity.capital, cost: 0, number });
+    });
+    const claimed = new Set();
+    while (frontier.length > 0) {
+        let next = 0;
+        for (let i = 1; i < frontier.length; i++) {
+            const a = frontier[i];
+            const b = frontier[next];
+            if (a.cost < b.cost || (a.cost === b.cost && a.number < b.number)) next = i;
+        }
+        const { system, cost, number } = frontier.splice(next, 1)[0];
+        if (claimed.has(system)) continue;
+        claimed.add(system);
+        territory[system.row * cols + system.col] = number;
+        neighbours.get(system).forEach(({ system: other, distance }) => {
+            const total = cost + distance;
+            const known = best.get(other);
+            if (total > polities[number].reach || claimed.has(other)) return;
+            if (known && (known.cost < total || (known.cost === total && known.number <= number))) return;
+            best.set(other, { cost: total, number });
+            frontier.push({ system: other, cost: total, number });
+        });
+    }
+    // Empty hexes join a polity when every claimed system within one
+    // parsec belongs to it
+    const occupied = new Set(systems.map(({ col, row }) => row * cols + col));
+    const claimedSystems = systems.filter((system) => claimed.has(system));
+    const nearby = new Map();
+    claimedSystems.forEach(({ col, row }) => {
+        const number = territory[row * cols + col];
+        const parity = col & 1;
+        HEX_EDGE_NEIGHBOURS[parity].forEach(([dc, dr]) => {
+            const c = col + dc;
+            const r = row + dr;
+            if (c < 0 || r < 0 || c >= cols || r >= rows) return;
+            const index = r * cols + c;
+            if (occupied.has(index)) return;
+            const current = nearby.get(index);
+            nearby.set(index, current === undefined || current === number ? number : -1);
+        });
+    });
+    nearby.forEach((number, index) => {
+        territory[index] = number;
+    });
+    return { polities, territory };
+}
+
+/**
+ * Allegiance code of the hex at a global position.
+ * @param {{polities: object[], territory: Int16Array}} result – from generatePolities()
+ * @param {number} index – row * cols + col
+ * @returns {string} the polity code, or 'Na' if unclaimed
+ */
+function allegianceAt(result, index) {
+    const number = result.territory[index];
+    return number >= 0 ? result.polities[number].code : NON_ALIGNED;
+}
+
+// Expose the polity functions in the browser (page or worker) and
+// through CommonJS in Node.js, mirroring worldgen.js.
+if (typeof self !== 'undefined') {
+    self.generatePolities = generatePolities;
+    self.allegianceAt = allegianceAt;
+    self.HEX_EDGE_NEIGHBOURS = HEX_EDGE_NEIGHBOURS;
+}
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = { generatePolities, allegianceAt, makeAllegianceCode, HEX_EDGE_NEIGHBOURS, NON_ALIGNED };
+}
@@ -0,0 +1,195 @@
+/*
+ * Jump and trade route networks.
+ *
+ * Hex positions use the same flat‑topped "odd‑q" offset layout as the
+ * map in script.js: columns are vertical, and odd columns (zero‑based)
+ * are shifted down by half a hex.  Distances are measured in parsecs
+ * (hexes) by converting offset coordinates to cube coordinates, so a
+ * Jump‑N ship can travel between any two worlds at distance N or less.
+ */
+
+/**
+ * Convert odd‑q offset coordinates to cube coordinates.
+ * @param {number} col – zero‑based column
+ * @param {number} row – zero‑based row
+ * @returns {{x: number, y: number, z: number}}
+ */
+function offsetToCube(col, row) {
+    const x = col;
+    const z = row - (col - (col & 1)) / 2;
+    return { x, y: -x - z, z };
+}
+
+/**
+ * Distance in parsecs between two hexes given in odd‑q offset
+ * coordinates.
+ * @param {number} colA
+ * @param {number} rowA
+ * @param {number} colB
+ * @param {number} rowB
+ * @returns {number}
+ */
+function hexDistance(colA, rowA, colB, rowB) {
+    const a = offsetToCube(colA, rowA);
+    const b = offsetToCube(colB, rowB);
+    return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y), Math.abs(a.z - b.z));
+}
+
+/**
+ * Find every pair of systems within `maxJump` parsecs of each other.
+ * Systems are objects with at least `col`, `row` (global offset
+ * coordinates) and `world`.  Each pair is reported once, as
+ * { from, to, distance } with `from` earlier than `to` in the input.
+ * Neighbours are looked up in a coordinate map rather than by comparing
+ * every pair, so the cost grows linearly with the number of systems.
+ * @param {object[]} systems
+ * @param {number} [maxJump=3]
+ * @returns {{from: object, to: object, distance: number}[]}
+ */
+function findJumpLinks(systems, maxJump = 3) {
+    const byPosition = new Map();
+    systems.forEach((system, order) => {
+        byPosition.set(`${system.col},${system.row}`, { system, order });
+    });
+    const links = [];
+    systems.forEach((system, order) => {
+        for (let dc = -maxJump; dc <= maxJump; dc++) {
+            // Rows are offset by up to half a column per column stepped
+            for (let dr = -maxJump - 1; dr <= maxJump + 1; dr++) {
+                const other = byPosition.get(`${system.col + dc},${system.row + dr}`);
+                if (!other || other.order <= order) continue;
+                const distance = hexDistance(system.col, system.row, other.system.col, other.system.row);
+                if (distance <= maxJump) {
+                    links.push({ from: system, to: other.system, distance });
+                }
+            }
+        }
+    });
+    return links;
+}
+
+/**
+ * Trade code pairings that generate trade: worlds with any code in
+ * `supply` trade with worlds with any code in `demand`.  High population
+ * and industrial worlds buy the food and luxuries of agricultural and
+ * rich worlds.
+ */
+const TRADE_PAIRS = [
+    { supply: ['Hi', 'In'], demand: ['Ag', 'Ri'] }
+];
+
+/**
+ * Decide whether two worlds trade with each other under TRADE_PAIRS,
+ * in either direction.
+ * @param {object} a – world
+ * @param {object} b – world
+ * @returns {boolean}
+ */
+function worldsTrade(a, b) {
+    const codesA = a.tradeCodes || [];
+    const codesB = b.tradeCodes || [];
+    const has = (codes, wanted) => wanted.some((code) => codes.includes(code));
+    return TRADE_PAIRS.some(({ supply, demand }) => (
+        (has(codesA, supply) && has(codesB, demand)) || (has(codesA, demand) && has(codesB, supply))
+    ));
+}
+
+/**
+ * Select the jump links that carry trade: links no longer than
+ * `maxDistance` between worlds whose trade codes complement each other.
+ * @param {{from: object, to: object, distance: number}[]} links
+ * @param {number} [maxDistance=3]
+ * @returns {{from: object, to: object, distance: number}[]}
+ */
+function findTradeRoutes(links, maxDistance = 3) {
+    return links.filter((link) => link.distance <= maxDistance && worldsTrade(link.from.world, link.to.world));
+}
+
+/**
+ * Whether a ship can refuel at a world: from a gas giant in the system
+ * or refined fuel at a class A or B starport.
+ * @param {object} world
+ * @returns {boolean}
+ */
+function canRefuel(world) {
+    const gasGiants = world.system ? world.system.gasGiants > 0 : world.gasGiant;
+    return gasGiants || world.starport === 'A' || world.starport === 'B';
+}
+
+/**
+ * Find the shortest path between two systems for a ship of the given
+ * jump rating, stopping only at systems in `systems`.  Paths are ranked
+ * by number of jumps, then (with `preferRefuel`) by the number of stops
+ * where the ship cannot refuel (see canRefuel()), then by total parsecs.
+ * With `avoidRed`, Red zone worlds are never used as stops, although the
+ * start and destination may be Red.
+ * @param {object[]} systems – as for findJumpLinks(); must include start and goal
+ * @param {object} start
+ * @param {object} goal
+ * @param {number} jump – jump rating of the ship
+ * @param {{avoidRed?: boolean, preferRefuel?: boolean}} [options]
+ * @returns {object[]|null} the systems along the path, start and goal included, or null if unreachable
+ */
+function findJumpPath(systems, start, goal, jump, { avoidRed = false, preferRefuel = false } = {}) {
+    const usable = systems.filter((system) => (
+        system === start || system === goal || !avoidRed || system.world.zone !== 'R'
+    ));
+    const neighbours = new Map(usable.map((system) => [system, []]));
+    findJumpLinks(usable, jump).forEach(({ from, to, distance }) => {
+        neighbours.get(from).push({ system: to, distance });
+        neighbours.get(to).push({ system: from, distance });
+    });
+    // Costs are compared in order: jumps, dry stops, parsecs
+    const better = (a, b) => (
+        a.jumps !== b.jumps ? a.jumps < b.jumps
+            : a.dry !== b.dry ? a.dry < b.dry
+                : a.parsecs < b.parsecs
+    );
+    const best = new Map([[start, { jumps: 0, dry: 0, parsecs: 0, previous: null }]]);
+    const done = new Set();
+    const frontier = [start];
+    while (frontier.length > 0) {
+        let next = 0;
+        for (let i = 1; i < frontier.length; i++) {
+            if (better(best.get(frontier[i]), best.get(frontier[next]))) next = i;
+        }
+        const system = frontier.splice(next, 1)[0];
+        if (done.has(system)) continue;
+        done.add(system);
+        if (system === goal) break;
+        const cost = best.get(system);
+        // A stop without fuel only counts against the path if the ship
+        // has to jump on from it
+        const dry = cost.dry + (preferRefuel && system !== start && !canRefuel(system.world) ? 1 : 0);
+        neighbours.get(system).forEach(({ system: other, distance }) => {
+            if (done.has(other)) return;
+            const candidate = { jumps: cost.jumps + 1, dry, parsecs: cost.parsecs + distance, previous: system };
+            const known = best.get(other);
+            if (!known || better(candidate, known)) {
+                best.set(other, candidate);
+                frontier.push(other);
+            }
+        });
+    }
+    if (!done.has(goal)) {
+        return null;
+    }
+    const path = [];
+    for (let system = goal; system; system = best.get(system).previous) {
+        path.unshift(system);
+    }
+    return path;
+}
+
+// Expose the route functions in the browser (page or worker) and through
+// CommonJS in Node.js, mirroring worldgen.js.
+if (typeof self !== 'undefined') {
+    self.hexDistance = hexDistance;
+    self.findJumpLinks = findJumpLinks;
+    self.findTradeRoutes = findTradeRoutes;
+    self.findJumpPath = findJumpPath;
+    self.canRefuel = canRefuel;
+}
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = { offsetToCube, hexDistance, findJumpLinks, findTradeRoutes, worldsTrade, TRADE_PAIRS, canRefuel, findJumpPath };
+}
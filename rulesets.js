@@ -0,0 +1,743 @@
+/*
+ * World generation rulesets.
+ *
+ * Each edition of the rules rolls main worlds a little differently: which
+ * dice, which DMs, how the starport is found, which Tech Levels a hostile
+ * world needs.  A ruleset writes those differences down as data, and
+ * generateWorld() in worldgen.js follows it step by step, so every
+ * edition shares one generator.  The system, the T5 extensions and the
+ * travel zone are the same whatever the ruleset.
+ *
+ * A ruleset has an id (stored in map codes, see mapcode.js), a name for
+ * the page and one entry per step, taken in this order:
+ *
+ *   size, atmosphere, hydrographics, population, government, law
+ *       { roll, add, fixed, dms, min, max }
+ *   starport
+ *       { roll, add, fixed, dms, table }
+ *   techLevel
+ *       { roll, add, fixed, dms, min, max, minimums }
+ *   tradeCodes   [ { code, when } ]
+ *   bases        [ { code, roll, thresholds, dms, unless } ]
+ *   gasGiant     { roll, target }
+ *
+ *   roll        dice expression, e.g. "2D-7" or "1D"
+ *   add         a characteristic added to the roll, e.g. "size"
+ *   fixed       [ { when, value } ]: the first entry whose condition
+ *               holds gives the value without rolling
+ *   dms         [ { when, dm } ]: every entry whose condition holds adds
+ *               its DM
+ *   min, max    the result is clamped to these (either may be left out)
+ *   table       [ { max, value } ]: the value of the first entry whose
+ *               max the total does not exceed; the last entry has no max
+ *   minimums    [ { when, min } ]: the Tech Level a world needs to
+ *               survive, applied after clamping
+ *   thresholds  base rolls by starport class: the base is present when
+ *               the roll, with its DMs, reaches the threshold; classes
+ *               not listed never have the base
+ *   unless      bases that rule this one out
+ *   target      { min, max }: range of the roll that gives a gas giant
+ *
+ * A condition ("when") maps characteristics – size, atmosphere,
+ * hydrographics, population, government, law, starport, techLevel – to a
+ * list of values or a { min, max } range; it holds when they all match.
+ * Steps draw their dice in order and skip the roll when a fixed value
+ * applies, so the Cepheus Deluxe ruleset rolls exactly what the
+ * generator did before rulesets existed and older maps keep their
+ * worlds.
+ *
+ * House rules are a ruleset written by the referee as a JSON rules
+ * document: the fields above, plus
+ *
+ *   { "format": "traveller-mapper-rules", "version": 1, "name": "…", … }
+ *
+ * serialiseRuleset() writes one from any ruleset as a starting point and
+ * parseRulesDocument() checks one and turns it into the house ruleset
+ * (id "house").  Map codes record only that house rules were used, with
+ * a checksum, so the rules travel with the map in map documents,
+ * campaigns and the rules file itself.  This file has no DOM
+ * dependencies.
+ */
+
+/** The ruleset maps use unless they choose another. */
+const DEFAULT_RULESET_ID = 'cepheus';
+
+/**
+ * Cepheus Deluxe, as this generator has always read it (see the notes in
+ * worldgen.js).
+ */
+const CEPHEUS_DELUXE_RULES = {
+    id: 'cepheus',
+    name: 'Cepheus Deluxe',
+    size: { roll: '2D-2', min: 0, max: 10 },
+    atmosphere: {
+        roll: '2D-7', add: 'size', min: 0, max: 15,
+        fixed: [{ when: { size: [0] }, value: 0 }]
+    },
+    hydrographics: {
+        roll: '2D-7', add: 'size', min: 0, max: 10,
+        fixed: [{ when: { size: [0, 1] }, value: 0 }],
+        dms: [
+            { when: { atmosphere: [0, 1, 10, 11, 12] }, dm: -4 },
+            { when: { atmosphere: [14] }, dm: -2 }
+        ]
+    },
+    population: {
+        roll: '2D-2', min: 0, max: 10,
+        dms: [
+            { when: { atmosphere: [0, 1, 10, 11, 12] }, dm: -2 },
+            { when: { atmosphere: [6] }, dm: 3 },
+            { when: { atmosphere: [5, 7, 8] }, dm: 1 },
+            { when: { hydrographics: [0], atmosphere: { max: 3 } }, dm: -1 }
+        ]
+    },
+    government: {
+        roll: '2D-7', add: 'population', min: 0, max: 15,
+        fixed: [{ when: { population: [0] }, value: 0 }]
+    },
+    law: {
+        roll: '2D-7', add: 'government', min: 0, max: 10,
+        fixed: [{ when: { government: [0] }, value: 0 }]
+    },
+    starport: {
+        roll: '2D-7', add: 'population',
+        fixed: [{ when: { population: [0] }, value: 'X' }],
+        table: [
+            { max: 2, value: 'X' },
+            { max: 4, value: 'E' },
+            { max: 6, value: 'D' },
+            { max: 8, value: 'C' },
+            { max: 10, value: 'B' },
+            { value: 'A' }
+        ]
+    },
+    techLevel: {
+        roll: '1D', min: 0,
+        dms: [
+            { when: { starport: ['A'] }, dm: 6 },
+            { when: { starport: ['B'] }, dm: 4 },
+            { when: { starport: ['C'] }, dm: 2 },
+            { when: { starport: ['X'] }, dm: -4 },
+            { when: { size: [0, 1, 10] }, dm: 2 },
+            { when: { size: [2, 3, 8, 9] }, dm: 1 },
+            { when: { atmosphere: { max: 3 } }, dm: 1 },
+            { when: { atmosphere: [10, 11, 12] }, dm: 1 },
+            { when: { hydrographics: [0, 9] }, dm: 1 },
+            { when: { hydrographics: [10] }, dm: 2 },
+            { when: { population: { min: 1, max: 5 } }, dm: 1 },
+            { when: { population: [9] }, dm: 2 },
+            { when: { population: [10] }, dm: 4 },
+            { when: { government: [0, 5, 13, 14] }, dm: 1 },
+            { when: { government: [9] }, dm: 2 }
+        ],
+        minimums: [
+            { when: { hydrographics: [0, 10], population: { min: 6 } }, min: 4 },
+            { when: { atmosphere: [4, 7, 9] }, min: 5 },
+            { when: { atmosphere: { max: 3 } }, min: 7 },
+            { when: { atmosphere: [10, 11, 12, 15] }, min: 7 }
+        ]
+    },
+    tradeCodes: [
+        { code: 'Ag', when: { size: { min: 4, max: 9 }, atmosphere: { min: 4, max: 9 }, hydrographics: { min: 5, max: 7 }, population: { min: 5, max: 7 } } },
+        { code: 'As', when: { size: [0] } },
+        { code: 'Ba', when: { population: [0] } },
+        { code: 'De', when: { atmosphere: { min: 2 }, hydrographics: [0] } },
+        { code: 'Fl', when: { atmosphere: [10, 11, 12], hydrographics: { min: 1 } } },
+        { code: 'Ga', when: { atmosphere: [5, 6, 8], hydrographics: { min: 4, max: 8 }, population: { min: 4, max: 8 } } },
+        { code: 'Hi', when: { population: { min: 9 } } },
+        { code: 'Ht', when: { techLevel: { min: 12 } } },
+        { code: 'Ic', when: { atmosphere: { max: 1 }, hydrographics: { min: 1 } } },
+        { code: 'In', when: { atmosphere: [0, 1, 2, 4, 7, 9], population: { min: 9 } } },
+        { code: 'Lo', when: { population: { min: 1, max: 3 } } },
+        { code: 'Lt', when: { techLevel: { max: 5 } } },
+        { code: 'Na', when: { atmosphere: { max: 3 }, hydrographics: { max: 3 }, population: { min: 6 } } },
+        { code: 'Ni', when: { population: { min: 4, max: 6 } } },
+        { code: 'Po', when: { atmosphere: { min: 2, max: 5 }, hydrographics: { max: 3 } } },
+        { code: 'Ri', when: { atmosphere: [6, 8], population: { min: 6, max: 8 } } },
+        { code: 'Wa', when: { hydrographics: [10] } },
+        { code: 'Va', when: { atmosphere: [0] } }
+    ],
+    bases: [
+        { code: 'N', roll: '2D', thresholds: { A: 8, B: 8 } },
+        { code: 'R', roll: '2D', thresholds: { A: 8, B: 10, C: 10 } },
+        { code: 'S', roll: '2D', thresholds: { A: 4, B: 5, C: 6, D: 7 } },
+        { code: 'P', roll: '2D', thresholds: { B: 12, C: 12, D: 12, E: 12, X: 12 }, unless: ['N'] }
+    ],
+    gasGiant: { roll: '2D', target: { min: 5 } }
+};
+
+/**
+ * Classic Traveller, Book 3 (1981): the starport comes straight off a
+ * 2D table with no population DM, population has no DMs at all, and
+ * there are no minimum Tech Levels, research or pirate bases.  Book 3
+ * has only six trade classifications and no atmosphere above C.
+ */
+const CLASSIC_TRAVELLER_RULES = {
+    id: 'classic',
+    name: 'Classic Traveller (Book 3)',
+    size: { roll: '2D-2', min: 0, max: 10 },
+    atmosphere: {
+        roll: '2D-7', add: 'size', min: 0, max: 12,
+        fixed: [{ when: { size: [0] }, value: 0 }]
+    },
+    hydrographics: {
+        roll: '2D-7', add: 'size', min: 0, max: 10,
+        fixed: [{ when: { size: [0, 1] }, value: 0 }],
+        dms: [{ when: { atmosphere: [0, 1, 10, 11, 12] }, dm: -4 }]
+    },
+    population: { roll: '2D-2', min: 0, max: 10 },
+    government: { roll: '2D-7', add: 'population', min: 0, max: 13 },
+    law: { roll: '2D-7', add: 'government', min: 0, max: 9 },
+    starport: {
+        roll: '2D',
+        table: [
+            { max: 4, value: 'A' },
+            { max: 6, value: 'B' },
+            { max: 8, value: 'C' },
+            { max: 9, value: 'D' },
+            { max: 11, value: 'E' },
+            { value: 'X' }
+        ]
+    },
+    techLevel: {
+        roll: '1D', min: 0,
+        dms: [
+            { when: { starport: ['A'] }, dm: 6 },
+            { when: { starport: ['B'] }, dm: 4 },
+            { when: { starport: ['C'] }, dm: 2 },
+            { when: { starport: ['X'] }, dm: -4 },
+            { when: { size: [0, 1] }, dm: 2 },
+            { when: { size: [2, 3, 4] }, dm: 1 },
+            { when: { atmosphere: { max: 3 } }, dm: 1 },
+            { when: { atmosphere: { min: 10 } }, dm: 1 },
+            { when: { hydrographics: [9] }, dm: 1 },
+            { when: { hydrographics: [10] }, dm: 2 },
+            { when: { population: { min: 1, max: 5 } }, dm: 1 },
+            { when: { population: [9] }, dm: 2 },
+            { when: { population: [10] }, dm: 4 },
+            { when: { government: [0, 5] }, dm: 1 },
+            { when: { government: [13] }, dm: -2 }
+        ]
+    },
+    tradeCodes: [
+        { code: 'Ag', when: { atmosphere: { min: 4, max: 9 }, hydrographics: { min: 4, max: 8 }, population: { min: 5, max: 7 } } },
+        { code: 'Na', when: { atmosphere: { max: 3 }, hydrographics: { max: 3 }, population: { min: 6 } } },
+        { code: 'In', when: { atmosphere: [0, 1, 2, 4, 7, 9], population: { min: 9 } } },
+        { code: 'Ni', when: { population: { max: 6 } } },
+        { code: 'Ri', when: { government: { min: 4, max: 9 }, atmosphere: [6, 8], population: { min: 6, max: 8 } } },
+        { code: 'Po', when: { atmosphere: { min: 2, max: 5 }, hydrographics: { max: 3 } } }
+    ],
+    bases: [
+        { code: 'N', roll: '2D', thresholds: { A: 8, B: 8 } },
+        { code: 'S', roll: '2D', thresholds: { A: 10, B: 9, C: 8, D: 7 } }
+    ],
+    gasGiant: { roll: '2D', target: { max: 9 } }
+};
+
+/**
+ * Mongoose Traveller, second edition: hydrographics follow the
+ * atmosphere rather than the size (without the temperature DMs, as
+ * temperature is not generated), the starport roll takes a population
+ * DM, an uninhabited world has no government, law or technology, and a
+ * populated world is raised to the Tech Level its atmosphere demands.
+ * Corsair bases are written as pirate bases (P).
+ */
+const MONGOOSE_2E_RULES = {
+    id: 'mongoose2',
+    name: 'Mongoose Traveller 2e',
+    size: { roll: '2D-2', min: 0, max: 10 },
+    atmosphere: {
+        roll: '2D-7', add: 'size', min: 0, max: 15,
+        fixed: [{ when: { size: [0] }, value: 0 }]
+    },
+    hydrographics: {
+        roll: '2D-7', add: 'atmosphere', min: 0, max: 10,
+        fixed: [{ when: { size: [0, 1] }, value: 0 }],
+        dms: [{ when: { atmosphere: [0, 1, 10, 11, 12] }, dm: -4 }]
+    },
+    population: { roll: '2D-2', min: 0, max: 10 },
+    government: {
+        roll: '2D-7', add: 'population', min: 0, max: 15,
+        fixed: [{ when: { population: [0] }, value: 0 }]
+    },
+    law: {
+        roll: '2D-7', add: 'government', min: 0, max: 15,
+        fixed: [{ when: { population: [0] }, value: 0 }]
+    },
+    starport: {
+        roll: '2D',
+        dms: [
+            { when: { population: { max: 2 } }, dm: -2 },
+            { when: { population: [3, 4] }, dm: -1 },
+            { when: { population: [8, 9] }, dm: 1 },
+            { when: { population: { min: 10 } }, dm: 2 }
+        ],
+        table: [
+            { max: 2, value: 'X' },
+            { max: 4, value: 'E' },
+            { max: 6, value: 'D' },
+            { max: 8, value: 'C' },
+            { max: 10, value: 'B' },
+            { value: 'A' }
+        ]
+    },
+    techLevel: {
+        roll: '1D', min: 0,
+        fixed: [{ when: { population: [0] }, value: 0 }],
+        dms: [
+            { when: { starport: ['A'] }, dm: 6 },
+            { when: { starport: ['B'] }, dm: 4 },
+            { when: { starport: ['C'] }, dm: 2 },
+            { when: { starport: ['X'] }, dm: -4 },
+            { when: { size: [0, 1] }, dm: 2 },
+            { when: { size: [2, 3, 4] }, dm: 1 },
+            { when: { atmosphere: { max: 3 } }, dm: 1 },
+            { when: { atmosphere: { min: 10 } }, dm: 1 },
+            { when: { hydrographics: [0, 9] }, dm: 1 },
+            { when: { hydrographics: [10] }, dm: 2 },
+            { when: { population: { min: 1, max: 5 } }, dm: 1 },
+            { when: { population: [8] }, dm: 1 },
+            { when: { population: [9] }, dm: 2 },
+            { when: { population: [10] }, dm: 4 },
+            { when: { government: [0, 5] }, dm: 1 },
+            { when: { government: [7] }, dm: 2 },
+            { when: { government: [13, 14] }, dm: -2 }
+        ],
+        minimums: [
+            { when: { population: { min: 1 }, atmosphere: [0, 1, 10, 15] }, min: 8 },
+            { when: { population: { min: 1 }, atmosphere: [2, 3, 13, 14] }, min: 5 },
+            { when: { population: { min: 1 }, atmosphere: [4, 7, 9] }, min: 3 },
+            { when: { population: { min: 1 }, atmosphere: [11] }, min: 9 },
+            { when: { population: { min: 1 }, atmosphere: [12] }, min: 10 }
+        ]
+    },
+    tradeCodes: [
+        { code: 'Ag', when: { atmosphere: { min: 4, max: 9 }, hydrographics: { min: 4, max: 8 }, population: { min: 5, max: 7 } } },
+        { code: 'As', when: { size: [0], atmosphere: [0], hydrographics: [0] } },
+        { code: 'Ba', when: { population: [0], government: [0], law: [0] } },
+        { code: 'De', when: { atmosphere: { min: 2, max: 9 }, hydrographics: [0] } },
+        { code: 'Fl', when: { atmosphere: { min: 10 }, hydrographics: { min: 1 } } },
+        { code: 'Ga', when: { size: { min: 6, max: 8 }, atmosphere: [5, 6, 8], hydrographics: { min: 5, max: 7 } } },
+        { code: 'Hi', when: { population: { min: 9 } } },
+        { code: 'Ht', when: { techLevel: { min: 12 } } },
+        { code: 'Ic', when: { atmosphere: [0, 1], hydrographics: { min: 1 } } },
+        { code: 'In', when: { atmosphere: [0, 1, 2, 4, 7, 9, 10, 11, 12], population: { min: 9 } } },
+        { code: 'Lo', when: { population: { min: 1, max: 3 } } },
+        { code: 'Lt', when: { population: { min: 1 }, techLevel: { max: 5 } } },
+        { code: 'Na', when: { atmosphere: { max: 3 }, hydrographics: { max: 3 }, population: { min: 6 } } },
+        { code: 'Ni', when: { population: { min: 4, max: 6 } } },
+        { code: 'Po', when: { atmosphere: { min: 2, max: 5 }, hydrographics: { max: 3 } } },
+        { code: 'Ri', when: { atmosphere: [6, 8], population: { min: 6, max: 8 }, government: { min: 4, max: 9 } } },
+        { code: 'Va', when: { atmosphere: [0] } },
+        { code: 'Wa', when: { atmosphere: [3, 4, 5, 6, 7, 8, 9, 13, 14, 15], hydrographics: [10] } }
+    ],
+    bases: [
+        { code: 'N', roll: '2D', thresholds: { A: 8, B: 8 } },
+        { code: 'S', roll: '2D', thresholds: { A: 10, B: 9, C: 9, D: 8 } },
+        {
+            code: 'P', roll: '2D', thresholds: { D: 12, E: 10, X: 10 },
+            dms: [
+                { when: { law: [0] }, dm: 2 },
+                { when: { law: { min: 2 } }, dm: -2 }
+            ]
+        }
+    ],
+    gasGiant: { roll: '2D', target: { max: 9 } }
+};
+
+/** Every built‑in ruleset, in the order the page lists them. */
+const RULESETS = [CEPHEUS_DELUXE_RULES, CLASSIC_TRAVELLER_RULES, MONGOOSE_2E_RULES];
+
+/** Id of a referee's own ruleset, read from a rules document. */
+const HOUSE_RULESET_ID = 'house';
+
+/** Identifies rules documents; checked when a document is read. */
+const RULES_DOCUMENT_FORMAT = 'traveller-mapper-rules';
+/** Version of the rules document layout. */
+const RULES_DOCUMENT_VERSION = 1;
+
+/** Characteristics in the order they are rolled. */
+const RULESET_CHARACTERISTICS = ['size', 'atmosphere', 'hydrographics', 'population', 'government', 'law', 'starport', 'techLevel'];
+const RULESET_STARPORTS = ['A', 'B', 'C', 'D', 'E', 'X'];
+// Bases the hex editor and the exports know about
+const RULESET_BASES = ['N', 'R', 'S', 'P'];
+// Largest digit eHex can write
+const RULESET_MAX_DIGIT = 33;
+
+/**
+ * Read a dice expression: a number of dice, "D" and an optional
+ * modifier, e.g. "2D-7", "1D" or "3d + 1".
+ * @param {string} expression
+ * @returns {{count: number, modifier: number}|null} null if it is not one
+ */
+function parseDice(expression) {
+    const match = /^([1-9])D([+-]\d{1,2})?$/.exec(String(expression).replace(/\s+/g, '').toUpperCase());
+    if (!match) return null;
+    return { count: parseInt(match[1], 10), modifier: match[2] ? parseInt(match[2], 10) : 0 };
+}
+
+/**
+ * Look up a ruleset by id: a built‑in one, or the house rules.
+ * @param {string} [id] – defaults to DEFAULT_RULESET_ID
+ * @param {object|null} [houseRules] – from parseRulesDocument(), for
+ *   HOUSE_RULESET_ID
+ * @returns {object}
+ * @throws {Error} if there is no such ruleset
+ */
+function getRuleset(id = DEFAULT_RULESET_ID, houseRules = null) {
+    if (id === HOUSE_RULESET_ID) {
+        if (!houseRules) {
+            throw new Error('No house rules are loaded.');
+        }
+        return houseRules;
+    }
+    const ruleset = RULESETS.find((rules) => rules.id === id);
+    if (!ruleset) {
+        throw new Error(`Unknown ruleset "${id}" (expected ${RULESETS.map((rules) => rules.id).concat(HOUSE_RULESET_ID).join(', ')}).`);
+    }
+    return ruleset;
+}
+
+/**
+ * The rules document for a ruleset, as plain data: the steps under a
+ * format tag, with the ruleset's name.  Built‑in rulesets make the
+ * starting point for house rules.
+ * @param {object} rules
+ * @returns {object}
+ */
+function rulesToDocument(rules) {
+    const doc = { format: RULES_DOCUMENT_FORMAT, version: RULES_DOCUMENT_VERSION, name: rules.name };
+    RULESET_CHARACTERISTICS.concat('tradeCodes', 'bases', 'gasGiant').forEach((key) => {
+        doc[key] = JSON.parse(JSON.stringify(rules[key]));
+    });
+    return doc;
+}
+
+/**
+ * Write a ruleset as a rules document for people to edit: nested
+ * objects and lists are kept on one line while they fit in 100
+ * characters, so each DM or trade code reads as one line.
+ * @param {object} rules
+ * @returns {string}
+ */
+function serialiseRuleset(rules) {
+    const write = (value, indent) => {
+        const inline = JSON.stringify(value);
+        if (value === null || typeof value !== 'object' || indent.length + inline.length <= 100) {
+            return inline;
+        }
+        const inner = `${indent}    `;
+        if (Array.isArray(value)) {
+            return `[\n${value.map((item) => inner + write(item, inner)).join(',\n')}\n${indent}]`;
+        }
+        const fields = Object.keys(value).map((key) => `${inner}${JSON.stringify(key)}: ${write(value[key], inner)}`);
+        return `{\n${fields.join(',\n')}\n${indent}}`;
+    };
+    return `${write(rulesToDocument(rules), '')}\n`;
+}
+
+/**
+ * Check a rules document and build the house ruleset from it.  Every
+ * problem is collected rather than just the first, so a referee can fix
+ * them all in one go; each names where it is, e.g.
+ * "techLevel.dms[3].when".  The ruleset has its fields in a fixed order,
+ * whatever order the document used.
+ * @param {object} data – the parsed document
+ * @returns {{rules: object, problems: string[]}}
+ */
+function checkRulesDocument(data) {
+    const problems = [];
+    const fail = (path, message) => problems.push(`${path}: ${message}`);
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isDigit = (value) => Number.isInteger(value) && value >= 0 && value <= RULESET_MAX_DIGIT;
+    const onlyFields = (value, path, fields) => {
+        Object.keys(value).forEach((key) => {
+            if (!fields.includes(key)) fail(path, `unknown field "${key}"`);
+        });
+    };
+    const list = (value, path) => {
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) {
+            fail(path, 'must be a list');
+            return [];
+        }
+        return value;
+    };
+    const dice = (value, path) => {
+        if (!parseDice(value)) fail(path, `"${value}" is not a dice expression such as 2D-7`);
+        return String(value);
+    };
+    // Ranges are rebuilt so equal rules always write the same JSON
+    const range = (value) => {
+        const result = {};
+        if (isObject(value) && value.min !== undefined) result.min = value.min;
+        if (isObject(value) && value.max !== undefined) result.max = value.max;
+        return result;
+    };
+    // A condition may only test what has been rolled before its step
+    const condition = (when, path, known) => {
+        if (!isObject(when)) {
+            fail(path, 'must be an object of characteristics');
+            return {};
+        }
+        const result = {};
+        Object.keys(when).forEach((key) => {
+            const allowed = when[key];
+            const at = `${path}.${key}`;
+            if (!known.includes(key)) {
+                fail(at, RULESET_CHARACTERISTICS.includes(key)
+                    ? 'is not rolled yet at this step'
+                    : `is not a characteristic (expected ${RULESET_CHARACTERISTICS.join(', ')})`);
+            } else if (Array.isArray(allowed)) {
+                const valid = key === 'starport' ? (value) => RULESET_STARPORTS.includes(value) : isDigit;
+                if (allowed.length === 0 || !allowed.every(valid)) {
+                    fail(at, key === 'starport'
+                        ? `must list starport classes (${RULESET_STARPORTS.join(', ')})`
+                        : `must list whole numbers from 0 to ${RULESET_MAX_DIGIT}`);
+                }
+            } else if (key !== 'starport' && isObject(allowed)) {
+                onlyFields(allowed, at, ['min', 'max']);
+                if ((allowed.min === undefined && allowed.max === undefined)
+                    || (allowed.min !== undefined && !isDigit(allowed.min))
+                    || (allowed.max !== undefined && !isDigit(allowed.max))
+                    || (allowed.min !== undefined && allowed.max !== undefined && allowed.min > allowed.max)) {
+                    fail(at, `needs a min and/or max from 0 to ${RULESET_MAX_DIGIT}, min no more than max`);
+                }
+            } else {
+                fail(at, key === 'starport' ? 'must be a list of starport classes' : 'must be a list of values or a { min, max } range');
+            }
+            result[key] = Array.isArray(allowed) ? allowed.slice() : range(allowed);
+        });
+        return result;
+    };
+    const dms = (value, path, known) => list(value, path).map((entry, i) => {
+        const at = `${path}[${i}]`;
+        if (!isObject(entry)) {
+            fail(at, 'must be an object with "when" and "dm"');
+            return null;
+        }
+        onlyFields(entry, at, ['when', 'dm']);
+        if (!Number.isInteger(entry.dm)) fail(`${at}.dm`, 'must be a whole number');
+        return { when: condition(entry.when, `${at}.when`, known), dm: entry.dm };
+    });
+    // A step rolls one characteristic, with the fields listed in rulesets.js
+    const step = (key) => {
+        const value = data[key];
+        const known = RULESET_CHARACTERISTICS.slice(0, RULESET_CHARACTERISTICS.indexOf(key));
+        const numeric = known.filter((name) => name !== 'starport');
+        if (!isObject(value)) {
+            fail(key, 'is missing');
+            return null;
+        }
+        const fields = ['roll', 'add', 'fixed', 'dms'].concat(key === 'starport' ? ['table'] : ['min', 'max'], key === 'techLevel' ? ['minimums'] : []);
+        onlyFields(value, key, fields);
+        const result = { roll: dice(value.roll, `${key}.roll`) };
+        if (value.add !== undefined) {
+            if (!numeric.includes(value.add)) {
+                fail(`${key}.add`, numeric.length > 0
+                    ? `must be a characteristic rolled before this one (${numeric.join(', ')})`
+                    : 'cannot be used for the first characteristic');
+            }
+            result.add = value.add;
+        }
+        if (value.fixed !== undefined) {
+            result.fixed = list(value.fixed, `${key}.fixed`).map((entry, i) => {
+                const at = `${key}.fixed[${i}]`;
+                if (!isObject(entry)) {
+                    fail(at, 'must be an object with "when" and "value"');
+                    return null;
+                }
+                onlyFields(entry, at, ['when', 'value']);
+                if (key === 'starport' ? !RULESET_STARPORTS.includes(entry.value) : !isDigit(entry.value)) {
+                    fail(`${at}.value`, key === 'starport'
+                        ? `must be a starport class (${RULESET_STARPORTS.join(', ')})`
+                        : `must be a whole number from 0 to ${RULESET_MAX_DIGIT}`);
+                }
+                return { when: condition(entry.when, `${at}.when`, known), value: entry.value };
+            });
+        }
+        if (value.dms !== undefined) {
+            result.dms = dms(value.dms, `${key}.dms`, known);
+        }
+        if (key === 'starport') {
+            const table = list(value.table, `${key}.table`);
+            if (table.length === 0) fail(`${key}.table`, 'must list the starport for each total');
+            let previous = -Infinity;
+            result.table = table.map((entry, i) => {
+                const at = `${key}.table[${i}]`;
+                const last = i === table.length - 1;
+                if (!isObject(entry)) {
+                    fail(at, 'must be an object with "max" and "value"');
+                    return null;
+                }
+                onlyFields(entry, at, ['max', 'value']);
+                if (!RULESET_STARPORTS.includes(entry.value)) fail(`${at}.value`, `must be a starport class (${RULESET_STARPORTS.join(', ')})`);
+                if (last && entry.max !== undefined) fail(at, 'the last entry takes every higher total, so it has no max');
+                if (!last && (!Number.isInteger(entry.max) || entry.max <= previous)) fail(`${at}.max`, 'must be a whole number above the one before');
+                previous = entry.max;
+                return last ? { value: entry.value } : { max: entry.max, value: entry.value };
+            });
+            return result;
+        }
+        ['min', 'max'].forEach((bound) => {
+            if (value[bound] !== undefined) {
+                if (!isDigit(value[bound])) fail(`${key}.${bound}`, `must be a whole number from 0 to ${RULESET_MAX_DIGIT}`);
+                result[bound] = value[bound];
+            }
+        });
+        if (result.min === undefined) fail(key, 'needs a min');
+        if (result.max === undefined && key !== 'techLevel') fail(key, 'needs a max');
+        if (result.min > result.max) fail(key, 'min is above max');
+        if (key === 'techLevel' && value.minimums !== undefined) {
+            result.minimums = list(value.minimums, `${key}.minimums`).map((entry, i) => {
+                const at = `${key}.minimums[${i}]`;
+                if (!isObject(entry)) {
+                    fail(at, 'must be an object with "when" and "min"');
+                    return null;
+                }
+                onlyFields(entry, at, ['when', 'min']);
+                if (!isDigit(entry.min)) fail(`${at}.min`, `must be a whole number from 0 to ${RULESET_MAX_DIGIT}`);
+                return { when: condition(entry.when, `${at}.when`, known), min: entry.min };
+            });
+        }
+        return result;
+    };
+
+    onlyFields(data, 'rules', ['format', 'version', 'name'].concat(RULESET_CHARACTERISTICS, 'tradeCodes', 'bases', 'gasGiant'));
+    if (typeof data.name !== 'string' || data.name.trim() === '' || data.name.length > 60) {
+        fail('name', 'must be a name of 1 to 60 characters');
+    }
+    const rules = { id: HOUSE_RULESET_ID, name: String(data.name || '').trim() };
+    RULESET_CHARACTERISTICS.forEach((key) => {
+        rules[key] = step(key);
+    });
+    const codes = new Set();
+    rules.tradeCodes = list(data.tradeCodes, 'tradeCodes').map((entry, i) => {
+        const at = `tradeCodes[${i}]`;
+        if (!isObject(entry)) {
+            fail(at, 'must be an object with "code" and "when"');
+            return null;
+        }
+        onlyFields(entry, at, ['code', 'when']);
+        if (typeof entry.code !== 'string' || !/^[A-Za-z0-9]{2,4}$/.test(entry.code)) {
+            fail(`${at}.code`, 'must be 2 to 4 letters or digits');
+        } else if (codes.has(entry.code)) {
+            fail(`${at}.code`, `${entry.code} is listed twice`);
+        }
+        codes.add(entry.code);
+        return { code: entry.code, when: condition(entry.when, `${at}.when`, RULESET_CHARACTERISTICS) };
+    });
+    const bases = [];
+    rules.bases = list(data.bases, 'bases').map((entry, i) => {
+        const at = `bases[${i}]`;
+        if (!isObject(entry)) {
+            fail(at, 'must be an object with "code", "roll" and "thresholds"');
+            return null;
+        }
+        onlyFields(entry, at, ['code', 'roll', 'thresholds', 'dms', 'unless']);
+        if (!RULESET_BASES.includes(entry.code)) {
+            fail(`${at}.code`, `must be one of ${RULESET_BASES.join(', ')}`);
+        } else if (bases.includes(entry.code)) {
+            fail(`${at}.code`, `${entry.code} is listed twice`);
+        }
+        const base = { code: entry.code, roll: dice(entry.roll, `${at}.roll`), thresholds: {} };
+        if (!isObject(entry.thresholds)) {
+            fail(`${at}.thresholds`, 'must give a roll for one or more starport classes');
+        } else {
+            Object.keys(entry.thresholds).forEach((port) => {
+                if (!RULESET_STARPORTS.includes(port)) fail(`${at}.thresholds`, `"${port}" is not a starport class`);
+                if (!Number.isInteger(entry.thresholds[port])) fail(`${at}.thresholds.${port}`, 'must be a whole number');
+                base.thresholds[port] = entry.thresholds[port];
+            });
+        }
+        if (entry.dms !== undefined) {
+            base.dms = dms(entry.dms, `${at}.dms`, RULESET_CHARACTERISTICS);
+        }
+        if (entry.unless !== undefined) {
+            base.unless = list(entry.unless, `${at}.unless`);
+            if (!base.unless.every((code) => bases.includes(code))) {
+                fail(`${at}.unless`, 'may only name bases listed before this one');
+            }
+        }
+        bases.push(entry.code);
+        return base;
+    });
+    const gasGiant = data.gasGiant;
+    if (!isObject(gasGiant)) {
+        fail('gasGiant', 'is missing');
+    } else {
+        onlyFields(gasGiant, 'gasGiant', ['roll', 'target']);
+        const target = gasGiant.target;
+        const bound = (value) => value === undefined || Number.isInteger(value);
+        if (!isObject(target) || (target.min === undefined && target.max === undefined) || !bound(target.min) || !bound(target.max)) {
+            fail('gasGiant.target', 'needs a whole number min and/or max for the roll');
+        } else {
+            onlyFields(target, 'gasGiant.target', ['min', 'max']);
+        }
+        rules.gasGiant = { roll: dice(gasGiant.roll, 'gasGiant.roll'), target: range(target) };
+    }
+    return { rules, problems };
+}
+
+/**
+ * Read a rules document: a JSON file written by serialiseRuleset(),
+ * probably edited since, or the same data already parsed (as held in
+ * map documents and campaigns).
+ * @param {string|object} source
+ * @returns {object} the house ruleset, for getRuleset()
+ * @throws {Error} with a message for the user, listing every problem, if
+ *   the document is unusable
+ */
+function parseRulesDocument(source) {
+    let data = source;
+    if (typeof source === 'string') {
+        try {
+            data = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`The rules are not valid JSON: ${error.message}`);
+        }
+    }
+    if (!data || typeof data !== 'object' || data.format !== RULES_DOCUMENT_FORMAT) {
+        throw new Error('This is not a Traveller Mapper rules document.');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('The rules have no valid version number; it should be a whole number such as 1.');
+    }
+    if (data.version > RULES_DOCUMENT_VERSION) {
+        throw new Error(`The rules are from a newer version of the mapper (rules format ${data.version}; this page reads ${RULES_DOCUMENT_VERSION}).`);
+    }
+    const { rules, problems } = checkRulesDocument(data);
+    if (problems.length > 0) {
+        throw new Error(`The rules have ${problems.length} problem${problems.length === 1 ? '' : 's'}:\n${problems.join('\n')}`);
+    }
+    return rules;
+}
+
+// Expose the rulesets in the browser and through CommonJS in Node.js,
+// mirroring worldgen.js.
+if (typeof self !== 'undefined') {
+    self.DEFAULT_RULESET_ID = DEFAULT_RULESET_ID;
+    self.HOUSE_RULESET_ID = HOUSE_RULESET_ID;
+    self.RULESETS = RULESETS;
+    self.RULESET_MAX_DIGIT = RULESET_MAX_DIGIT;
+    self.parseDice = parseDice;
+    self.getRuleset = getRuleset;
+    self.rulesToDocument = rulesToDocument;
+    self.serialiseRuleset = serialiseRuleset;
+    self.parseRulesDocument = parseRulesDocument;
+}
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = {
+        DEFAULT_RULESET_ID,
+        HOUSE_RULESET_ID,
+        RULES_DOCUMENT_FORMAT,
+        RULES_DOCUMENT_VERSION,
+        RULESETS,
+        RULESET_MAX_DIGIT,
+        parseDice,
+        getRuleset,
+        rulesToDocument,
+        serialiseRuleset,
+        parseRulesDocument
+    };
+}
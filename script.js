@@ -31,6 +31,13 @@ document.addEventListener('DOMContentLoaded', () => {
     const includeXmlMetadataCheckbox = document.getElementById('includeXmlMetadata');
     const t5FormatRadios = document.querySelectorAll('input[name="t5Format"]');
     const t5Output = document.getElementById('t5Output');
+    // T5 import controls
+    const t5Input = document.getElementById('t5Input');
+    const t5FileInput = document.getElementById('t5File');
+    const t5ImportReplaceCheckbox = document.getElementById('t5ImportReplace');
+    const importT5Btn = document.getElementById('importT5');
+    const clearImportBtn = document.getElementById('clearImport');
+    const t5ImportReport = document.getElementById('t5ImportReport');
     // Randomize seed button
     const randomizeBtn = document.getElementById('randomizeSeed');
     // Zoom controls
@@ -40,6 +47,38 @@ document.addEventListener('DOMContentLoaded', () => {
     // Simulation scale controls
     const simScaleSlider = document.getElementById('simScale');
     const simScaleValue = document.getElementById('simScaleValue');
+    // Advanced simulation controls: a preset select and one slider per
+    // tunable parameter (ids are 'sim' + the parameter name capitalised)
+    const simPresetSelect = document.getElementById('simPreset');
+    const simParamControls = SIMULATION_TUNABLES.map((key) => {
+        const id = `sim${key[0].toUpperCase()}${key.slice(1)}`;
+        return { key, slider: document.getElementById(id), value: document.getElementById(`${id}Value`) };
+    }).filter(({ slider }) => slider);
+    // Density generator weight sliders (ids are 'gen' + the generator
+    // name capitalised + 'Weight')
+    const generatorControls = Object.keys(DENSITY_GENERATORS).map((name) => {
+        const id = `gen${name[0].toUpperCase()}${name.slice(1)}Weight`;
+        return { name, slider: document.getElementById(id), value: document.getElementById(`${id}Value`) };
+    }).filter(({ slider }) => slider);
+    // Density brush controls
+    const brushModeSelect = document.getElementById('brushMode');
+    const brushRadiusSlider = document.getElementById('brushRadius');
+    const brushRadiusValue = document.getElementById('brushRadiusValue');
+    const brushStrengthSlider = document.getElementById('brushStrength');
+    const brushStrengthValue = document.getElementById('brushStrengthValue');
+    const undoMaskBtn = document.getElementById('undoMask');
+    const redoMaskBtn = document.getElementById('redoMask');
+    const clearMaskBtn = document.getElementById('clearMask');
+    // Density image controls
+    const densityImageFileInput = document.getElementById('densityImageFile');
+    const densityImageModeSelect = document.getElementById('densityImageMode');
+    const densityImageWeightSlider = document.getElementById('densityImageWeight');
+    const densityImageWeightValue = document.getElementById('densityImageWeightValue');
+    const densityImageInfo = document.getElementById('densityImageInfo');
+    const clearDensityImageBtn = document.getElementById('clearDensityImage');
+    // Simulation area and normalisation selects
+    const simulationAreaSelect = document.getElementById('simulationArea');
+    const normalisationSelect = document.getElementById('normalisation');
     // Saturate controls
     const saturateSlider = document.getElementById('saturate');
     const saturateValue = document.getElementById('saturateValue');
@@ -49,6 +88,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Seed input and display elements
     const seedInput = document.getElementById('seedInput');
     const seedDisplay = document.getElementById('seedDisplay');
+    const seedMessage = document.getElementById('seedMessage');
 
     // Printable mode checkbox
     const printableCheckbox = document.getElementById('printable');
@@ -58,8 +98,25 @@ document.addEventListener('DOMContentLoaded', () => {
     // reference them.  Defining them here avoids reference errors
     // caused by temporal dead zones when using `let` declarations.
     let showBoundaries = true;
+    // Jump/trade route overlay and the longest jump drawn
+    let showRoutes = false;
+    let routeJumpMax = 2;
+    // Polity border overlay
+    let showPolities = false;
     let generateWholeWorlds = true;
     let worlds = [];
+    // Locked hexes: hexes edited by hand or loaded from a T5 file rather
+    // than derived from the density field.  Maps a global cell index to
+    // the locked world, or to null for a hex locked as empty.  Locked
+    // hexes survive regeneration, threshold changes and exports.
+    let worldOverrides = new Map();
+    // Global index of the hex open in the hex editor; null when closed
+    let selectedHex = null;
+    // Bases of the world in the hex editor that have no checkbox (e.g.
+    // T5 codes from an imported file), kept when the world is saved
+    let hexEditOtherBases = [];
+    // Global indices of the worlds along the planned route, start first
+    let plannedPath = [];
 
     // Presence threshold controls
     const presenceSlider = document.getElementById('presenceThreshold');
@@ -78,18 +135,99 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Route overlay checkbox and jump rating
+    const routesCheckbox = document.getElementById('showRoutes');
+    const routeJumpSelect = document.getElementById('routeJump');
+    if (routesCheckbox) {
+        routesCheckbox.checked = showRoutes;
+        routesCheckbox.addEventListener('change', () => {
+            showRoutes = routesCheckbox.checked;
+            drawHexGrid();
+            updateEncodedSeedString();
+        });
+    }
+    // Polity border checkbox
+    const politiesCheckbox = document.getElementById('showPolities');
+    if (politiesCheckbox) {
+        politiesCheckbox.checked = showPolities;
+        politiesCheckbox.addEventListener('change', () => {
+            showPolities = politiesCheckbox.checked;
+            drawHexGrid();
+            updateEncodedSeedString();
+        });
+    }
+    if (routeJumpSelect) {
+        routeJumpSelect.value = String(routeJumpMax);
+        routeJumpSelect.addEventListener('change', () => {
+            routeJumpMax = parseInt(routeJumpSelect.value, 10);
+            if (showRoutes) {
+                drawHexGrid();
+            }
+            updateEncodedSeedString();
+        });
+    }
+
 
     // Single world generator controls
     const generateWorldBtn = document.getElementById('generateWorldBtn');
     const worldOutput = document.getElementById('worldOutput');
     if (generateWorldBtn) {
         generateWorldBtn.addEventListener('click', () => {
-            const world = generateWorld();
+            const trace = [];
+            const world = generateWorld(Math.random, currentRuleset(), trace);
             const uwpStr = worldToUWP(world);
-            worldOutput.textContent = uwpStr + '\n' + formatWorldInfo(world);
+            worldOutput.textContent = uwpStr + '\n' + formatWorldInfo(world) + '\n\nHow it was rolled:\n' + formatRollTrace(trace);
         });
     }
 
+    // World generation rules
+    const rulesetSelect = document.getElementById('ruleset');
+
+    // World name controls
+    const nameSourceSelect = document.getElementById('nameSource');
+    const nameListFileInput = document.getElementById('nameListFile');
+    const nameListInfo = document.getElementById('nameListInfo');
+
+    // Hex editor controls
+    const hexEditor = document.getElementById('hexEditor');
+    const hexEditorTitle = document.getElementById('hexEditorTitle');
+    const hexEditorLocked = document.getElementById('hexEditorLocked');
+    const hexEditName = document.getElementById('hexEditName');
+    const hexEditStarport = document.getElementById('hexEditStarport');
+    const hexEditZone = document.getElementById('hexEditZone');
+    const hexEditGasGiant = document.getElementById('hexEditGasGiant');
+    const hexEditTradeCodes = document.getElementById('hexEditTradeCodes');
+    const hexEditIssues = document.getElementById('hexEditIssues');
+    const hexEditRolls = document.getElementById('hexEditRolls');
+    const hexEditRollsOutput = document.getElementById('hexEditRollsOutput');
+    const hexEditBaseCheckboxes = document.querySelectorAll('input[name="hexEditBase"]');
+    // World check controls
+    const flagWorldProblemsCheckbox = document.getElementById('flagWorldProblems');
+    const worldCheckReport = document.getElementById('worldCheckReport');
+    // Numeric UWP fields, keyed by world property
+    const hexEditDigits = {
+        size: document.getElementById('hexEditSize'),
+        atmosphere: document.getElementById('hexEditAtmosphere'),
+        hydrographics: document.getElementById('hexEditHydrographics'),
+        population: document.getElementById('hexEditPopulation'),
+        government: document.getElementById('hexEditGovernment'),
+        law: document.getElementById('hexEditLaw'),
+        techLevel: document.getElementById('hexEditTechLevel')
+    };
+
+    // Map generation progress
+    const generationProgress = document.getElementById('generationProgress');
+    const generationProgressBar = document.getElementById('generationProgressBar');
+    const generationProgressLabel = document.getElementById('generationProgressLabel');
+
+    // Route planner controls
+    const routeFromInput = document.getElementById('routeFrom');
+    const routeToInput = document.getElementById('routeTo');
+    const routePlanJumpSelect = document.getElementById('routePlanJump');
+    const routeAvoidRedCheckbox = document.getElementById('routeAvoidRed');
+    const routePreferRefuelCheckbox = document.getElementById('routePreferRefuel');
+    const routePlanOutput = document.getElementById('routePlanOutput');
+
     // Tooltip functionality has been disabled.  Previously, world details were
     // shown on mouseover, but the user requested that detailed information
     // instead be displayed on the map itself.  We still keep a reference
@@ -101,14 +239,13 @@ document.addEventListener('DOMContentLoaded', () => {
         tooltipEl.style.display = 'none';
     }
 
-    // Hex grid configuration
+    // Hex grid configuration (see MAP_LAYOUT in engine.js)
     // Each subsector contains a fixed number of columns and rows of hexes
-    let subCols = 8;    // columns per subsector (west–east)
-    let subRows = 10;   // rows per subsector (north–south)
-    // A sector is comprised of multiple subsectors.  Adjust these values to
-    // control how many subsectors appear horizontally and vertically.
-    const baseSubSectorCols = 8; // number of subsectors across in the full map
-    const baseSubSectorRows = 8; // number of subsectors down in the full map
+    let subCols = MAP_LAYOUT.subCols;    // columns per subsector (west–east)
+    let subRows = MAP_LAYOUT.subRows;    // rows per subsector (north–south)
+    // A sector is comprised of multiple subsectors
+    const baseSubSectorCols = MAP_LAYOUT.subsectorCols; // number of subsectors across in the full map
+    const baseSubSectorRows = MAP_LAYOUT.subsectorRows; // number of subsectors down in the full map
     // Displayed subsector counts (may be smaller than the base)
     let displaySubSectorCols = 4;
     let displaySubSectorRows = 4;
@@ -127,25 +264,29 @@ document.addEventListener('DOMContentLoaded', () => {
     // higher‑resolution output.
     const maxCanvasWidth = 1200;
     const maxCanvasHeight = 1200;
-
-    // Simulation parameters
-    // Each run uses a deposit grid derived from the cell count and a base size.
-    // To avoid perfectly symmetric patterns, runSimulation() adds small random
-    // offsets to the grid dimensions.  Those dimensions are therefore
-    // determined inside runSimulation().
-    const depositCellSize = 10; // base size in simulation grid cells per hex
-    const agentCount = 300;      // number of agents to simulate
-    const iterations = 200;      // number of simulation steps (reduced for performance with multiple subsectors)
-    const sensorDistance = 2;    // sensor distance in deposit grid cells
-    const sensorAngle = 0.5;     // angle offset (radians) for left/right sensors (approx 28.6°)
-    const rotationAngle = 0.3;   // how sharply agents turn towards higher deposit (radians ≈ 17°)
-    const stepSize = 1;          // move distance per step (in deposit grid cells)
-    const depositAmount = 1;     // deposit amount added at each agent position
-    const diffusionRate = 0.2;   // diffusion rate for trail (controls how quickly trail spreads)
-    const decayRate = 0.96;      // decay factor for trail each iteration (multiplier < 1)
+    // Sector labels used in T5 exports, indexed by sectorY * 2 + sectorX
+    // within the 2×2 vastness layout.
+    const sectorLabels = MAP_SECTOR_LABELS;
 
     // Internal state: array of length baseCols*baseRows storing accumulated trail per hex
     let cellIntensities = new Array(baseCols * baseRows).fill(0);
+    // Painted density mask: for every global cell, hundredths (−100 to
+    // 100) added to the normalised density before quantisation.  Like
+    // locked hexes, the painting survives regeneration.
+    let densityMask = new Int8Array(baseCols * baseRows);
+    // Earlier and undone masks for undo/redo, most recent last
+    let maskUndoStack = [];
+    let maskRedoStack = [];
+    const maxMaskUndo = 50;
+    // Imported density image resampled to one brightness (0–1) per global
+    // cell, or null; it replaces the simulated field or is blended with it
+    // by densityImageWeight
+    let densityImage = null;
+    let densityImageMode = 'replace';
+    let densityImageWeight = 0.5;
+    // Brush stroke in progress: the mask before the stroke and the
+    // strongest brush weight each hex has received during it
+    let brushStroke = null;
 
     // State for UI features
     // Current zoom factor; used to scale the canvas via CSS transform
@@ -160,6 +301,14 @@ document.addEventListener('DOMContentLoaded', () => {
     let currentSideLen = 0;
     // Simulation scale factor controlling agent sensor distance and step size
     let simulationScale = 1.0;
+    // Tunable Physarum parameters (see SIMULATION_TUNABLES)
+    let simulationParams = Object.assign({}, SIMULATION_PRESETS.default);
+    // Density generators mixed into the field, as { name, weight }
+    let densityGenerators = DEFAULT_GENERATORS.map((g) => Object.assign({}, g));
+    // Area each density simulation covers (a key of SIMULATION_AREA_SIZES in engine.js) and
+    // area intensities are normalised over (a key of NORMALISATION_AREA_SIZES)
+    let simulationArea = simulationAreaSelect ? simulationAreaSelect.value : 'subsector';
+    let normalisation = normalisationSelect ? normalisationSelect.value : 'subsector';
     // Display mode: 'density' shows world presence; 'dm' shows world occurrence DM values
     let displayMode = 'density';
     // Whole world generation is derived from display mode.
@@ -174,12 +323,41 @@ document.addEventListener('DOMContentLoaded', () => {
     // showBoundaries, generateWholeWorlds and worlds are declared earlier near the
     // top of the DOMContentLoaded handler.
 
-    // Seeded random number generator state.  To reproduce patterns, we use a
-    // simple linear congruential generator (LCG) instead of Math.random()
-    // during the simulation.  currentSeed holds the seed used for the
-    // current map.  rngState stores the internal state of the LCG.
+    // Seed of the current map.  The density simulation draws from a
+    // simple linear congruential generator (LCG) seeded with it instead
+    // of Math.random(), so the same seed reproduces the same map.
     let currentSeed = 0;
-    let rngState = 0;
+    // Map generation runs in a Web Worker (see simulation-worker.js).
+    // generationId identifies the latest run so results from a cancelled
+    // run are ignored; simulationWorker is created on first use and
+    // replaced whenever a run is cancelled.
+    let generationId = 0;
+    let simulationWorker = null;
+    let workersUnavailable = typeof Worker === 'undefined';
+    // Resolves the promise of the run in progress when it is cancelled
+    let pendingGeneration = null;
+    // Whether a redraw is already queued for the next animation frame
+    let redrawQueued = false;
+    // Permalink: the hash last written to the address bar, so our own
+    // writes are not mistaken for navigation, and the hash waiting to be
+    // written while a slider is being dragged
+    let lastPermalinkHash = '';
+    let pendingPermalinkHash = null;
+    let permalinkTimer = null;
+
+    // World naming.  Generated names come from their own per‑hex stream
+    // (see getWorldName() in engine.js), are cached per global cell and
+    // are never stored on the world, so switching the name source renames
+    // every world that has not been named by hand.
+    let nameSource = nameSourceSelect ? nameSourceSelect.value : 'markov';
+    let customNames = [];
+    let customNameModel = null;
+    let nameCache = new Map();
+
+    // Ruleset every world not locked by hand is rolled with (see rulesets.js)
+    let ruleset = rulesetSelect ? rulesetSelect.value : DEFAULT_RULESET_ID;
+    // The house ruleset last applied in the House Rules panel, or null
+    let houseRules = null;
 
     // Presence threshold: minimum quantised level (1‑indexed) for a world to be present
     let presenceThresholdVal = parseInt(presenceSlider.value, 10);
@@ -207,254 +385,378 @@ document.addEventListener('DOMContentLoaded', () => {
         displayRows = subRows * displaySubSectorRows;
         displayOffsetSubsectorX = 0;
         displayOffsetSubsectorY = 0;
-        // Reset selected subsector and hide download button
+        // Reset selected subsector and hex and hide download button
         selectedSubsector = null;
         downloadSubsectorBtn.style.display = 'none';
+        closeHexEditor();
         if (redraw) {
             drawHexGrid();
         }
     }
 
     /**
-     * Update the encoded seed string displayed in the seed input and
-     * seed display.  Uses the current bit depth, simulation scale,
-     * density, density threshold, generation mode, map mode, overlays
-     * and numeric seed.  Does not change the numeric seed.  Call this
-     * whenever UI controls change so the prefix reflects the latest
-     * parameters.
+     * Collect every setting a map code records (see mapcode.js) from the
+     * current state.
+     * @returns {object}
      */
-    function updateEncodedSeedString() {
-        const levels = bitDepthSlider.value;
-        const scaleVal = parseFloat(simScaleSlider.value).toFixed(1);
-        const densityVal = parseFloat(saturateSlider.value).toFixed(1);
-        const thresholdVal = parseInt(presenceSlider.value, 10);
-        const modeCode = (displayMode === 'dm') ? 'o' : 'g';
-        const mapCode = (mapMode === 'vastness') ? 'v' : 's';
-        const boundaryCode = showBoundaries ? 'b' : 'n';
-        // Encode printable mode as 'p' for printable and 'n' for normal
-        const printableCode = printableMode ? 'p' : 'n';
-        const encoded = `${levels}-${scaleVal}-${densityVal}-${thresholdVal}-${modeCode}-${mapCode}-${boundaryCode}-${printableCode}-${currentSeed}`;
-        seedInput.value = encoded;
-        seedDisplay.textContent = `Seed ${encoded}`;
+    function currentMapSettings() {
+        return {
+            seed: currentSeed,
+            levels: parseInt(bitDepthSlider.value, 10),
+            scale: parseFloat(simScaleSlider.value),
+            saturate: parseFloat(saturateSlider.value),
+            threshold: parseInt(presenceSlider.value, 10),
+            displayMode,
+            mapMode,
+            showBoundaries,
+            printable: printableMode,
+            showRoutes,
+            showPolities,
+            routeJump: routeJumpMax,
+            nameSource,
+            ruleset,
+            houseRulesChecksum: ruleset === HOUSE_RULESET_ID ? houseRulesChecksum(houseRules) : undefined,
+            simulationArea,
+            normalisation,
+            simulationParams,
+            generators: densityGenerators,
+            densityMask,
+            densityImage: densityImage ? { mode: densityImageMode, weight: densityImageWeight } : null
+        };
     }
 
     /**
-     * Initialise the seeded RNG with a 32‑bit integer seed.  All random
-     * numbers used in runSimulation() will be derived from this state.
-     * Using a deterministic generator allows users to reproduce maps by
-     * specifying the same seed.
-     * @param {number} seed – the initial seed value
+     * Put the map code for the current settings and seed in the seed
+     * input, and show the numeric seed beside it.  Does not change the
+     * numeric seed.  Call this whenever a setting the code records
+     * changes so the input always reproduces the map on screen; the
+     * permalink is updated with it.
+     * @param {{newHistoryEntry: boolean}} [options] – pass true for a newly
+     *   generated map so back returns to the previous one
      */
-    function setSeed(seed) {
-        // Ensure the seed is a 32‑bit unsigned integer
-        rngState = (seed >>> 0);
+    function updateEncodedSeedString({ newHistoryEntry = false } = {}) {
+        seedInput.value = encodeMapCode(currentMapSettings());
+        seedDisplay.textContent = `Seed ${currentSeed}`;
+        updatePermalink({ newHistoryEntry });
     }
 
     /**
-     * Generate a pseudorandom number in [0,1) using a simple LCG.
-     * Each call updates the internal state.  See Numerical Recipes for
-     * constants.  We return a float by dividing by 2^32.
-     * @returns {number} a pseudorandom float in [0,1)
+     * Build the permalink for the current view: the map code, the hex
+     * edits (see encodeWorldEdits()), the selected subsector and the zoom.
+     * @returns {string} the hash, starting with '#'
      */
-    function seededRandom() {
-        // LCG parameters: same as in glibc
-        rngState = (rngState * 1664525 + 1013904223) >>> 0;
-        return rngState / 4294967296;
+    function buildPermalinkHash() {
+        const params = new URLSearchParams();
+        params.set('map', seedInput.value);
+        const edits = encodeWorldEdits(worldOverrides);
+        if (edits) {
+            params.set('edits', edits);
+        }
+        if (selectedSubsector) {
+            params.set('sub', `${selectedSubsector.sx}.${selectedSubsector.sy}`);
+        }
+        params.set('zoom', String(zoomFactor));
+        return `#${params.toString()}`;
     }
 
-    // Expose the seeded RNG to worldgen.js so that world generation can
-    // consume the same deterministic random numbers.  If window.seededRandom
-    // is already defined we overwrite it to ensure consistency.
-    if (typeof window !== 'undefined') {
-        window.seededRandom = seededRandom;
+    /**
+     * Write the permalink to location.hash.  A new map gets a new history
+     * entry; any other change replaces the current entry, a moment later
+     * so dragging a slider does not flood the browser's history.
+     * @param {{newHistoryEntry: boolean}} [options]
+     */
+    function updatePermalink({ newHistoryEntry = false } = {}) {
+        clearTimeout(permalinkTimer);
+        const hash = buildPermalinkHash();
+        if (newHistoryEntry) {
+            // Settle the previous map's entry before leaving it
+            if (pendingPermalinkHash !== null) {
+                history.replaceState(null, '', pendingPermalinkHash);
+                lastPermalinkHash = pendingPermalinkHash;
+                pendingPermalinkHash = null;
+            }
+            if (hash !== lastPermalinkHash) {
+                lastPermalinkHash = hash;
+                history.pushState(null, '', hash);
+            }
+            return;
+        }
+        pendingPermalinkHash = hash;
+        permalinkTimer = setTimeout(() => {
+            if (pendingPermalinkHash !== lastPermalinkHash) {
+                lastPermalinkHash = pendingPermalinkHash;
+                history.replaceState(null, '', pendingPermalinkHash);
+            }
+            pendingPermalinkHash = null;
+        }, 250);
     }
 
     /**
-     * Run the slime‑mold simulation on a small 2D grid.  Returns a flat array
-     * of length simWidth × simHeight representing the amount of trail at each
-     * cell after diffusion and decay.  Uses a simplified version of the
-     * agent‑based Physarum algorithm: each agent senses the pheromone field
-     * straight ahead and slightly to the left and right, turns toward the
-     * strongest signal, moves forward, deposits trail, and the trail
-     * diffuses and decays.
+     * Set the zoom and the selected subsector, as saved in a permalink or
+     * campaign.  A zoom outside the slider's range is clamped and a
+     * subsector outside the map is ignored.
+     * @param {number} zoom – NaN to keep the current zoom
+     * @param {{sx: number, sy: number}|null} subsector
      */
-    function runSimulation(nCols = subCols, nRows = subRows) {
-        // Determine grid dimensions with small random offsets to avoid symmetric
-        // patterns.  The base dimension is number of hex columns/rows times the
-        // depositCellSize plus a random offset between 1 and 4.
-        // Use seeded random numbers to determine small offsets; ensures
-        // determinism when a seed is provided.  Offsets in the range [1,4].
-        const randOffX = Math.floor(seededRandom() * 4) + 1;
-        const randOffY = Math.floor(seededRandom() * 4) + 1;
-        const simWidth = nCols * depositCellSize + randOffX;
-        const simHeight = nRows * depositCellSize + randOffY;
-
-        // Create deposit field and scratch buffer for diffusion
-        const deposit = new Float32Array(simWidth * simHeight);
-        const newDeposit = new Float32Array(simWidth * simHeight);
-
-        // Initialise deposit with a little random noise to break symmetry
-        for (let i = 0; i < deposit.length; i++) {
-            deposit[i] = seededRandom() * 0.01;
-        }
-
-        // Determine scaled parameters based on simulation scale factor.  We
-        // multiply the sensor distance and step size by simulationScale and
-        // also scale the rotation angle proportionally for consistent
-        // behaviour across scales.
-        const sDistScaled = sensorDistance * simulationScale;
-        const stepScaled = stepSize * simulationScale;
-        const rotScaled = rotationAngle * simulationScale;
-        const sensorAngleScaled = sensorAngle; // keep sensor angle constant
-
-        // Initialise agents at random positions and headings
-        const agents = [];
-        for (let i = 0; i < agentCount; i++) {
-            agents.push({
-                x: seededRandom() * simWidth,
-                y: seededRandom() * simHeight,
-                angle: seededRandom() * Math.PI * 2
-            });
+    function restoreView(zoom, subsector) {
+        if (isFinite(zoom)) {
+            zoomFactor = Math.min(parseFloat(zoomSlider.max), Math.max(parseFloat(zoomSlider.min), zoom));
+            zoomSlider.value = zoomFactor;
+            zoomValue.textContent = zoomFactor.toFixed(2) + '×';
         }
+        const inMap = subsector && subsector.sx < displaySubSectorCols && subsector.sy < displaySubSectorRows;
+        selectedSubsector = inMap ? { sx: subsector.sx, sy: subsector.sy } : null;
+        downloadSubsectorBtn.style.display = selectedSubsector ? 'inline-block' : 'none';
+    }
 
-        // Helper to sample deposit at floating coordinates with clamping
-        function sampleAt(x, y) {
-            const xi = Math.floor(x);
-            const yi = Math.floor(y);
-            if (xi < 0 || xi >= simWidth || yi < 0 || yi >= simHeight) {
-                return 0;
-            }
-            return deposit[yi * simWidth + xi];
-        }
-
-        // Main simulation loop
-        for (let iter = 0; iter < iterations; iter++) {
-            // Agents: sense, turn, move, deposit
-            for (let a = 0; a < agentCount; a++) {
-                const agent = agents[a];
-                // Sample deposit at sensors: ahead, left, right
-                const ax = agent.x;
-                const ay = agent.y;
-                const heading = agent.angle;
-                // centre sensor
-                const cx = ax + Math.cos(heading) * sDistScaled;
-                const cy = ay + Math.sin(heading) * sDistScaled;
-                const centre = sampleAt(cx, cy);
-                // left sensor
-                const lx = ax + Math.cos(heading - sensorAngleScaled) * sDistScaled;
-                const ly = ay + Math.sin(heading - sensorAngleScaled) * sDistScaled;
-                const left = sampleAt(lx, ly);
-                // right sensor
-                const rx = ax + Math.cos(heading + sensorAngleScaled) * sDistScaled;
-                const ry = ay + Math.sin(heading + sensorAngleScaled) * sDistScaled;
-                const right = sampleAt(rx, ry);
-                // Turn based on sensor readings
-                if (centre > left && centre > right) {
-                    // keep going straight
-                } else if (left > right) {
-                    agent.angle -= rotScaled;
-                } else if (right > left) {
-                    agent.angle += rotScaled;
-                } else {
-                    // When all are equal or centre lowest, randomise direction slightly
-                    agent.angle += (seededRandom() - 0.5) * rotScaled;
-                }
-                // Move forward
-                agent.x += Math.cos(agent.angle) * stepScaled;
-                agent.y += Math.sin(agent.angle) * stepScaled;
-                // Reflective boundaries: bounce agents off the edges to
-                // prevent perfectly symmetric wrap‑around patterns
-                if (agent.x < 0) {
-                    agent.x = 0;
-                    agent.angle = Math.PI - agent.angle;
-                } else if (agent.x >= simWidth - 1) {
-                    agent.x = simWidth - 1;
-                    agent.angle = Math.PI - agent.angle;
-                }
-                if (agent.y < 0) {
-                    agent.y = 0;
-                    agent.angle = -agent.angle;
-                } else if (agent.y >= simHeight - 1) {
-                    agent.y = simHeight - 1;
-                    agent.angle = -agent.angle;
-                }
-                // Deposit trail
-                const ix = Math.floor(agent.x);
-                const iy = Math.floor(agent.y);
-                deposit[iy * simWidth + ix] += depositAmount;
+    /**
+     * Restore the view described by a permalink hash.  The map is only
+     * regenerated when its code differs from the map on screen, so
+     * stepping back to a view of the same map is instant.
+     * @param {string} hash
+     * @param {{force: boolean}} [options] – regenerate whatever the code
+     * @returns {boolean} false if the hash holds no map or cannot be read
+     *   (the reason is shown under the seed input)
+     */
+    function restorePermalink(hash, { force = false } = {}) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const code = params.get('map');
+        if (!code) {
+            return false;
+        }
+        let result;
+        let overrides;
+        try {
+            result = readMapCode(code, baseCols * baseRows);
+            overrides = decodeWorldEdits(params.get('edits') || '', baseCols * baseRows);
+        } catch (error) {
+            showSeedMessage(`Could not open this link. ${error.message}`, true);
+            return false;
+        }
+        // Drop a write still waiting for the view being left
+        clearTimeout(permalinkTimer);
+        pendingPermalinkHash = null;
+        const previousCode = encodeMapCode(currentMapSettings());
+        const note = applyMapSettings(result.settings);
+        currentSeed = result.settings.seed;
+        showSeedMessage(note);
+        worldOverrides = overrides;
+        closeHexEditor();
+        const sub = /^(\d+)\.(\d+)$/.exec(params.get('sub') || '');
+        restoreView(parseFloat(params.get('zoom')), sub ? { sx: parseInt(sub[1], 10), sy: parseInt(sub[2], 10) } : null);
+        if (force || encodeMapCode(currentMapSettings()) !== previousCode) {
+            generateMap();
+        } else {
+            drawHexGrid();
+        }
+        // The hash now describes the page: remember it, and rewrite it if
+        // it held an old seed string
+        lastPermalinkHash = hash;
+        updateEncodedSeedString();
+        return true;
+    }
+
+    /**
+     * Show the simulation parameters and density generator weights on the
+     * advanced simulation sliders and select the matching preset, or
+     * "Custom" if none matches.
+     */
+    function syncSimulationControls() {
+        simParamControls.forEach(({ key, slider, value }) => {
+            slider.value = simulationParams[key];
+            if (value) {
+                value.textContent = String(simulationParams[key]);
             }
-            // Diffuse and decay the deposit field
-            for (let y = 0; y < simHeight; y++) {
-                for (let x = 0; x < simWidth; x++) {
-                    const idx = y * simWidth + x;
-                    // Compute sum of four neighbors (wrap for diffusion)
-                    const up = deposit[((y - 1 + simHeight) % simHeight) * simWidth + x];
-                    const down = deposit[((y + 1) % simHeight) * simWidth + x];
-                    const leftVal = deposit[y * simWidth + ((x - 1 + simWidth) % simWidth)];
-                    const rightVal = deposit[y * simWidth + ((x + 1) % simWidth)];
-                    const average = (up + down + leftVal + rightVal) * 0.25;
-                    // Apply diffusion and decay
-                    let val = deposit[idx] + diffusionRate * (average - deposit[idx]);
-                    val *= decayRate;
-                    newDeposit[idx] = val;
-                }
+        });
+        if (simPresetSelect) {
+            simPresetSelect.value = findSimulationPreset(simulationParams) || 'custom';
+        }
+        generatorControls.forEach(({ name, slider, value }) => {
+            const active = densityGenerators.find((g) => g.name === name);
+            slider.value = active ? active.weight : 0;
+            if (value) {
+                value.textContent = slider.value;
             }
-            // Swap buffers by copying newDeposit back into deposit
-            deposit.set(newDeposit);
+        });
+    }
+
+    // The map engine (engine.js) reads the map through these getters, so
+    // it always sees the current state
+    const mapModel = createMapModel({
+        get seed() { return currentSeed; },
+        get levels() { return parseInt(bitDepthSlider.value, 10); },
+        get saturate() { return saturateFactor; },
+        get threshold() { return presenceThresholdVal; },
+        get normalisation() { return normalisation; },
+        get mapMode() { return mapMode; },
+        get displayMode() { return displayMode; },
+        get routeJump() { return routeJumpMax; },
+        get nameSource() { return nameSource; },
+        get ruleset() { return ruleset; },
+        get houseRules() { return houseRules; },
+        get customNames() { return customNames; },
+        get customNameModel() { return customNameModel; },
+        get cellIntensities() { return cellIntensities; },
+        get densityMask() { return densityMask; },
+        get densityImage() { return densityImage; },
+        get worlds() { return worlds; },
+        get names() { return nameCache; },
+        get overrides() { return worldOverrides; },
+        get settings() { return currentMapSettings(); }
+    });
+    const {
+        computeSubsectorRanges,
+        getCellLevel,
+        isWorldPresent,
+        getOrCreateWorld,
+        traceWorld,
+        getWorldName,
+        getSectorDetails,
+        collectSystems,
+        computeRoutes,
+        computePolities,
+        buildT5Rows,
+        checkWorlds
+    } = mapModel;
+
+    /**
+     * Draw a travel zone circle around a hex centre, amber or red as on
+     * standard Traveller maps.  In printable mode Amber zones are dashed
+     * so the two can be told apart in black and white.
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} cx – hex centre x
+     * @param {number} cy – hex centre y
+     * @param {number} sideLen – hex side length
+     * @param {string} zone – '', 'A' or 'R'
+     * @param {number} [lineScale=1] – multiplier for line widths (exports)
+     */
+    function drawZoneCircle(context, cx, cy, sideLen, zone, lineScale = 1) {
+        if (zone !== 'A' && zone !== 'R') {
+            return;
         }
-        // Return deposit field and its dimensions
-        return { deposit, width: simWidth, height: simHeight };
+        context.save();
+        context.beginPath();
+        context.arc(cx, cy, sideLen * 0.8, 0, Math.PI * 2);
+        context.strokeStyle = zone === 'R' ? '#DC2626' : '#F59E0B';
+        context.lineWidth = 1.5 * lineScale;
+        if (printableMode && zone === 'A') {
+            context.setLineDash([3 * lineScale, 2 * lineScale]);
+        }
+        context.stroke();
+        context.restore();
     }
 
     /**
-     * Convert the deposit field into per‑hex cell intensities.  Each hex cell
-     * corresponds to a block of depositCellSize × depositCellSize in the
-     * deposit grid.  The sum of deposit values in that block represents the
-     * accumulated trail for the hex.
-     * @param {Float32Array} deposit – the deposit field
+     * Centre of a hex in canvas units for the flat‑top odd‑q layout used
+     * by every renderer.  Columns and rows may fall outside the drawn
+     * area (e.g. neighbours of an exported subsector); `col & 1` keeps the
+     * half‑row offset right for negative columns.
+     * @param {number} col – column relative to the drawn area
+     * @param {number} row – row relative to the drawn area
+     * @param {number} sideLen – hex side length
+     * @returns {{x: number, y: number}}
      */
-    function accumulateToCells(simData, nCols = subCols, nRows = subRows) {
-        const { deposit, width, height } = simData;
-        const intensities = new Array(nCols * nRows).fill(0);
-        // Determine how many simulation grid cells correspond to each hex cell
-        const cellW = width / nCols;
-        const cellH = height / nRows;
-        for (let y = 0; y < height; y++) {
-            const rowIndex = Math.floor(y / cellH);
-            for (let x = 0; x < width; x++) {
-                const colIndex = Math.floor(x / cellW);
-                const idx = y * width + x;
-                const cellIndex = rowIndex * nCols + colIndex;
-                intensities[cellIndex] += deposit[idx];
-            }
+    function hexCentre(col, row, sideLen) {
+        const hexHeight = Math.sqrt(3) * sideLen;
+        return {
+            x: col * 1.5 * sideLen + sideLen,
+            y: (row + (col & 1) * 0.5) * hexHeight + hexHeight / 2
+        };
+    }
+
+    /**
+     * Draw routes as straight lines between hex centres: trade routes as
+     * wide green bands with the jump links over them, Jump‑1 solid,
+     * Jump‑2 dashed and Jump‑3 dotted.  Call this after the hex fills and
+     * before the labels so text stays readable.
+     * @param {CanvasRenderingContext2D} context
+     * @param {{links: object[], trade: object[]}} routes
+     * @param {function(object): {x: number, y: number}} centreOf – maps a system to its canvas centre
+     * @param {number} sideLen – hex side length
+     * @param {number} [lineScale=1] – multiplier for line widths (exports)
+     */
+    function drawRoutes(context, routes, centreOf, sideLen, lineScale = 1) {
+        const jumpDashes = { 1: [], 2: [4, 3], 3: [1, 3] };
+        const strokeLink = (link) => {
+            const a = centreOf(link.from);
+            const b = centreOf(link.to);
+            context.beginPath();
+            context.moveTo(a.x, a.y);
+            context.lineTo(b.x, b.y);
+            context.stroke();
+        };
+        context.save();
+        context.lineCap = 'round';
+        context.strokeStyle = printableMode ? 'rgba(0, 0, 0, 0.25)' : 'rgba(22, 163, 74, 0.6)';
+        context.lineWidth = sideLen * 0.15;
+        routes.trade.forEach(strokeLink);
+        context.strokeStyle = printableMode ? 'rgba(0, 0, 0, 0.6)' : 'rgba(56, 189, 248, 0.8)';
+        context.lineWidth = 1 * lineScale;
+        routes.links.forEach((link) => {
+            context.setLineDash(jumpDashes[link.distance].map((d) => d * lineScale));
+            strokeLink(link);
+        });
+        context.restore();
+    }
+
+    /**
+     * Vertices of a flat‑top hex, vertex k at angle 60°·k.  Edge k runs
+     * from vertex k to vertex k+1 (see HEX_EDGE_NEIGHBOURS in polities.js).
+     * @param {number} cx – hex centre x
+     * @param {number} cy – hex centre y
+     * @param {number} radius – distance from centre to each vertex
+     * @returns {{x: number, y: number}[]}
+     */
+    function hexVertices(cx, cy, radius) {
+        const verts = [];
+        for (let k = 0; k < 6; k++) {
+            const angleRad = (Math.PI / 180) * (60 * k);
+            verts.push({ x: cx + radius * Math.cos(angleRad), y: cy + radius * Math.sin(angleRad) });
         }
-        return intensities;
+        return verts;
     }
 
     /**
-     * Compute min/max intensity ranges for each subsector. Normalising
-     * per-subsector keeps world visibility consistent when the map grows
-     * from a single sector to a multi-sector layout.
+     * Outline polity territories in a block of global cells.  Like the
+     * subsector boundaries, borders follow hex edges: an edge is drawn
+     * wherever the hex across it belongs to a different polity (or none).
+     * Each polity's edges are inset slightly so two neighbouring polities
+     * both show their colour.
+     * @param {CanvasRenderingContext2D} context
+     * @param {{polities: object[], territory: Int16Array}} result – from computePolities()
+     * @param {number} firstCol – global column drawn at column 0
+     * @param {number} firstRow – global row drawn at row 0
+     * @param {number} nCols
+     * @param {number} nRows
+     * @param {number} sideLen – hex side length
+     * @param {number} [lineScale=1] – multiplier for line widths (exports)
      */
-    function computeSubsectorRanges() {
-        const ranges = new Array(baseSubSectorCols * baseSubSectorRows);
-        for (let sy = 0; sy < baseSubSectorRows; sy++) {
-            for (let sx = 0; sx < baseSubSectorCols; sx++) {
-                let minVal = Infinity;
-                let maxVal = -Infinity;
-                for (let r = 0; r < subRows; r++) {
-                    for (let c = 0; c < subCols; c++) {
-                        const globalRow = sy * subRows + r;
-                        const globalCol = sx * subCols + c;
-                        const val = cellIntensities[globalRow * baseCols + globalCol];
-                        if (val < minVal) minVal = val;
-                        if (val > maxVal) maxVal = val;
-                    }
-                }
-                ranges[sy * baseSubSectorCols + sx] = { minVal, maxVal };
+    function drawPolityBorders(context, result, firstCol, firstRow, nCols, nRows, sideLen, lineScale = 1) {
+        const numberAt = (col, row) => (
+            (col < 0 || row < 0 || col >= baseCols || row >= baseRows) ? -1 : result.territory[row * baseCols + col]
+        );
+        context.save();
+        context.lineWidth = 2.5 * lineScale;
+        context.lineCap = 'round';
+        for (let row = 0; row < nRows; row++) {
+            for (let col = 0; col < nCols; col++) {
+                const globalCol = firstCol + col;
+                const globalRow = firstRow + row;
+                const number = numberAt(globalCol, globalRow);
+                if (number < 0) continue;
+                const { x, y } = hexCentre(col, row, sideLen);
+                const verts = hexVertices(x, y, sideLen - 1.5 * lineScale);
+                context.strokeStyle = result.polities[number].colour;
+                HEX_EDGE_NEIGHBOURS[globalCol & 1].forEach(([dc, dr], k) => {
+                    if (numberAt(globalCol + dc, globalRow + dr) === number) return;
+                    context.beginPath();
+                    context.moveTo(verts[k].x, verts[k].y);
+                    context.lineTo(verts[(k + 1) % 6].x, verts[(k + 1) % 6].y);
+                    context.stroke();
+                });
             }
         }
-        return ranges;
+        context.restore();
     }
 
     function globalIndexForDisplay(row, col) {
@@ -533,32 +835,16 @@ document.addEventListener('DOMContentLoaded', () => {
         const subsectorRanges = computeSubsectorRanges();
         // Clear canvas (in unscaled coordinate system)
         ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+        const labelPasses = [];
         // Loop through every cell to draw the hex, fill colour, labels
         for (let row = 0; row < displayRows; row++) {
             for (let col = 0; col < displayCols; col++) {
                 const index = globalIndexForDisplay(row, col);
-                const val = cellIntensities[index];
                 const globalRow = row + displayOffsetSubsectorY * subRows;
                 const globalCol = col + displayOffsetSubsectorX * subCols;
-                const sx = Math.floor(globalCol / subCols);
-                const sy = Math.floor(globalRow / subRows);
-                const { minVal, maxVal } = subsectorRanges[sy * baseSubSectorCols + sx];
-                // Normalise deposit to [0,1]
-                let norm = 0;
-                if (maxVal > minVal) {
-                    norm = (val - minVal) / (maxVal - minVal);
-                }
-                // Apply saturate factor: raise to power 1/saturateFactor to bias
-                // the distribution.  Values >1 brighten (increase lighter areas);
-                // values <1 darken.  A factor of 1 leaves norm unchanged.
-                if (saturateFactor !== 1) {
-                    // clamp to [0,1] for safety
-                    norm = Math.min(1, Math.max(0, Math.pow(norm, 1 / saturateFactor)));
-                }
-                // Quantise into discrete levels
-                let level = Math.floor(norm * (levels - 1));
-                if (level < 0) level = 0;
-                if (level >= levels) level = levels - 1;
+                // Normalise, apply the painted density mask and the
+                // saturate factor, and quantise into discrete levels
+                const level = getCellLevel(index, globalRow, globalCol, levels, subsectorRanges);
                 // Map to grayscale: 0 = black, levels-1 = white
                 const gray = levels > 1 ? Math.floor((level / (levels - 1)) * 255) : 0;
                 ctx.fillStyle = `rgb(${gray},${gray},${gray})`;
@@ -608,18 +894,18 @@ document.addEventListener('DOMContentLoaded', () => {
                 ctx.lineWidth = 0.5;
                 ctx.stroke();
                 // Compute world presence and generate world if needed
-                const worldPresent = (level + 1) >= presenceThresholdVal;
+                const worldPresent = isWorldPresent(index, level);
                 let primaryText = '';
                 let secondaryText = '';
                 let tertiaryText = '';
                 let tertiaryColour = null;
+                let nameText = '';
                 // Generate or retrieve the world for this cell if whole‑world mode is enabled
                 if (generateWholeWorlds && worldPresent) {
-                    if (!worlds[index]) {
-                        worlds[index] = generateWorld();
-                    }
-                    const world = worlds[index];
+                    const world = getOrCreateWorld(index);
                     secondaryText = worldToUWP(world);
+                    nameText = getWorldName(index, world);
+                    drawZoneCircle(ctx, cx, cy, sideLen, world.zone);
                     // Construct tertiary text from trade codes and base codes
                     const codes = [];
                     if (world.tradeCodes && world.tradeCodes.length > 0) {
@@ -640,82 +926,102 @@ document.addEventListener('DOMContentLoaded', () => {
                         }
                     }
                 }
-                if (displayMode === 'dm') {
-                    // Map the quantised level into four bands corresponding to DM modifiers
-                    const quartSize = levels / 4;
-                    let region = Math.floor(level / quartSize);
-                    if (region < 0) region = 0;
-                    if (region > 3) region = 3;
-                    const dmValue = -2 + region;
-                    if (dmValue > 0) {
-                        primaryText = `+${dmValue}`;
-                    } else if (dmValue === 0) {
-                        primaryText = '+0';
+                // Labels are drawn after every hex is filled so the route
+                // overlay can sit between the shading and the text
+                labelPasses.push(() => {
+                    if (displayMode === 'dm') {
+                        // Map the quantised level into four bands corresponding to DM modifiers
+                        const quartSize = levels / 4;
+                        let region = Math.floor(level / quartSize);
+                        if (region < 0) region = 0;
+                        if (region > 3) region = 3;
+                        const dmValue = -2 + region;
+                        if (dmValue > 0) {
+                            primaryText = `+${dmValue}`;
+                        } else if (dmValue === 0) {
+                            primaryText = '+0';
+                        } else {
+                            primaryText = dmValue.toString();
+                        }
                     } else {
-                        primaryText = dmValue.toString();
-                    }
-                } else {
-                    // Density mode: show a star when no world code is displayed
-                    if (!secondaryText) {
-                        primaryText = worldPresent ? '★' : '';
+                        // Density mode: show a star when no world code is displayed
+                        if (!secondaryText) {
+                            primaryText = worldPresent ? '★' : '';
+                        }
                     }
-                }
-                // Choose text colour: black on light greys, white on dark greys, dark in printable mode
-                const densityColour = printableMode ? '#000' : ((gray > 128) ? '#000' : '#fff');
-                ctx.fillStyle = densityColour;
-                ctx.textAlign = 'center';
-                // Draw primary text at the centre
-                ctx.font = `${(sideLen * 0.35).toFixed(2)}px sans-serif`;
-                ctx.textBaseline = 'middle';
-                ctx.fillText(primaryText, cx, cy);
-                // Draw secondary text (world code) below the primary text if present.
-                // Increase vertical offsets to prevent overlap with tertiary text.  Use
-                // larger fractional offsets from the centre; adjust tertiary Y accordingly.
-                let currentY = cy;
-                if (secondaryText) {
-                    ctx.font = `${(sideLen * 0.25).toFixed(2)}px monospace`;
-                    ctx.textBaseline = 'top';
-                    // Position the UWP code further down from centre to allow more room for tertiary text
-                    const secondaryY = cy + sideLen * 0.35;
-                    ctx.fillText(secondaryText, cx, secondaryY);
-                    currentY = secondaryY;
-                }
-                // Draw tertiary text (trade/base codes) below the secondary text
-                if (tertiaryText) {
-                    // Set colour based on classification; default to densityColour
-                    ctx.fillStyle = tertiaryColour || densityColour;
-                    ctx.font = `${(sideLen * 0.20).toFixed(2)}px monospace`;
-                    ctx.textBaseline = 'top';
-                    // If secondary text exists, position tertiary further down to avoid overlap.
-                    // Otherwise, position tertiary text at a moderate offset below centre.
-                    const tertiaryY = secondaryText ? cy + sideLen * 0.58 : cy + sideLen * 0.35;
-                    ctx.fillText(tertiaryText, cx, tertiaryY);
-                    // Reset colour for subsequent drawing
+                    // Choose text colour: black on light greys, white on dark greys, dark in printable mode
+                    const densityColour = printableMode ? '#000' : ((gray > 128) ? '#000' : '#fff');
                     ctx.fillStyle = densityColour;
-                }
-                // Draw coordinate label at the top of the hex.  Coordinates are
-                // 2‑digit column followed by 2‑digit row numbers (01–08, 01–10).
-                // Compute local coordinates for the subsector.  The user
-                // requested that cell coordinates repeat within each
-                // 8×10 subsector, so the labels are based on the
-                // remainder of the global indices.  Column values run
-                // 01–08 and row values run 01–10 in every subsector.
-                const localCol = (col % subCols) + 1;
-                const localRow = (row % subRows) + 1;
-                const colStr = String(localCol).padStart(2, '0');
-                const rowStr = String(localRow).padStart(2, '0');
-                const coordLabel = `${colStr}${rowStr}`;
-                // Use a fixed bright colour for coordinate labels so they
-                // contrast with the grayscale background regardless of level.
-                ctx.fillStyle = '#FF6600';
-                ctx.font = `${(sideLen * 0.25).toFixed(2)}px sans-serif`;
-                // Position the coordinate label above the centre (closer to the
-                // top edge).  For flat‑top hexes, moving up by 0.5*sideLen
-                // approximately places the text near the top third of the cell.
-                const coordY = cy - sideLen * 0.6;
-                ctx.fillText(coordLabel, cx, coordY);
+                    ctx.textAlign = 'center';
+                    // Draw primary text at the centre
+                    ctx.font = `${(sideLen * 0.35).toFixed(2)}px sans-serif`;
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(primaryText, cx, cy);
+                    // Draw secondary text (world code) below the primary text if present.
+                    // Increase vertical offsets to prevent overlap with tertiary text.  Use
+                    // larger fractional offsets from the centre; adjust tertiary Y accordingly.
+                    let currentY = cy;
+                    if (secondaryText) {
+                        ctx.font = `${(sideLen * 0.25).toFixed(2)}px monospace`;
+                        ctx.textBaseline = 'top';
+                        // Position the UWP code further down from centre to allow more room for tertiary text
+                        const secondaryY = cy + sideLen * 0.35;
+                        ctx.fillText(secondaryText, cx, secondaryY);
+                        currentY = secondaryY;
+                    }
+                    // Draw tertiary text (trade/base codes) below the secondary text
+                    if (tertiaryText) {
+                        // Set colour based on classification; default to densityColour
+                        ctx.fillStyle = tertiaryColour || densityColour;
+                        ctx.font = `${(sideLen * 0.20).toFixed(2)}px monospace`;
+                        ctx.textBaseline = 'top';
+                        // If secondary text exists, position tertiary further down to avoid overlap.
+                        // Otherwise, position tertiary text at a moderate offset below centre.
+                        const tertiaryY = secondaryText ? cy + sideLen * 0.58 : cy + sideLen * 0.35;
+                        ctx.fillText(tertiaryText, cx, tertiaryY);
+                        // Reset colour for subsequent drawing
+                        ctx.fillStyle = densityColour;
+                    }
+                    // Draw coordinate label at the top of the hex.  Coordinates are
+                    // 2‑digit column followed by 2‑digit row numbers (01–08, 01–10).
+                    // Compute local coordinates for the subsector.  The user
+                    // requested that cell coordinates repeat within each
+                    // 8×10 subsector, so the labels are based on the
+                    // remainder of the global indices.  Column values run
+                    // 01–08 and row values run 01–10 in every subsector.
+                    const localCol = (col % subCols) + 1;
+                    const localRow = (row % subRows) + 1;
+                    const colStr = String(localCol).padStart(2, '0');
+                    const rowStr = String(localRow).padStart(2, '0');
+                    const coordLabel = `${colStr}${rowStr}`;
+                    // Use a fixed bright colour for coordinate labels so they
+                    // contrast with the grayscale background regardless of level.
+                    ctx.fillStyle = '#FF6600';
+                    ctx.font = `${(sideLen * 0.25).toFixed(2)}px sans-serif`;
+                    // Position the coordinate label above the centre (closer to the
+                    // top edge).  For flat‑top hexes, moving up by 0.5*sideLen
+                    // approximately places the text near the top third of the cell.
+                    const coordY = cy - sideLen * 0.6;
+                    ctx.fillText(coordLabel, cx, coordY);
+                    // World name below the coordinate label, squeezed to fit the hex
+                    if (nameText) {
+                        ctx.fillStyle = densityColour;
+                        ctx.font = `${(sideLen * 0.2).toFixed(2)}px sans-serif`;
+                        ctx.textBaseline = 'middle';
+                        ctx.fillText(nameText, cx, cy - sideLen * 0.33, sideLen * 1.6);
+                    }
+                });
             }
         }
+        if (showRoutes) {
+            const routes = computeRoutes(displayOffsetSubsectorX * subCols, displayOffsetSubsectorY * subRows, displayCols, displayRows);
+            drawRoutes(ctx, routes, (system) => hexCentre(
+                system.col - displayOffsetSubsectorX * subCols,
+                system.row - displayOffsetSubsectorY * subRows,
+                sideLen
+            ), sideLen);
+        }
+        labelPasses.forEach((drawLabels) => drawLabels());
         // Draw subsector boundaries along hex edges.  Instead of straight
         // lines, we highlight the appropriate edges of boundary cells.  We
         // iterate through all cells again and, for cells on a vertical
@@ -739,13 +1045,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 const cx = col * horizSpacing + sideLen;
                 const cy = (row + offsetRows) * verticalSpacing + hexHeight / 2;
                 // compute vertices of the hex for later use
-                const verts = [];
-                for (let k = 0; k < 6; k++) {
-                    const angleRad = (Math.PI / 180) * (60 * k);
-                    const x = cx + sideLen * Math.cos(angleRad);
-                    const y = cy + sideLen * Math.sin(angleRad);
-                    verts.push({ x, y });
-                }
+                const verts = hexVertices(cx, cy, sideLen);
                 // vertical boundaries: highlight right edges for the last
                 // column in each subsector
                 if ((col + 1) % subCols === 0 && col !== displayCols - 1) {
@@ -809,6 +1109,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             }
         }
+        if (showPolities) {
+            drawPolityBorders(ctx, computePolities(), displayOffsetSubsectorX * subCols, displayOffsetSubsectorY * subRows, displayCols, displayRows, sideLen);
+        }
         // If a subsector is selected, draw a semi‑transparent highlight over it.
         // We need to compute the pixel bounds based on local offsets and
         // vertical/horizontal spacing.  Each subsector spans subCols columns
@@ -851,58 +1154,263 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.fillStyle = 'rgba(255, 255, 0, 0.15)';
             ctx.fillRect(tlLeft, tlTop, brRight - tlLeft, brBottom - tlTop);
         }
+        // Outline locked hexes with a thin inset line and the hex open in
+        // the editor with a bold one.  These marks are for editing only and
+        // are not drawn in exports.
+        const outlineHex = (row, col, inset, colour, width) => {
+            const offsetRows = (col % 2) * 0.5;
+            const cx = col * horizSpacing + sideLen;
+            const cy = (row + offsetRows) * verticalSpacing + hexHeight / 2;
+            ctx.beginPath();
+            for (let k = 0; k < 6; k++) {
+                const angleRad = (Math.PI / 180) * (60 * k);
+                const x = cx + (sideLen - inset) * Math.cos(angleRad);
+                const y = cy + (sideLen - inset) * Math.sin(angleRad);
+                if (k === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.closePath();
+            ctx.strokeStyle = colour;
+            ctx.lineWidth = width;
+            ctx.stroke();
+        };
+        worldOverrides.forEach((world, index) => {
+            const row = Math.floor(index / baseCols) - displayOffsetSubsectorY * subRows;
+            const col = (index % baseCols) - displayOffsetSubsectorX * subCols;
+            if (row >= 0 && row < displayRows && col >= 0 && col < displayCols) {
+                outlineHex(row, col, sideLen * 0.12, 'rgba(79, 70, 229, 0.8)', 1);
+            }
+        });
+        // Flag worlds that break the active rules (see worldcheck.js): red
+        // for errors, amber for warnings only
+        if (flagWorldProblemsCheckbox.checked) {
+            const firstCol = displayOffsetSubsectorX * subCols;
+            const firstRow = displayOffsetSubsectorY * subRows;
+            checkWorlds(firstCol, firstRow, displayCols, displayRows).forEach(({ index, issues }) => {
+                const colour = issues.some((issue) => issue.severity === 'error') ? 'rgba(220, 38, 38, 0.9)' : 'rgba(217, 119, 6, 0.9)';
+                outlineHex(Math.floor(index / baseCols) - firstRow, (index % baseCols) - firstCol, sideLen * 0.22, colour, 2);
+            });
+        }
+        if (selectedHex !== null) {
+            const row = Math.floor(selectedHex / baseCols) - displayOffsetSubsectorY * subRows;
+            const col = (selectedHex % baseCols) - displayOffsetSubsectorX * subCols;
+            if (row >= 0 && row < displayRows && col >= 0 && col < displayCols) {
+                outlineHex(row, col, 1, '#4f46e5', 2.5);
+            }
+        }
+        // Planned route: a bold line through the stops with a dot at each
+        if (plannedPath.length > 0) {
+            const stops = plannedPath.map((index) => hexCentre(
+                (index % baseCols) - displayOffsetSubsectorX * subCols,
+                Math.floor(index / baseCols) - displayOffsetSubsectorY * subRows,
+                sideLen
+            ));
+            ctx.save();
+            ctx.strokeStyle = 'rgba(236, 72, 153, 0.85)';
+            ctx.fillStyle = 'rgba(236, 72, 153, 0.85)';
+            ctx.lineWidth = 3;
+            ctx.lineJoin = 'round';
+            ctx.beginPath();
+            stops.forEach(({ x, y }, i) => {
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+            stops.forEach(({ x, y }) => {
+                ctx.beginPath();
+                ctx.arc(x, y, sideLen * 0.15, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.restore();
+        }
     }
 
     /**
      * Generate a new map: run the simulation, accumulate deposit to hex cells,
-     * and redraw.
+     * and redraw.  The simulation runs in a worker where possible, with the
+     * map redrawn as subsectors arrive; starting another generation cancels
+     * this one.
+     * @returns {Promise<boolean>} true once the map is complete, false if
+     *   the run was cancelled by a newer one
      */
     function generateMap() {
-        // Reset the RNG to the current seed to ensure deterministic results.
-        setSeed(currentSeed);
+        cancelGeneration();
+        const id = ++generationId;
         // Initialise the global cell intensities array for the entire sector
         cellIntensities = new Array(baseCols * baseRows).fill(0);
         // Reset the worlds array to ensure fresh world generation for each cell
         worlds = new Array(baseCols * baseRows).fill(null);
-        // For each subsector, run a separate simulation and accumulate its
-        // results into the global grid.  This produces varied patterns across
-        // the sector while still using the Physarum algorithm within each
-        // subsector.
-        for (let sy = 0; sy < baseSubSectorRows; sy++) {
-            for (let sx = 0; sx < baseSubSectorCols; sx++) {
-                const simData = runSimulation(subCols, subRows);
-                const subIntensities = accumulateToCells(simData, subCols, subRows);
-                // Copy the subsector intensities into the correct location in
-                // the global cell array
-                for (let r = 0; r < subRows; r++) {
-                    for (let c = 0; c < subCols; c++) {
-                        const globalRow = sy * subRows + r;
-                        const globalCol = sx * subCols + c;
-                        cellIntensities[globalRow * baseCols + globalCol] = subIntensities[r * subCols + c];
-                    }
+        nameCache = new Map();
+        // A new map has new worlds, so any planned route no longer applies
+        plannedPath = [];
+        if (routePlanOutput) {
+            routePlanOutput.textContent = '';
+        }
+        // An imported image used in place of the simulation needs no run
+        if (densityImage && densityImageMode === 'replace') {
+            cellIntensities = Array.from(densityImage);
+            drawHexGrid();
+            return Promise.resolve(true);
+        }
+        // Each region (a subsector, a sector or the whole map, depending
+        // on the simulation area) gets a separate simulation whose results
+        // are copied into the global grid as they arrive.  Subsector
+        // regions give varied, tiled patterns; larger regions give one
+        // continuous pattern across subsector lines.
+        showGenerationProgress(0);
+        const request = Object.assign({ id }, createSimulationRequest(currentMapSettings()));
+        return new Promise((resolve) => {
+            const storeInField = (sx, sy, nCols, nRows, regionIntensities) => {
+                storeRegion(cellIntensities, sx, sy, nCols, nRows, regionIntensities);
+            };
+            const finish = () => {
+                pendingGeneration = null;
+                hideGenerationProgress();
+                if (densityImage) {
+                    cellIntensities = blendDensityImage(cellIntensities, densityImage, densityImageWeight);
+                }
+                drawHexGrid();
+                resolve(true);
+            };
+            const runHere = () => {
+                simulateRegions(request.seed, request.params, request.layout, storeInField);
+                finish();
+            };
+            const worker = getSimulationWorker();
+            if (!worker) {
+                runHere();
+                return;
+            }
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.id !== generationId) {
+                    return;
+                }
+                if (message.type === 'progress') {
+                    showGenerationProgress(message.fraction);
+                } else if (message.type === 'region') {
+                    storeInField(message.sx, message.sy, message.cols, message.rows, message.intensities);
+                    scheduleRedraw();
+                } else if (message.type === 'done') {
+                    finish();
                 }
+            };
+            // Workers can fail to start (e.g. pages opened from file://);
+            // run on the main thread instead from then on
+            worker.onerror = (event) => {
+                event.preventDefault();
+                if (id !== generationId) {
+                    return;
+                }
+                workersUnavailable = true;
+                simulationWorker = null;
+                worker.terminate();
+                cellIntensities.fill(0);
+                runHere();
+            };
+            // Superseded runs resolve false so callers can tell
+            pendingGeneration = () => resolve(false);
+            worker.postMessage(request);
+        });
+    }
+
+    /**
+     * Resample an image onto the global hex grid as one brightness per
+     * cell (0 black or transparent, 1 white).  The image is stretched
+     * over the whole map and drawn at two pixels per hex row, so each hex
+     * averages the two pixels it covers, half a row lower in odd columns.
+     * @param {CanvasImageSource} image
+     * @returns {Float32Array}
+     */
+    function resampleDensityImage(image) {
+        const off = document.createElement('canvas');
+        off.width = baseCols;
+        off.height = baseRows * 2;
+        const offCtx = off.getContext('2d');
+        offCtx.imageSmoothingEnabled = true;
+        offCtx.imageSmoothingQuality = 'high';
+        offCtx.drawImage(image, 0, 0, off.width, off.height);
+        const { data } = offCtx.getImageData(0, 0, off.width, off.height);
+        const brightness = (x, y) => {
+            const i = (y * off.width + x) * 4;
+            const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            return (luminance / 255) * (data[i + 3] / 255);
+        };
+        const field = new Float32Array(baseCols * baseRows);
+        for (let row = 0; row < baseRows; row++) {
+            for (let col = 0; col < baseCols; col++) {
+                const top = row * 2 + (col & 1);
+                const bottom = Math.min(top + 1, off.height - 1);
+                field[row * baseCols + col] = (brightness(col, top) + brightness(col, bottom)) / 2;
             }
         }
-        drawHexGrid();
+        return field;
+    }
+
+    /**
+     * Return the simulation worker, creating it if needed, or null when
+     * workers are not available in this browser or context.
+     * @returns {Worker|null}
+     */
+    function getSimulationWorker() {
+        if (workersUnavailable) {
+            return null;
+        }
+        if (!simulationWorker) {
+            try {
+                simulationWorker = new Worker('simulation-worker.js');
+            } catch (error) {
+                workersUnavailable = true;
+                return null;
+            }
+        }
+        return simulationWorker;
     }
 
-    // Convert a Traveller world object into an 8‑character UWP code.  Uses
-    // hexadecimal notation for numeric fields (0–15).  Starport letter
-    // appears first followed by size, atmosphere, hydrographics,
-    // population, government, law and tech level.
-    function worldToUWP(world) {
-        function toHex(n) {
-            const clamped = Math.max(0, Math.min(15, n));
-            return clamped.toString(16).toUpperCase();
+    /**
+     * Abandon the map generation in progress, if any.  The worker cannot
+     * be interrupted mid‑run, so it is terminated and a fresh one started
+     * for the next run.
+     */
+    function cancelGeneration() {
+        if (pendingGeneration) {
+            pendingGeneration();
+            pendingGeneration = null;
+            if (simulationWorker) {
+                simulationWorker.terminate();
+                simulationWorker = null;
+            }
         }
-        // Construct the base UWP string
-        let uwp = `${world.starport}${toHex(world.size)}${toHex(world.atmosphere)}${toHex(world.hydrographics)}${toHex(world.population)}${toHex(world.government)}${toHex(world.law)}${toHex(world.techLevel)}`;
-        // If a gas giant is present in the system, append an asterisk after the
-        // tech level to indicate it【435193721292873†L21-L30】.
-        if (world.gasGiant) {
-            uwp += '*';
+        hideGenerationProgress();
+    }
+
+    /**
+     * Redraw on the next animation frame, coalescing the many region
+     * results that arrive during a run into one draw per frame.
+     */
+    function scheduleRedraw() {
+        if (redrawQueued) {
+            return;
         }
-        return uwp;
+        redrawQueued = true;
+        requestAnimationFrame(() => {
+            redrawQueued = false;
+            drawHexGrid();
+        });
+    }
+
+    /**
+     * Show the progress panel with the share of the simulation done.
+     * @param {number} fraction – 0 to 1
+     */
+    function showGenerationProgress(fraction) {
+        generationProgress.classList.remove('is-hidden');
+        generationProgressBar.value = fraction;
+        generationProgressLabel.textContent = `Simulating density: ${Math.round(fraction * 100)}%`;
+    }
+
+    function hideGenerationProgress() {
+        generationProgress.classList.add('is-hidden');
     }
 
     // Format world information into a multi-line string for tooltips and the
@@ -920,8 +1428,28 @@ document.addEventListener('DOMContentLoaded', () => {
         lines.push(`Government: ${world.government}`);
         lines.push(`Law: ${world.law}`);
         lines.push(`Tech Level: ${world.techLevel}`);
+        if (world.zone) {
+            lines.push(`Travel Zone: ${world.zone === 'R' ? 'Red' : 'Amber'}`);
+        }
         // Indicate gas giant presence
         lines.push(`Gas Giant: ${world.gasGiant ? 'Yes' : 'No'}`);
+        if (world.system) {
+            const { stars, gasGiants, belts, worlds: worldCount } = world.system;
+            if (stars.length > 0) {
+                lines.push(`Stellar: ${formatStellar(stars)}`);
+            }
+            lines.push(`PBG: ${formatPbg(world)} (gas giants: ${gasGiants}, planetoid belts: ${belts})`);
+            lines.push(`Worlds in system: ${worldCount}`);
+        }
+        lines.push(`Importance: ${formatImportance(calculateImportance(world))}`);
+        if (world.economic) {
+            const { resources, labor, infrastructure, efficiency } = world.economic;
+            lines.push(`Economic: ${formatEconomic(world.economic)} (resources ${resources}, labor ${labor}, infrastructure ${infrastructure}, efficiency ${efficiency >= 0 ? '+' : ''}${efficiency})`);
+        }
+        if (world.cultural) {
+            const { heterogeneity, acceptance, strangeness, symbols } = world.cultural;
+            lines.push(`Cultural: ${formatCultural(world.cultural)} (heterogeneity ${heterogeneity}, acceptance ${acceptance}, strangeness ${strangeness}, symbols ${symbols})`);
+        }
         if (world.tradeCodes && world.tradeCodes.length > 0) {
             lines.push(`Trade Codes: ${world.tradeCodes.join(', ')}`);
         }
@@ -931,270 +1459,808 @@ document.addEventListener('DOMContentLoaded', () => {
         return lines.join('\n');
     }
 
-    // Approximate mapping from world-space (canvas) coordinates to hex grid
-    // coordinates.  Returns an object with row and col or null if outside the grid.
+    // Map world-space (canvas) coordinates to display hex grid
+    // coordinates.  A point lies in the hex whose centre is nearest, so we
+    // test the centres of the columns and rows around the point and keep
+    // the closest.  Returns an object with row and col or null if the
+    // point is outside every hex.
     function getHexAtPoint(px, py) {
         const sqrt3 = Math.sqrt(3);
         const sideLen = currentSideLen;
         const horizSpacing = 1.5 * sideLen;
         const verticalSpacing = sqrt3 * sideLen;
-        // Compute approximate column based on x coordinate.
         const approxCol = Math.floor((px - sideLen) / horizSpacing);
-        if (approxCol < 0 || approxCol >= displayCols) return null;
-        // Determine the offset for odd columns
-        const offsetRows = (approxCol % 2) * 0.5;
-        // Compute approximate row based on y coordinate.
-        const approxRow = Math.floor((py - (offsetRows * verticalSpacing) - (sideLen * sqrt3 / 2)) / verticalSpacing);
-        if (approxRow < 0 || approxRow >= displayRows) return null;
-        return { col: approxCol, row: approxRow };
-    }
-
-    // Update bit depth display and redraw when slider moves.  Also update
-    // the encoded seed prefix to reflect the new level.
-    bitDepthSlider.addEventListener('input', () => {
-        bitDepthValue.textContent = bitDepthSlider.value;
-        // Update presence slider max to reflect new number of levels
-        presenceSlider.max = bitDepthSlider.value;
-        // Clamp threshold if it exceeds new max
-        if (presenceThresholdVal > parseInt(bitDepthSlider.value, 10)) {
-            presenceThresholdVal = parseInt(bitDepthSlider.value, 10);
-            presenceSlider.value = presenceThresholdVal;
-            presenceValue.textContent = presenceThresholdVal.toString();
-        }
-        drawHexGrid();
-        updateEncodedSeedString();
-    });
-
-    // Generate new map on button click.  If a seed string with encoded
-    // parameters is provided in the seedInput field, parse the prefix to
-    // restore those settings.  Otherwise generate a new random seed.  After
-    // generation, update the seed input with an encoded string that
-    // incorporates the current content and display parameters.
-    generateBtn.addEventListener('click', () => {
-        // Read the seed string and trim whitespace
-        const seedStr = seedInput.value.trim();
-        let numericSeed;
-        // Helper to synchronise UI controls and internal variables
-        function updateUIFromParams(levels, scale, saturate, threshold, modeCode, mapCode, boundaryCode, printableCode) {
-            // Update bit depth slider and display
-            const lvl = parseInt(levels, 10);
-            if (!isNaN(lvl)) {
-                bitDepthSlider.value = lvl;
-                bitDepthValue.textContent = lvl.toString();
-                presenceSlider.max = lvl;
-                if (presenceThresholdVal > lvl) {
-                    presenceThresholdVal = lvl;
-                    presenceSlider.value = presenceThresholdVal;
-                    presenceValue.textContent = presenceThresholdVal.toString();
-                }
-            }
-            // Update simulation scale
-            const sc = parseFloat(scale);
-            if (!isNaN(sc)) {
-                simScaleSlider.value = sc;
-                simScaleValue.textContent = sc.toFixed(1);
-                simulationScale = sc;
-            }
-            // Update saturate factor
-            const sat = parseFloat(saturate);
-            if (!isNaN(sat)) {
-                saturateSlider.value = sat;
-                saturateValue.textContent = sat.toFixed(1);
-                saturateFactor = sat;
-            }
-            // Update presence threshold
-            const thresholdVal = parseInt(threshold, 10);
-            if (!isNaN(thresholdVal)) {
-                presenceThresholdVal = thresholdVal;
-                presenceSlider.value = thresholdVal;
-                presenceValue.textContent = thresholdVal.toString();
-            }
-            // Update display mode and radio buttons
-            if (modeCode === 'o' || modeCode === 'd') {
-                displayMode = 'dm';
-            } else {
-                displayMode = 'density';
-            }
-            generateWholeWorlds = displayMode === 'density';
-            modeRadioButtons.forEach((rb) => {
-                rb.checked = (rb.value === displayMode);
-            });
-
-            // Update map mode if provided
-            if (mapCode !== undefined) {
-                applyMapMode((mapCode === 'v') ? 'vastness' : 'single');
-            }
-
-            // Update boundary overlay if provided
-            if (boundaryCode !== undefined) {
-                showBoundaries = (boundaryCode === 'b');
-                if (boundaryCheckbox) {
-                    boundaryCheckbox.checked = showBoundaries;
+        let best = null;
+        let bestDist = Infinity;
+        for (let col = approxCol - 1; col <= approxCol + 2; col++) {
+            if (col < 0 || col >= displayCols) continue;
+            const offsetRows = (col % 2) * 0.5;
+            const approxRow = Math.floor(py / verticalSpacing - offsetRows);
+            for (let row = approxRow - 1; row <= approxRow + 1; row++) {
+                if (row < 0 || row >= displayRows) continue;
+                const cx = col * horizSpacing + sideLen;
+                const cy = (row + offsetRows) * verticalSpacing + verticalSpacing / 2;
+                const dist = Math.hypot(px - cx, py - cy);
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = { col, row };
                 }
             }
-
-            // Update printable mode if provided
-            if (printableCode !== undefined) {
-                printableMode = (printableCode === 'p');
-                printableCheckbox.checked = printableMode;
-            }
         }
-        if (seedStr !== '') {
-            const parts = seedStr.split('-');
-            // If the seed string has at least 5 parts, assume it encodes
-            // params as levels-scale-density-mode-numericSeed.  Any
-            // additional hyphens in the numeric seed are joined back.
-            if (parts.length >= 9) {
-                // New format: levels-scale-density-threshold-mode-map-boundary-printable-numericSeed
-                const levelsPart = parts[0];
-                const scalePart = parts[1];
-                const densityPart = parts[2];
-                const thresholdPart = parts[3];
-                const modePart = parts[4];
-                const mapPart = parts[5];
-                const boundaryPart = parts[6];
-                const printablePart = parts[7];
-                const seedPart = parts.slice(8).join('-');
-                const parsedSeed = parseInt(seedPart, 10);
-                numericSeed = isNaN(parsedSeed) ? undefined : (parsedSeed >>> 0);
-                // Update UI controls from encoded parameters
-                updateUIFromParams(
-                    levelsPart,
-                    scalePart,
-                    densityPart,
-                    thresholdPart,
-                    modePart,
-                    mapPart,
-                    boundaryPart,
-                    printablePart
-                );
-            } else if (parts.length >= 6) {
-                // Previous format: levels-scale-saturate-mode-printable-numericSeed
-                const levelsPart = parts[0];
-                const scalePart = parts[1];
-                const saturatePart = parts[2];
-                const modePart = parts[3];
-                const printablePart = parts[4];
-                const seedPart = parts.slice(5).join('-');
-                const parsedSeed = parseInt(seedPart, 10);
-                numericSeed = isNaN(parsedSeed) ? undefined : (parsedSeed >>> 0);
-                // Update UI controls from encoded parameters
-                updateUIFromParams(levelsPart, scalePart, saturatePart, undefined, modePart, undefined, undefined, printablePart);
-            } else if (parts.length >= 5) {
-                // Older format: levels-scale-saturate-mode-numericSeed
-                const levelsPart = parts[0];
-                const scalePart = parts[1];
-                const saturatePart = parts[2];
-                const modePart = parts[3];
-                const seedPart = parts.slice(4).join('-');
-                const parsedSeed = parseInt(seedPart, 10);
-                numericSeed = isNaN(parsedSeed) ? undefined : (parsedSeed >>> 0);
-                updateUIFromParams(levelsPart, scalePart, saturatePart, undefined, modePart);
-            } else {
-                // Only a numeric seed provided
-                const parsed = parseInt(seedStr, 10);
-                numericSeed = isNaN(parsed) ? undefined : (parsed >>> 0);
+        // Points further than a side length from any centre are outside the grid
+        return bestDist <= sideLen ? best : null;
+    }
+
+    /**
+     * Paint the density brush centred on a global hex.  Within a stroke
+     * each hex keeps the strongest brush weight it has received, so
+     * passing over a hex again does not build up density.
+     * @param {number} centreCol – global column
+     * @param {number} centreRow – global row
+     */
+    function paintDensity(centreCol, centreRow) {
+        const radius = parseInt(brushRadiusSlider.value, 10);
+        const sign = brushModeSelect.value === 'subtract' ? -1 : 1;
+        const strength = parseInt(brushStrengthSlider.value, 10);
+        for (let dc = -radius; dc <= radius; dc++) {
+            // Rows are offset by up to half a column per column stepped
+            for (let dr = -radius - 1; dr <= radius + 1; dr++) {
+                const col = centreCol + dc;
+                const row = centreRow + dr;
+                if (col < 0 || row < 0 || col >= baseCols || row >= baseRows) continue;
+                const distance = hexDistance(centreCol, centreRow, col, row);
+                if (distance > radius) continue;
+                const index = row * baseCols + col;
+                // Full strength at the centre, fading towards the rim
+                const weight = 1 - distance / (radius + 1);
+                if ((brushStroke.weights.get(index) || 0) >= weight) continue;
+                brushStroke.weights.set(index, weight);
+                const value = brushStroke.before[index] + sign * Math.round(strength * weight);
+                densityMask[index] = Math.max(-100, Math.min(100, value));
             }
         }
-        // If no valid numeric seed extracted, generate a new one
-        if (numericSeed === undefined) {
-            numericSeed = Math.floor(Math.random() * 0xFFFFFFFF);
-        }
-        currentSeed = numericSeed;
-        // Initialise seeded RNG to ensure deterministic simulation
-        setSeed(currentSeed);
-        // Disable button temporarily to prevent multiple runs
-        generateBtn.disabled = true;
-        generateBtn.textContent = 'Generating…';
-        // Run simulation asynchronously to keep UI responsive
-        setTimeout(() => {
-            generateMap();
-            generateBtn.disabled = false;
-            generateBtn.textContent = 'Generate from seed';
-            // After generation, update the encoded seed prefix to
-            // reflect the current parameters and numeric seed.
-            updateEncodedSeedString();
-        }, 10);
-    });
-
-    // Randomize seed button: generate a new random seed and create a
-    // fresh map using the current parameters.  After regeneration the
-    // encoded seed string is updated.  This does not rely on the
-    // contents of the seed input field.
-    randomizeBtn.addEventListener('click', () => {
-        // Generate a new random seed
-        currentSeed = Math.floor(Math.random() * 0xFFFFFFFF);
-        // Initialise seeded RNG
-        setSeed(currentSeed);
-        // Temporarily disable the button to avoid multiple clicks
-        randomizeBtn.disabled = true;
-        randomizeBtn.textContent = 'Randomizing…';
-        // Run simulation asynchronously
-        setTimeout(() => {
-            generateMap();
-            randomizeBtn.disabled = false;
-            randomizeBtn.textContent = 'Randomize seed';
-            // Update encoded seed string to reflect the new random seed
-            updateEncodedSeedString();
-        }, 10);
-    });
+    }
 
-    // Download canvas as PNG
-    downloadBtn.addEventListener('click', () => {
-        // Export the entire sector at a higher resolution
-        exportSector();
-    });
+    /**
+     * Paint at the hex under a mouse event, if any, and queue a redraw.
+     * @param {MouseEvent} event
+     */
+    function paintAtEvent(event) {
+        const rect = canvas.getBoundingClientRect();
+        const hex = getHexAtPoint((event.clientX - rect.left) / zoomFactor, (event.clientY - rect.top) / zoomFactor);
+        if (!hex) {
+            return;
+        }
+        paintDensity(hex.col + displayOffsetSubsectorX * subCols, hex.row + displayOffsetSubsectorY * subRows);
+        scheduleRedraw();
+    }
 
-    // Export only the selected subsector at high resolution
-    downloadSubsectorBtn.addEventListener('click', () => {
-        if (selectedSubsector) {
-            exportSubsector(selectedSubsector.sx, selectedSubsector.sy);
+    /**
+     * Finish the brush stroke in progress, recording it for undo if it
+     * changed the mask.
+     */
+    function endBrushStroke() {
+        const { before } = brushStroke;
+        brushStroke = null;
+        if (before.every((value, i) => value === densityMask[i])) {
+            return;
         }
-    });
+        pushMaskUndo(before);
+        updateEncodedSeedString();
+    }
 
-    function getSelectedT5Format() {
-        let selectedFormat = 'tab';
-        t5FormatRadios.forEach((radio) => {
-            if (radio.checked) {
-                selectedFormat = radio.value;
-            }
-        });
-        return selectedFormat;
+    /**
+     * Record a mask for undo before it is changed.  Any undone changes
+     * can no longer be redone.
+     * @param {Int8Array} mask
+     */
+    function pushMaskUndo(mask) {
+        maskUndoStack.push(mask);
+        if (maskUndoStack.length > maxMaskUndo) {
+            maskUndoStack.shift();
+        }
+        maskRedoStack = [];
+        updateMaskButtons();
     }
 
-    function updateT5ExportLabel() {
-        if (!exportT5Btn) {
+    function undoMask() {
+        if (maskUndoStack.length === 0) {
             return;
         }
-        const formatLabel = getSelectedT5Format() === 'column' ? 'column-delimited' : 'tab-delimited';
-        exportT5Btn.textContent = `Generate T5 (${formatLabel})`;
+        maskRedoStack.push(densityMask);
+        densityMask = maskUndoStack.pop();
+        updateMaskButtons();
+        drawHexGrid();
+        updateEncodedSeedString();
     }
 
-    t5FormatRadios.forEach((radio) => {
-        radio.addEventListener('change', updateT5ExportLabel);
-    });
+    function redoMask() {
+        if (maskRedoStack.length === 0) {
+            return;
+        }
+        maskUndoStack.push(densityMask);
+        densityMask = maskRedoStack.pop();
+        updateMaskButtons();
+        drawHexGrid();
+        updateEncodedSeedString();
+    }
 
-    if (exportT5Btn) {
-        exportT5Btn.addEventListener('click', () => {
-            exportT5Data();
-        });
+    function clearMask() {
+        if (densityMask.every((value) => value === 0)) {
+            return;
+        }
+        pushMaskUndo(densityMask);
+        densityMask = new Int8Array(baseCols * baseRows);
+        drawHexGrid();
+        updateEncodedSeedString();
     }
 
-    // Initial render
+    /**
+     * Replace the mask with one loaded from a map code.  Loading a map
+     * starts a fresh undo history.
+     * @param {Int8Array} mask
+     */
+    function loadMask(mask) {
+        densityMask = mask;
+        maskUndoStack = [];
+        maskRedoStack = [];
+        updateMaskButtons();
+    }
+
+    function updateMaskButtons() {
+        undoMaskBtn.disabled = maskUndoStack.length === 0;
+        redoMaskBtn.disabled = maskRedoStack.length === 0;
+    }
+
+    /**
+     * Open the hex editor for a global cell.  The form is filled from the
+     * locked world if there is one, otherwise from the generated world;
+     * an empty hex starts from a blank X000000-0 world so a new world can
+     * be created by hand.
+     * @param {number} index – global cell index
+     */
+    function openHexEditor(index) {
+        selectedHex = index;
+        const globalRow = Math.floor(index / baseCols);
+        const globalCol = index % baseCols;
+        hexEditorTitle.textContent = formatHexReference(index);
+        const locked = worldOverrides.has(index);
+        hexEditorLocked.classList.toggle('is-hidden', !locked);
+        const levels = parseInt(bitDepthSlider.value, 10);
+        const level = getCellLevel(index, globalRow, globalCol, levels, computeSubsectorRanges());
+        const present = isWorldPresent(index, level);
+        const world = present ? getOrCreateWorld(index) : {
+            starport: 'X', size: 0, atmosphere: 0, hydrographics: 0, population: 0,
+            government: 0, law: 0, techLevel: 0, tradeCodes: [], bases: [], gasGiant: false, zone: ''
+        };
+        hexEditName.value = world.name || '';
+        hexEditName.placeholder = getWorldName(index, {});
+        fillHexEditor(world);
+        hexEditRolls.classList.toggle('is-hidden', !present);
+        if (present) {
+            showHexRolls(index);
+            showHexIssues();
+        } else {
+            hexEditIssues.classList.add('is-hidden');
+        }
+        hexEditor.classList.remove('is-hidden');
+    }
+
+    /**
+     * Show a world's profile in the hex editor form (all but the name).
+     * @param {object} world
+     */
+    function fillHexEditor(world) {
+        hexEditStarport.value = world.starport;
+        hexEditZone.value = world.zone || '';
+        Object.keys(hexEditDigits).forEach((key) => {
+            hexEditDigits[key].value = toEHex(world[key]);
+        });
+        hexEditBaseCheckboxes.forEach((checkbox) => {
+            checkbox.checked = (world.bases || []).includes(checkbox.value);
+        });
+        const checkboxBases = Array.from(hexEditBaseCheckboxes).map((cb) => cb.value);
+        hexEditOtherBases = (world.bases || []).filter((code) => !checkboxBases.includes(code));
+        hexEditGasGiant.checked = !!world.gasGiant;
+        hexEditTradeCodes.value = (world.tradeCodes || []).join(' ');
+    }
+
+    /**
+     * Read a UWP digit from the hex editor form.
+     * @param {string} key – world property, e.g. 'size'
+     * @returns {number|null} the value, or null if the field does not
+     *   hold a single eHex digit
+     */
+    function readHexDigit(key) {
+        const text = hexEditDigits[key].value.trim();
+        const value = text.length === 1 ? fromEHex(text) : -1;
+        return value < 0 ? null : value;
+    }
+
+    /**
+     * List what is wrong, under the active rules, with the world in the
+     * hex editor form (see checkWorld() in worldcheck.js).  Until every
+     * UWP field holds an eHex digit only those fields are listed.
+     */
+    function showHexIssues() {
+        const badDigits = Object.keys(hexEditDigits).filter((key) => readHexDigit(key) === null);
+        const issues = badDigits.length > 0
+            ? badDigits.map((key) => ({
+                severity: 'error',
+                message: `${CHARACTERISTIC_NAMES[key]} "${hexEditDigits[key].value.trim()}" is not an eHex digit (0–9, then A–Z without I and O).`
+            }))
+            : checkWorld(readHexEditor(), currentRuleset());
+        hexEditIssues.textContent = issues
+            .map((issue) => `${issue.severity === 'error' ? 'Error' : 'Warning'}: ${issue.message}`)
+            .join('\n');
+        hexEditIssues.classList.toggle('is-hidden', issues.length === 0);
+    }
+
+    /**
+     * Explain in the hex editor how the world in a hex was rolled; a
+     * world set by hand has no rolls to show.
+     * @param {number} index – global cell index
+     */
+    function showHexRolls(index) {
+        const trace = traceWorld(index);
+        hexEditRollsOutput.textContent = trace
+            ? formatRollTrace(trace)
+            : 'This world was set by hand or imported, so it was not rolled with this map\'s dice.';
+    }
+
+    function closeHexEditor() {
+        selectedHex = null;
+        hexEditor.classList.add('is-hidden');
+    }
+
+    /**
+     * Build a world object from the hex editor form.  Fields the editor
+     * does not show are carried over from the hex's current world.
+     * @returns {object}
+     */
+    function readHexEditor() {
+        const current = worldOverrides.get(selectedHex) || worlds[selectedHex] || {};
+        const world = Object.assign({}, current, {
+            starport: hexEditStarport.value,
+            zone: hexEditZone.value,
+            bases: Array.from(hexEditBaseCheckboxes).filter((cb) => cb.checked).map((cb) => cb.value)
+                .concat(hexEditOtherBases),
+            gasGiant: hexEditGasGiant.checked,
+            tradeCodes: hexEditTradeCodes.value.trim() === '' ? [] : hexEditTradeCodes.value.trim().split(/\s+/)
+        });
+        // eHex digits, held within the clamps of the active rules; a field
+        // that is not an eHex digit reads as NaN, which the check rejects
+        const rules = currentRuleset();
+        Object.keys(hexEditDigits).forEach((key) => {
+            const value = readHexDigit(key);
+            const { min = 0, max = RULESET_MAX_DIGIT } = rules[key];
+            world[key] = value === null ? NaN : Math.max(min, Math.min(max, value));
+        });
+        // Keep the system's PBG digits consistent with the edited world
+        if (world.system) {
+            const system = Object.assign({}, world.system);
+            const gasGiants = world.gasGiant ? Math.max(1, system.gasGiants) : 0;
+            system.worlds += gasGiants - system.gasGiants;
+            system.gasGiants = gasGiants;
+            if (world.population === 0) {
+                system.populationMultiplier = 0;
+            } else if (system.populationMultiplier === 0) {
+                system.populationMultiplier = 1;
+            }
+            world.system = system;
+        }
+        const name = hexEditName.value.trim();
+        if (name) {
+            world.name = name;
+        } else {
+            delete world.name;
+        }
+        return world;
+    }
+
+    document.getElementById('hexEditRecompute').addEventListener('click', () => {
+        const world = readHexEditor();
+        hexEditTradeCodes.value = generateTradeCodes(world, currentRuleset()).join(' ');
+        showHexIssues();
+    });
+
+    // Recheck the world as it is edited, and fix it in the form; saving
+    // locks the fixed world as usual
+    hexEditor.addEventListener('input', showHexIssues);
+    document.getElementById('hexEditFix').addEventListener('click', () => {
+        fillHexEditor(fixWorld(readHexEditor(), currentRuleset()));
+        showHexIssues();
+    });
+
+    document.getElementById('hexEditSave').addEventListener('click', () => {
+        // A mistyped digit is shown as an error rather than saved as a
+        // value that was never typed
+        if (Object.keys(hexEditDigits).some((key) => readHexDigit(key) === null)) {
+            showHexIssues();
+            return;
+        }
+        worldOverrides.set(selectedHex, readHexEditor());
+        hexEditorLocked.classList.remove('is-hidden');
+        showHexRolls(selectedHex);
+        drawHexGrid();
+        updatePermalink();
+    });
+
+    document.getElementById('hexEditEmpty').addEventListener('click', () => {
+        worldOverrides.set(selectedHex, null);
+        closeHexEditor();
+        drawHexGrid();
+        updatePermalink();
+    });
+
+    document.getElementById('hexEditUnlock').addEventListener('click', () => {
+        worldOverrides.delete(selectedHex);
+        openHexEditor(selectedHex);
+        drawHexGrid();
+        updatePermalink();
+    });
+
+    document.getElementById('hexEditClose').addEventListener('click', () => {
+        closeHexEditor();
+        drawHexGrid();
+    });
+
+    // World check (see worldcheck.js)
+    /**
+     * Check the worlds shown against the active rules and list the
+     * problems hex by hex in the World Check panel.
+     */
+    function reportWorldProblems() {
+        const rules = currentRuleset();
+        const results = checkWorlds(displayOffsetSubsectorX * subCols, displayOffsetSubsectorY * subRows, displayCols, displayRows);
+        if (results.length === 0) {
+            worldCheckReport.textContent = `Every world shown follows the ${rules.name} rules.`;
+            return;
+        }
+        const issues = results.reduce((all, result) => all.concat(result.issues), []);
+        const errors = issues.filter((issue) => issue.severity === 'error').length;
+        const warnings = issues.length - errors;
+        const lines = [`${results.length} world${results.length === 1 ? ' breaks' : 's break'} the ${rules.name} rules: ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}.`];
+        results.forEach(({ index, world, issues: hexIssues }) => {
+            lines.push('', `${formatHexReference(index)} ${getWorldName(index, world)} ${worldToUWP(world)}`);
+            hexIssues.forEach((issue) => {
+                lines.push(`  ${issue.severity === 'error' ? 'Error' : 'Warning'}: ${issue.message}`);
+            });
+        });
+        worldCheckReport.textContent = lines.join('\n');
+    }
+
+    flagWorldProblemsCheckbox.addEventListener('change', () => {
+        drawHexGrid();
+    });
+
+    document.getElementById('checkWorlds').addEventListener('click', () => {
+        if (pendingGeneration) {
+            worldCheckReport.textContent = 'Wait for the map to finish generating before checking it.';
+            return;
+        }
+        reportWorldProblems();
+    });
+
+    // Fix every world shown that has a problem and lock it, as a hand
+    // edit would
+    document.getElementById('fixWorlds').addEventListener('click', () => {
+        if (pendingGeneration) {
+            worldCheckReport.textContent = 'Wait for the map to finish generating before fixing it.';
+            return;
+        }
+        const rules = currentRuleset();
+        const results = checkWorlds(displayOffsetSubsectorX * subCols, displayOffsetSubsectorY * subRows, displayCols, displayRows);
+        results.forEach(({ index, world }) => {
+            worldOverrides.set(index, fixWorld(world, rules));
+        });
+        if (selectedHex !== null) {
+            openHexEditor(selectedHex);
+        }
+        drawHexGrid();
+        updatePermalink();
+        worldCheckReport.textContent = results.length === 0
+            ? `Every world shown follows the ${rules.name} rules.`
+            : `Fixed and locked ${results.length} world${results.length === 1 ? '' : 's'}.`;
+    });
+
+    // Route planner
+    document.getElementById('routeFromSelected').addEventListener('click', () => {
+        if (selectedHex !== null) {
+            routeFromInput.value = formatHexReference(selectedHex);
+        }
+    });
+    document.getElementById('routeToSelected').addEventListener('click', () => {
+        if (selectedHex !== null) {
+            routeToInput.value = formatHexReference(selectedHex);
+        }
+    });
+    document.getElementById('planRoute').addEventListener('click', planRoute);
+    document.getElementById('clearRoute').addEventListener('click', () => {
+        plannedPath = [];
+        routePlanOutput.textContent = '';
+        drawHexGrid();
+    });
+
+    // Name source: rename every world not named by hand
+    if (nameSourceSelect) {
+        nameSourceSelect.addEventListener('change', () => {
+            nameSource = nameSourceSelect.value;
+            nameCache = new Map();
+            drawHexGrid();
+            updateEncodedSeedString();
+        });
+    }
+
+    // Ruleset: reroll every world not locked by hand.  Each hex keeps its
+    // own dice stream, so switching back gives the same worlds again.
+    if (rulesetSelect) {
+        rulesetSelect.addEventListener('change', () => switchRuleset(rulesetSelect.value));
+    }
+
+    /**
+     * The ruleset worlds are rolled with now.
+     * @returns {object}
+     */
+    function currentRuleset() {
+        return getRuleset(ruleset, houseRules);
+    }
+
+    /**
+     * Reroll every world not locked by hand with another ruleset, or
+     * with changed house rules.
+     * @param {string} id – a built-in ruleset or HOUSE_RULESET_ID
+     */
+    function switchRuleset(id) {
+        ruleset = id;
+        if (rulesetSelect) {
+            rulesetSelect.value = ruleset;
+        }
+        worlds = new Array(baseCols * baseRows).fill(null);
+        plannedPath = [];
+        routePlanOutput.textContent = '';
+        closeHexEditor();
+        drawHexGrid();
+        updateEncodedSeedString();
+    }
+
+    // Name list upload: used by the "uploaded list" name sources
+    if (nameListFileInput) {
+        nameListFileInput.addEventListener('change', () => {
+            const file = nameListFileInput.files[0];
+            if (!file) {
+                return;
+            }
+            file.text().then((text) => {
+                customNames = parseNameList(text);
+                customNameModel = customNames.length > 0 ? buildNameModel(customNames) : null;
+                nameListInfo.textContent = `${customNames.length} name${customNames.length === 1 ? '' : 's'} loaded from ${file.name}`;
+                nameCache = new Map();
+                drawHexGrid();
+            });
+        });
+    }
+
+    // Density image: load a greyscale picture as the density field.  Any
+    // image works; colour images are converted to brightness.
+    densityImageFileInput.addEventListener('change', () => {
+        const file = densityImageFileInput.files[0];
+        if (!file) {
+            return;
+        }
+        createImageBitmap(file).then((bitmap) => {
+            densityImage = resampleDensityImage(bitmap);
+            densityImageInfo.textContent = `Using ${file.name} (${bitmap.width} × ${bitmap.height})`;
+            generateMap();
+            updateEncodedSeedString();
+        }).catch(() => {
+            densityImageInfo.textContent = `Could not read ${file.name} as an image`;
+        });
+    });
+    densityImageModeSelect.addEventListener('change', () => {
+        densityImageMode = densityImageModeSelect.value;
+        if (densityImage) {
+            generateMap();
+            updateEncodedSeedString();
+        }
+    });
+    densityImageWeightSlider.addEventListener('input', () => {
+        densityImageWeight = parseFloat(densityImageWeightSlider.value);
+        densityImageWeightValue.textContent = densityImageWeight.toFixed(2);
+    });
+    densityImageWeightSlider.addEventListener('change', () => {
+        if (densityImage && densityImageMode === 'blend') {
+            generateMap();
+            updateEncodedSeedString();
+        }
+    });
+    clearDensityImageBtn.addEventListener('click', () => {
+        if (!densityImage) {
+            return;
+        }
+        densityImage = null;
+        densityImageFileInput.value = '';
+        densityImageInfo.textContent = '';
+        generateMap();
+        updateEncodedSeedString();
+    });
+
+    // Update bit depth display and redraw when slider moves.  Also update
+    // the encoded seed prefix to reflect the new level.
+    bitDepthSlider.addEventListener('input', () => {
+        bitDepthValue.textContent = bitDepthSlider.value;
+        // Update presence slider max to reflect new number of levels
+        presenceSlider.max = bitDepthSlider.value;
+        // Clamp threshold if it exceeds new max
+        if (presenceThresholdVal > parseInt(bitDepthSlider.value, 10)) {
+            presenceThresholdVal = parseInt(bitDepthSlider.value, 10);
+            presenceSlider.value = presenceThresholdVal;
+            presenceValue.textContent = presenceThresholdVal.toString();
+        }
+        drawHexGrid();
+        updateEncodedSeedString();
+    });
+
+    /**
+     * Apply settings read from a map code or old seed string to the state
+     * and controls.  Settings an old seed string did not record are left
+     * as they are.
+     * @param {object} settings – as returned by readMapCode()
+     * @returns {string} a note for the user about anything the code could
+     *   not restore, or ''
+     */
+    function applyMapSettings(settings) {
+        let note = '';
+        if (settings.levels !== undefined) {
+            bitDepthSlider.value = settings.levels;
+            bitDepthValue.textContent = settings.levels.toString();
+            presenceSlider.max = settings.levels;
+            if (presenceThresholdVal > settings.levels) {
+                presenceThresholdVal = settings.levels;
+                presenceSlider.value = presenceThresholdVal;
+                presenceValue.textContent = presenceThresholdVal.toString();
+            }
+        }
+        if (settings.scale !== undefined) {
+            simScaleSlider.value = settings.scale;
+            simScaleValue.textContent = settings.scale.toFixed(1);
+            simulationScale = settings.scale;
+        }
+        if (settings.saturate !== undefined) {
+            saturateSlider.value = settings.saturate;
+            saturateValue.textContent = settings.saturate.toFixed(1);
+            saturateFactor = settings.saturate;
+        }
+        if (settings.threshold !== undefined) {
+            presenceThresholdVal = Math.min(settings.threshold, parseInt(presenceSlider.max, 10));
+            presenceSlider.value = presenceThresholdVal;
+            presenceValue.textContent = presenceThresholdVal.toString();
+        }
+        if (settings.displayMode !== undefined) {
+            displayMode = settings.displayMode;
+            generateWholeWorlds = displayMode === 'density';
+            modeRadioButtons.forEach((rb) => {
+                rb.checked = (rb.value === displayMode);
+            });
+        }
+        if (settings.mapMode !== undefined) {
+            applyMapMode(settings.mapMode);
+        }
+        if (settings.showBoundaries !== undefined) {
+            showBoundaries = settings.showBoundaries;
+            if (boundaryCheckbox) {
+                boundaryCheckbox.checked = showBoundaries;
+            }
+        }
+        if (settings.printable !== undefined) {
+            printableMode = settings.printable;
+            printableCheckbox.checked = printableMode;
+        }
+        if (settings.showRoutes !== undefined) {
+            showRoutes = settings.showRoutes;
+            if (routesCheckbox) {
+                routesCheckbox.checked = showRoutes;
+            }
+        }
+        if (settings.showPolities !== undefined) {
+            showPolities = settings.showPolities;
+            if (politiesCheckbox) {
+                politiesCheckbox.checked = showPolities;
+            }
+        }
+        if (settings.routeJump !== undefined) {
+            routeJumpMax = settings.routeJump;
+            if (routeJumpSelect) {
+                routeJumpSelect.value = String(routeJumpMax);
+            }
+        }
+        if (settings.nameSource !== undefined && settings.nameSource !== nameSource) {
+            nameSource = settings.nameSource;
+            if (nameSourceSelect) {
+                nameSourceSelect.value = nameSource;
+            }
+            nameCache = new Map();
+        }
+        // House rules are not part of the code either: use the ones
+        // applied in the House Rules panel, if any
+        if (settings.ruleset !== undefined) {
+            let newRuleset = settings.ruleset;
+            if (newRuleset === HOUSE_RULESET_ID && !houseRules) {
+                newRuleset = DEFAULT_RULESET_ID;
+                note = 'This map was made with house rules, which map codes do not include; apply its rules file under House Rules to reproduce it exactly.';
+            } else if (newRuleset === HOUSE_RULESET_ID && houseRulesChecksum(houseRules) !== settings.houseRulesChecksum) {
+                note = 'This map was made with different house rules from the ones applied; apply its rules file under House Rules to reproduce it exactly.';
+            }
+            if (newRuleset !== ruleset) {
+                ruleset = newRuleset;
+                if (rulesetSelect) {
+                    rulesetSelect.value = ruleset;
+                }
+                worlds = new Array(baseCols * baseRows).fill(null);
+            }
+        }
+        if (settings.simulationArea !== undefined) {
+            simulationArea = settings.simulationArea;
+            if (simulationAreaSelect) {
+                simulationAreaSelect.value = simulationArea;
+            }
+        }
+        if (settings.normalisation !== undefined) {
+            normalisation = settings.normalisation;
+            if (normalisationSelect) {
+                normalisationSelect.value = normalisation;
+            }
+        }
+        if (settings.simulationParams !== undefined) {
+            simulationParams = Object.assign({}, settings.simulationParams);
+        }
+        if (settings.generators !== undefined) {
+            densityGenerators = settings.generators.map((g) => Object.assign({}, g));
+        }
+        syncSimulationControls();
+        if (settings.densityMask !== undefined) {
+            loadMask(settings.densityMask);
+        }
+        // The image itself is not part of the code: keep one the user has
+        // loaded, or ask for it
+        if (settings.densityImage !== undefined) {
+            if (settings.densityImage) {
+                densityImageMode = settings.densityImage.mode;
+                densityImageWeight = settings.densityImage.weight;
+                densityImageModeSelect.value = densityImageMode;
+                densityImageWeightSlider.value = densityImageWeight;
+                densityImageWeightValue.textContent = densityImageWeight.toFixed(2);
+                if (!densityImage) {
+                    const imageNote = 'This map was made with a density image, which map codes do not include; load the image to reproduce it exactly.';
+                    note = note ? `${note} ${imageNote}` : imageNote;
+                }
+            } else if (densityImage) {
+                densityImage = null;
+                densityImageFileInput.value = '';
+                densityImageInfo.textContent = '';
+            }
+        }
+        return note;
+    }
+
+    /**
+     * Show a message under the seed input: an error when a code cannot be
+     * read, otherwise a note.  An empty message hides it.
+     * @param {string} message
+     * @param {boolean} [isError]
+     */
+    function showSeedMessage(message, isError = false) {
+        seedMessage.textContent = message;
+        seedMessage.classList.toggle('is-hidden', message === '');
+        seedMessage.classList.toggle('seed-message--error', isError);
+    }
+
+    // Generate a map from the map code in the seed input, restoring every
+    // setting it records.  Old dash-separated seed strings and bare
+    // numeric seeds are still accepted and replaced by the equivalent map
+    // code.  A code that cannot be read is reported and nothing is
+    // generated; an empty input generates a new random seed.
+    generateBtn.addEventListener('click', () => {
+        const code = seedInput.value.trim();
+        if (code === '') {
+            currentSeed = Math.floor(Math.random() * 0xFFFFFFFF);
+            showSeedMessage('');
+        } else {
+            let result;
+            try {
+                result = readMapCode(code, baseCols * baseRows);
+            } catch (error) {
+                showSeedMessage(error.message, true);
+                return;
+            }
+            const note = applyMapSettings(result.settings);
+            currentSeed = result.settings.seed;
+            showSeedMessage([result.legacy ? 'Old seed string converted to a map code.' : '', note].filter(Boolean).join(' '));
+        }
+        // The simulation runs in the background; clicking again before it
+        // finishes cancels this run in favour of the new seed
+        generateMap();
+        // Replace the input with the code for what is now on screen
+        updateEncodedSeedString({ newHistoryEntry: true });
+    });
+
+    // Randomize seed button: generate a new random seed and create a
+    // fresh map using the current parameters.  After regeneration the
+    // encoded seed string is updated.  This does not rely on the
+    // contents of the seed input field.
+    randomizeBtn.addEventListener('click', () => {
+        // Generate a new random seed
+        currentSeed = Math.floor(Math.random() * 0xFFFFFFFF);
+        generateMap();
+        // Update encoded seed string to reflect the new random seed
+        updateEncodedSeedString({ newHistoryEntry: true });
+    });
+
+    // Download canvas as PNG
+    downloadBtn.addEventListener('click', () => {
+        // Export the entire sector at a higher resolution
+        exportSector();
+    });
+
+    // Export only the selected subsector at high resolution
+    downloadSubsectorBtn.addEventListener('click', () => {
+        if (selectedSubsector) {
+            exportSubsector(selectedSubsector.sx, selectedSubsector.sy);
+        }
+    });
+
+    function getSelectedT5Format() {
+        let selectedFormat = 'tab';
+        t5FormatRadios.forEach((radio) => {
+            if (radio.checked) {
+                selectedFormat = radio.value;
+            }
+        });
+        return selectedFormat;
+    }
+
+    function updateT5ExportLabel() {
+        if (!exportT5Btn) {
+            return;
+        }
+        const formatLabel = getSelectedT5Format() === 'column' ? 'column-delimited' : 'tab-delimited';
+        exportT5Btn.textContent = `Generate T5 (${formatLabel})`;
+    }
+
+    t5FormatRadios.forEach((radio) => {
+        radio.addEventListener('change', updateT5ExportLabel);
+    });
+
+    if (exportT5Btn) {
+        exportT5Btn.addEventListener('click', () => {
+            exportT5Data();
+        });
+    }
+
+    // Initial render
     bitDepthValue.textContent = bitDepthSlider.value;
     presenceValue.textContent = presenceSlider.value;
-    // Generate the first map automatically when the page loads.  Use a
-    // random seed and store it so users can reproduce the pattern later.
-    currentSeed = Math.floor(Math.random() * 0xFFFFFFFF);
-    // Seeded RNG initialisation
-    setSeed(currentSeed);
-    // Generate the map using current UI parameters
-    generateMap();
-    // Build the initial encoded seed string reflecting the current
-    // parameters and numeric seed, and update the seed input/display.
-    updateEncodedSeedString();
+    // Generate the first map automatically when the page loads: the one
+    // in the permalink if the page was opened from one, otherwise a
+    // random seed stored so users can reproduce the pattern later.
+    if (!restorePermalink(location.hash, { force: true })) {
+        currentSeed = Math.floor(Math.random() * 0xFFFFFFFF);
+        // Generate the map using current UI parameters
+        generateMap();
+        // Build the initial encoded seed string reflecting the current
+        // parameters and numeric seed, and update the seed input/display.
+        updateEncodedSeedString();
+    }
     updateT5ExportLabel();
 
+    // Back and forward between generations, or a permalink pasted into
+    // the address bar of an open page
+    window.addEventListener('hashchange', () => {
+        if (location.hash !== lastPermalinkHash) {
+            restorePermalink(location.hash);
+        }
+    });
+
     // Zoom control: instead of using a CSS transform (which causes aliasing
     // artifacts when magnifying), adjust the canvas's internal resolution and
     // CSS size.  When the zoom slider changes, update the global zoomFactor,
@@ -1207,30 +2273,67 @@ document.addEventListener('DOMContentLoaded', () => {
         // Redraw the grid at the new zoom factor.  drawHexGrid() will
         // allocate a larger internal canvas and scale the context accordingly.
         drawHexGrid();
+        updatePermalink();
     });
 
-    // Canvas click: select a subsector based on mouse position and zoom
+    // Canvas click: open the hex editor for the clicked hex and select the
+    // subsector containing it
     canvas.addEventListener('click', (event) => {
+        // While the density brush is on, clicks paint instead
+        if (brushModeSelect.value !== 'off') {
+            return;
+        }
         const rect = canvas.getBoundingClientRect();
         // Adjust for zoom factor to compute coordinates relative to unscaled canvas
         const x = (event.clientX - rect.left) / zoomFactor;
         const y = (event.clientY - rect.top) / zoomFactor;
-        // Compute subsector width/height based on current side length
-        const sqrt3local = Math.sqrt(3);
-        const subW = (1.5 * subCols + 0.5) * currentSideLen;
-        const subH = (subRows + 0.5) * sqrt3local * currentSideLen;
-        const sx = Math.floor(x / subW);
-        const sy = Math.floor(y / subH);
-        if (sx >= 0 && sx < displaySubSectorCols && sy >= 0 && sy < displaySubSectorRows) {
-            selectedSubsector = { sx, sy };
+        const hex = getHexAtPoint(x, y);
+        if (hex) {
+            selectedSubsector = { sx: Math.floor(hex.col / subCols), sy: Math.floor(hex.row / subRows) };
             downloadSubsectorBtn.style.display = 'inline-block';
+            openHexEditor(globalIndexForDisplay(hex.row, hex.col));
         } else {
             selectedSubsector = null;
             downloadSubsectorBtn.style.display = 'none';
+            closeHexEditor();
         }
         drawHexGrid();
+        updatePermalink();
     });
 
+    // Density brush: paint while the mouse button is held down on the
+    // map.  A stroke ends when the button is released anywhere.
+    brushModeSelect.addEventListener('change', () => {
+        canvas.style.cursor = brushModeSelect.value === 'off' ? '' : 'crosshair';
+    });
+    brushRadiusSlider.addEventListener('input', () => {
+        brushRadiusValue.textContent = brushRadiusSlider.value;
+    });
+    brushStrengthSlider.addEventListener('input', () => {
+        brushStrengthValue.textContent = brushStrengthSlider.value;
+    });
+    canvas.addEventListener('mousedown', (event) => {
+        if (brushModeSelect.value === 'off' || event.button !== 0) {
+            return;
+        }
+        event.preventDefault();
+        brushStroke = { before: densityMask.slice(), weights: new Map() };
+        paintAtEvent(event);
+    });
+    canvas.addEventListener('mousemove', (event) => {
+        if (brushStroke) {
+            paintAtEvent(event);
+        }
+    });
+    window.addEventListener('mouseup', () => {
+        if (brushStroke) {
+            endBrushStroke();
+        }
+    });
+    undoMaskBtn.addEventListener('click', undoMask);
+    redoMaskBtn.addEventListener('click', redoMask);
+    clearMaskBtn.addEventListener('click', clearMask);
+
     // Simulation scale control: update the simulation scale factor and show the value.
     // Use input event to update display immediately and also update the encoded seed.
     simScaleSlider.addEventListener('input', () => {
@@ -1243,6 +2346,76 @@ document.addEventListener('DOMContentLoaded', () => {
         generateMap();
     });
 
+    // Advanced simulation sliders: show the value and update the seed
+    // while dragging, and regenerate the map on release
+    simParamControls.forEach(({ key, slider, value }) => {
+        slider.addEventListener('input', () => {
+            simulationParams[key] = parseFloat(slider.value);
+            if (value) {
+                value.textContent = slider.value;
+            }
+            if (simPresetSelect) {
+                simPresetSelect.value = findSimulationPreset(simulationParams) || 'custom';
+            }
+            updateEncodedSeedString();
+        });
+        slider.addEventListener('change', () => {
+            generateMap();
+        });
+    });
+
+    // Density generator weights: a weight of 0 leaves the generator out
+    // (with nothing left, the simulation is used alone)
+    generatorControls.forEach(({ slider, value }) => {
+        slider.addEventListener('input', () => {
+            if (value) {
+                value.textContent = slider.value;
+            }
+            densityGenerators = generatorControls
+                .map(({ name, slider: weightSlider }) => ({ name, weight: parseFloat(weightSlider.value) }))
+                .filter(({ weight }) => weight > 0);
+            if (densityGenerators.length === 0) {
+                densityGenerators = DEFAULT_GENERATORS.map((g) => Object.assign({}, g));
+                syncSimulationControls();
+            }
+            updateEncodedSeedString();
+        });
+        slider.addEventListener('change', () => {
+            generateMap();
+        });
+    });
+
+    // Preset select: load the preset's parameters and regenerate
+    if (simPresetSelect) {
+        simPresetSelect.addEventListener('change', () => {
+            if (!SIMULATION_PRESETS[simPresetSelect.value]) {
+                return;
+            }
+            simulationParams = Object.assign({}, SIMULATION_PRESETS[simPresetSelect.value]);
+            syncSimulationControls();
+            generateMap();
+            updateEncodedSeedString();
+        });
+    }
+
+    // Simulation area: rerun the simulation over the chosen area
+    if (simulationAreaSelect) {
+        simulationAreaSelect.addEventListener('change', () => {
+            simulationArea = simulationAreaSelect.value;
+            generateMap();
+            updateEncodedSeedString();
+        });
+    }
+
+    // Normalisation: only the quantisation changes, so just redraw
+    if (normalisationSelect) {
+        normalisationSelect.addEventListener('change', () => {
+            normalisation = normalisationSelect.value;
+            drawHexGrid();
+            updateEncodedSeedString();
+        });
+    }
+
     // Saturate slider: update saturateFactor and value display on input.
     // Also update the encoded seed to reflect the new saturate value.
     saturateSlider.addEventListener('input', () => {
@@ -1325,27 +2498,14 @@ document.addEventListener('DOMContentLoaded', () => {
         // Determine levels and compute per-subsector min/max intensities
         const levels = parseInt(bitDepthSlider.value, 10);
         const subsectorRanges = computeSubsectorRanges();
+        const labelPasses = [];
         // Draw all hexes
         for (let row = 0; row < displayRows; row++) {
             for (let col = 0; col < displayCols; col++) {
                 const index = globalIndexForDisplay(row, col);
-                const val = cellIntensities[index];
                 const globalRow = row + displayOffsetSubsectorY * subRows;
                 const globalCol = col + displayOffsetSubsectorX * subCols;
-                const sx = Math.floor(globalCol / subCols);
-                const sy = Math.floor(globalRow / subRows);
-                const { minVal, maxVal } = subsectorRanges[sy * baseSubSectorCols + sx];
-                let norm = 0;
-                if (maxVal > minVal) {
-                    norm = (val - minVal) / (maxVal - minVal);
-                }
-                // Apply saturate factor
-                if (saturateFactor !== 1) {
-                    norm = Math.min(1, Math.max(0, Math.pow(norm, 1 / saturateFactor)));
-                }
-                let level = Math.floor(norm * (levels - 1));
-                if (level < 0) level = 0;
-                if (level >= levels) level = levels - 1;
+                const level = getCellLevel(index, globalRow, globalCol, levels, subsectorRanges);
                 const gray = levels > 1 ? Math.floor((level / (levels - 1)) * 255) : 0;
                 offCtx.fillStyle = `rgb(${gray},${gray},${gray})`;
                 // Compute centre coordinates with odd‑q offset
@@ -1382,102 +2542,112 @@ document.addEventListener('DOMContentLoaded', () => {
                     offCtx.lineWidth = 0.5 * exportScale;
                     offCtx.stroke();
                 }
-                // Determine text to display at centre based on displayMode
-                let displayTextExp;
-                if (displayMode === 'dm') {
-                    const quartSize = levels / 4;
-                    let region = Math.floor(level / quartSize);
-                    if (region < 0) region = 0;
-                    if (region > 3) region = 3;
-                    const dmValue = -2 + region;
-                    if (dmValue > 0) {
-                        displayTextExp = `+${dmValue}`;
-                    } else if (dmValue === 0) {
-                        displayTextExp = '+0';
+                // Labels go on after the route overlay, as in drawHexGrid()
+                labelPasses.push(() => {
+                    // Determine text to display at centre based on displayMode
+                    let displayTextExp;
+                    if (displayMode === 'dm') {
+                        const quartSize = levels / 4;
+                        let region = Math.floor(level / quartSize);
+                        if (region < 0) region = 0;
+                        if (region > 3) region = 3;
+                        const dmValue = -2 + region;
+                        if (dmValue > 0) {
+                            displayTextExp = `+${dmValue}`;
+                        } else if (dmValue === 0) {
+                            displayTextExp = '+0';
+                        } else {
+                            displayTextExp = dmValue.toString();
+                        }
                     } else {
-                        displayTextExp = dmValue.toString();
-                    }
-                } else {
-                    // Presence mode for export: star if level meets threshold
-                    const worldPresent = (level + 1) >= presenceThresholdVal;
-                    displayTextExp = worldPresent ? '★' : '';
-                }
-                // Draw DM/star as primary text at centre
-                const densityColour = printableMode ? '#000' : ((gray > 128) ? '#000' : '#fff');
-                offCtx.fillStyle = densityColour;
-                offCtx.textAlign = 'center';
-                offCtx.textBaseline = 'middle';
-                offCtx.font = `${(sideLenExp * 0.35).toFixed(2)}px sans-serif`;
-                offCtx.fillText(displayTextExp, cx, cy);
-                // Prepare secondary and tertiary text (UWP and codes) if whole-world generation is active
-                let secondaryTextExp = '';
-                let tertiaryTextExp = '';
-                let tertiaryColourExp = null;
-                // Determine world presence based on threshold
-                const worldPresentExp = (level + 1) >= presenceThresholdVal;
-                if (generateWholeWorlds && worldPresentExp) {
-                    // Generate or retrieve world for this cell
-                    if (!worlds[index]) {
-                        worlds[index] = generateWorld();
+                        // Presence mode for export: star if level meets threshold
+                        const worldPresent = isWorldPresent(index, level);
+                        displayTextExp = worldPresent ? '★' : '';
                     }
-                    const world = worlds[index];
-                    // Compose UWP code (includes gas giant marker)
-                    secondaryTextExp = worldToUWP(world);
-                    // Compose trade and base codes
-                    const codes = [];
-                    if (world.tradeCodes && world.tradeCodes.length > 0) {
-                        codes.push(...world.tradeCodes);
+                    // Draw DM/star as primary text at centre
+                    const densityColour = printableMode ? '#000' : ((gray > 128) ? '#000' : '#fff');
+                    offCtx.fillStyle = densityColour;
+                    offCtx.textAlign = 'center';
+                    offCtx.textBaseline = 'middle';
+                    offCtx.font = `${(sideLenExp * 0.35).toFixed(2)}px sans-serif`;
+                    offCtx.fillText(displayTextExp, cx, cy);
+                    // Prepare secondary and tertiary text (UWP and codes) if whole-world generation is active
+                    let secondaryTextExp = '';
+                    let tertiaryTextExp = '';
+                    let tertiaryColourExp = null;
+                    // Determine world presence based on threshold
+                    const worldPresentExp = isWorldPresent(index, level);
+                    if (generateWholeWorlds && worldPresentExp) {
+                        // Generate or retrieve world for this cell
+                        const world = getOrCreateWorld(index);
+                        drawZoneCircle(offCtx, cx, cy, sideLenExp, world.zone, exportScale);
+                        // Compose UWP code (includes gas giant marker)
+                        secondaryTextExp = worldToUWP(world);
+                        // Compose trade and base codes
+                        const codes = [];
+                        if (world.tradeCodes && world.tradeCodes.length > 0) {
+                            codes.push(...world.tradeCodes);
+                        }
+                        if (world.bases && world.bases.length > 0) {
+                            codes.push(...world.bases);
+                        }
+                        if (codes.length > 0) {
+                            tertiaryTextExp = codes.join(' ');
+                            // Determine tertiary colour based on trade codes
+                            const redCodes = ['In', 'Hi', 'Ht', 'Va', 'Ri'];
+                            const amberCodes = ['Ag', 'As', 'Ba', 'De', 'Fl', 'Ic', 'Na', 'Ni', 'Lo', 'Lt', 'Po', 'Wa', 'Ga'];
+                            if (world.tradeCodes && world.tradeCodes.some(tc => redCodes.includes(tc))) {
+                                tertiaryColourExp = 'red';
+                            } else if (world.tradeCodes && world.tradeCodes.some(tc => amberCodes.includes(tc))) {
+                                tertiaryColourExp = 'orange';
+                            }
+                        }
                     }
-                    if (world.bases && world.bases.length > 0) {
-                        codes.push(...world.bases);
+                    // Draw secondary text (UWP code) if present
+                    if (secondaryTextExp) {
+                        offCtx.font = `${(sideLenExp * 0.25).toFixed(2)}px monospace`;
+                        offCtx.textBaseline = 'top';
+                        // Position UWP code further down from centre
+                        const secondaryYExp = cy + sideLenExp * 0.35;
+                        offCtx.fillStyle = densityColour;
+                        offCtx.fillText(secondaryTextExp, cx, secondaryYExp);
                     }
-                    if (codes.length > 0) {
-                        tertiaryTextExp = codes.join(' ');
-                        // Determine tertiary colour based on trade codes
-                        const redCodes = ['In', 'Hi', 'Ht', 'Va', 'Ri'];
-                        const amberCodes = ['Ag', 'As', 'Ba', 'De', 'Fl', 'Ic', 'Na', 'Ni', 'Lo', 'Lt', 'Po', 'Wa', 'Ga'];
-                        if (world.tradeCodes && world.tradeCodes.some(tc => redCodes.includes(tc))) {
-                            tertiaryColourExp = 'red';
-                        } else if (world.tradeCodes && world.tradeCodes.some(tc => amberCodes.includes(tc))) {
-                            tertiaryColourExp = 'orange';
-                        }
+                    // Draw tertiary text (trade/base codes) if present
+                    if (tertiaryTextExp) {
+                        // Use custom colour if defined, otherwise reuse densityColour
+                        offCtx.fillStyle = tertiaryColourExp || densityColour;
+                        offCtx.font = `${(sideLenExp * 0.20).toFixed(2)}px monospace`;
+                        offCtx.textBaseline = 'top';
+                        // Position tertiary text below secondary or moderate offset
+                        const tertiaryYExp = secondaryTextExp ? cy + sideLenExp * 0.58 : cy + sideLenExp * 0.35;
+                        offCtx.fillText(tertiaryTextExp, cx, tertiaryYExp);
+                        // Reset fillStyle for subsequent drawing
+                        offCtx.fillStyle = densityColour;
                     }
-                }
-                // Draw secondary text (UWP code) if present
-                if (secondaryTextExp) {
-                    offCtx.font = `${(sideLenExp * 0.25).toFixed(2)}px monospace`;
-                    offCtx.textBaseline = 'top';
-                    // Position UWP code further down from centre
-                    const secondaryYExp = cy + sideLenExp * 0.35;
-                    offCtx.fillStyle = densityColour;
-                    offCtx.fillText(secondaryTextExp, cx, secondaryYExp);
-                }
-                // Draw tertiary text (trade/base codes) if present
-                if (tertiaryTextExp) {
-                    // Use custom colour if defined, otherwise reuse densityColour
-                    offCtx.fillStyle = tertiaryColourExp || densityColour;
-                    offCtx.font = `${(sideLenExp * 0.20).toFixed(2)}px monospace`;
-                    offCtx.textBaseline = 'top';
-                    // Position tertiary text below secondary or moderate offset
-                    const tertiaryYExp = secondaryTextExp ? cy + sideLenExp * 0.58 : cy + sideLenExp * 0.35;
-                    offCtx.fillText(tertiaryTextExp, cx, tertiaryYExp);
-                    // Reset fillStyle for subsequent drawing
-                    offCtx.fillStyle = densityColour;
-                }
-                // Coordinate label
-                // Use local coordinates within the subsector for labels
-                const localCol = (col % subCols) + 1;
-                const localRow = (row % subRows) + 1;
-                const colStr = String(localCol).padStart(2, '0');
-                const rowStr = String(localRow).padStart(2, '0');
-                const coordLabel = `${colStr}${rowStr}`;
-                offCtx.fillStyle = '#FF6600';
-                offCtx.font = `${(sideLenExp * 0.25).toFixed(2)}px sans-serif`;
-                const coordY = cy - sideLenExp * 0.6;
-                offCtx.textBaseline = 'middle';
-                offCtx.fillText(coordLabel, cx, coordY);
+                    // Coordinate label
+                    // Use local coordinates within the subsector for labels
+                    const localCol = (col % subCols) + 1;
+                    const localRow = (row % subRows) + 1;
+                    const colStr = String(localCol).padStart(2, '0');
+                    const rowStr = String(localRow).padStart(2, '0');
+                    const coordLabel = `${colStr}${rowStr}`;
+                    offCtx.fillStyle = '#FF6600';
+                    offCtx.font = `${(sideLenExp * 0.25).toFixed(2)}px sans-serif`;
+                    const coordY = cy - sideLenExp * 0.6;
+                    offCtx.textBaseline = 'middle';
+                    offCtx.fillText(coordLabel, cx, coordY);
+                });
             }
         }
+        if (showRoutes) {
+            const routes = computeRoutes(displayOffsetSubsectorX * subCols, displayOffsetSubsectorY * subRows, displayCols, displayRows);
+            drawRoutes(offCtx, routes, (system) => hexCentre(
+                system.col - displayOffsetSubsectorX * subCols,
+                system.row - displayOffsetSubsectorY * subRows,
+                sideLenExp
+            ), sideLenExp, exportScale);
+        }
+        labelPasses.forEach((drawLabels) => drawLabels());
         // Draw subsector boundaries only when boundaries are enabled.  Highlight
         // hex edges at subsector borders to produce a zigzag boundary following the
         // hex geometry.
@@ -1491,13 +2661,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     const cxBound = col * horizSpacingExp + sideLenExp;
                     const cyBound = (row + offsetRows) * verticalSpacingExp + hexHeightExp / 2;
                     // Compute vertices
-                    const verts = [];
-                    for (let k = 0; k < 6; k++) {
-                        const angleRad = (Math.PI / 180) * (60 * k);
-                        const vx = cxBound + sideLenExp * Math.cos(angleRad);
-                        const vy = cyBound + sideLenExp * Math.sin(angleRad);
-                        verts.push({ x: vx, y: vy });
-                    }
+                    const verts = hexVertices(cxBound, cyBound, sideLenExp);
                     // Vertical boundary: right edges where col+1 divisible by subCols, excluding sector's last column
                     if ((col + 1) % subCols === 0 && col !== displayCols - 1) {
                         offCtx.beginPath();
@@ -1534,6 +2698,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             }
         }
+        if (showPolities) {
+            drawPolityBorders(offCtx, computePolities(), displayOffsetSubsectorX * subCols, displayOffsetSubsectorY * subRows, displayCols, displayRows, sideLenExp, exportScale);
+        }
         // Trigger download as PNG.  Use PNG format to preserve
         // transparency in areas outside of hex tiles.
         const dataURL = off.toDataURL('image/png');
@@ -1568,34 +2735,14 @@ document.addEventListener('DOMContentLoaded', () => {
         off.width = canvasW;
         off.height = canvasH;
         const offCtx = off.getContext('2d');
-        // Extract intensities for this subsector
-        const subInts = new Array(subCols * subRows).fill(0);
-        for (let r = 0; r < subRows; r++) {
-            for (let c = 0; c < subCols; c++) {
-                const globalRow = globalSy * subRows + r;
-                const globalCol = globalSx * subCols + c;
-                const globalIndex = globalRow * baseCols + globalCol;
-                subInts[r * subCols + c] = cellIntensities[globalIndex];
-            }
-        }
         const subsectorRanges = computeSubsectorRanges();
-        const { minVal, maxVal } = subsectorRanges[globalSy * baseSubSectorCols + globalSx];
         const levels = parseInt(bitDepthSlider.value, 10);
+        const labelPasses = [];
         // Draw the local hexes
         for (let row = 0; row < subRows; row++) {
             for (let col = 0; col < subCols; col++) {
-                const idx = row * subCols + col;
-                const val = subInts[idx];
-                let norm = 0;
-                if (maxVal > minVal) {
-                    norm = (val - minVal) / (maxVal - minVal);
-                }
-                if (saturateFactor !== 1) {
-                    norm = Math.min(1, Math.max(0, Math.pow(norm, 1 / saturateFactor)));
-                }
-                let level = Math.floor(norm * (levels - 1));
-                if (level < 0) level = 0;
-                if (level >= levels) level = levels - 1;
+                const globalIndex = (globalSy * subRows + row) * baseCols + globalSx * subCols + col;
+                const level = getCellLevel(globalIndex, globalSy * subRows + row, globalSx * subCols + col, levels, subsectorRanges);
                 const gray = levels > 1 ? Math.floor((level / (levels - 1)) * 255) : 0;
                 offCtx.fillStyle = `rgb(${gray},${gray},${gray})`;
                 // local odd‑q offset
@@ -1619,79 +2766,6 @@ document.addEventListener('DOMContentLoaded', () => {
                     // background transparent.  The border will be drawn
                     // below.
                 }
-                // Determine primary label (DM or star)
-                let displayTextExp;
-                const quartSizeSub = levels / 4;
-                if (displayMode === 'dm') {
-                    let region = Math.floor(level / quartSizeSub);
-                    if (region < 0) region = 0;
-                    if (region > 3) region = 3;
-                    const dmValue = -2 + region;
-                    if (dmValue > 0) displayTextExp = `+${dmValue}`;
-                    else if (dmValue === 0) displayTextExp = '+0';
-                    else displayTextExp = dmValue.toString();
-                } else {
-                    const worldPresent = (level + 1) >= presenceThresholdVal;
-                    displayTextExp = worldPresent ? '★' : '';
-                }
-                const densityColour = printableMode ? '#000' : ((gray > 128) ? '#000' : '#fff');
-                offCtx.fillStyle = densityColour;
-                offCtx.font = `${(sideLenExp * 0.35).toFixed(2)}px sans-serif`;
-                offCtx.textAlign = 'center';
-                offCtx.textBaseline = 'middle';
-                offCtx.fillText(displayTextExp, cx, cy);
-                // Prepare secondary (UWP) and tertiary (trade/base) text if whole-world mode is active
-                let secondaryTextExp = '';
-                let tertiaryTextExp = '';
-                let tertiaryColourExp = null;
-                const worldPresentExp = (level + 1) >= presenceThresholdVal;
-                if (generateWholeWorlds && worldPresentExp) {
-                    // Compute global index to look up world in worlds[]
-                    const globalRow = globalSy * subRows + row;
-                    const globalCol = globalSx * subCols + col;
-                    const globalIndex = globalRow * baseCols + globalCol;
-                    if (!worlds[globalIndex]) {
-                        worlds[globalIndex] = generateWorld();
-                    }
-                    const world = worlds[globalIndex];
-                    secondaryTextExp = worldToUWP(world);
-                    const codes = [];
-                    if (world.tradeCodes && world.tradeCodes.length > 0) {
-                        codes.push(...world.tradeCodes);
-                    }
-                    if (world.bases && world.bases.length > 0) {
-                        codes.push(...world.bases);
-                    }
-                    if (codes.length > 0) {
-                        tertiaryTextExp = codes.join(' ');
-                        // Determine colour for tertiary text
-                        const redCodes = ['In', 'Hi', 'Ht', 'Va', 'Ri'];
-                        const amberCodes = ['Ag', 'As', 'Ba', 'De', 'Fl', 'Ic', 'Na', 'Ni', 'Lo', 'Lt', 'Po', 'Wa', 'Ga'];
-                        if (world.tradeCodes && world.tradeCodes.some(tc => redCodes.includes(tc))) {
-                            tertiaryColourExp = 'red';
-                        } else if (world.tradeCodes && world.tradeCodes.some(tc => amberCodes.includes(tc))) {
-                            tertiaryColourExp = 'orange';
-                        }
-                    }
-                }
-                // Draw secondary text (UWP code)
-                if (secondaryTextExp) {
-                    offCtx.font = `${(sideLenExp * 0.25).toFixed(2)}px monospace`;
-                    offCtx.textBaseline = 'top';
-                    const secondaryYExp = cy + sideLenExp * 0.35;
-                    offCtx.fillStyle = densityColour;
-                    offCtx.fillText(secondaryTextExp, cx, secondaryYExp);
-                }
-                // Draw tertiary text (trade/base codes)
-                if (tertiaryTextExp) {
-                    offCtx.fillStyle = tertiaryColourExp || densityColour;
-                    offCtx.font = `${(sideLenExp * 0.20).toFixed(2)}px monospace`;
-                    offCtx.textBaseline = 'top';
-                    const tertiaryYExp = secondaryTextExp ? cy + sideLenExp * 0.58 : cy + sideLenExp * 0.35;
-                    offCtx.fillText(tertiaryTextExp, cx, tertiaryYExp);
-                    // Reset fillStyle for coordinate labels
-                    offCtx.fillStyle = densityColour;
-                }
                 // Draw a thin outline around each hex for legibility.
                 {
                     const borderOpacityCell = printableMode ? 0.6 : 0.3;
@@ -1699,22 +2773,129 @@ document.addEventListener('DOMContentLoaded', () => {
                     offCtx.lineWidth = 0.5 * exportScale;
                     offCtx.stroke();
                 }
-                // coordinate label (local coordinates 01–08, 01–10)
-                const colStr = String(col + 1).padStart(2, '0');
-                const rowStr = String(row + 1).padStart(2, '0');
-                const coordLabel = `${colStr}${rowStr}`;
-                offCtx.fillStyle = '#FF6600';
-                offCtx.font = `${(sideLenExp * 0.25).toFixed(2)}px sans-serif`;
-                const coordY = cy - sideLenExp * 0.6;
-                offCtx.fillText(coordLabel, cx, coordY);
+                // Labels go on after the route overlay, as in drawHexGrid()
+                labelPasses.push(() => {
+                    // Determine primary label (DM or star)
+                    let displayTextExp;
+                    const quartSizeSub = levels / 4;
+                    if (displayMode === 'dm') {
+                        let region = Math.floor(level / quartSizeSub);
+                        if (region < 0) region = 0;
+                        if (region > 3) region = 3;
+                        const dmValue = -2 + region;
+                        if (dmValue > 0) displayTextExp = `+${dmValue}`;
+                        else if (dmValue === 0) displayTextExp = '+0';
+                        else displayTextExp = dmValue.toString();
+                    } else {
+                        const worldPresent = isWorldPresent(globalIndex, level);
+                        displayTextExp = worldPresent ? '★' : '';
+                    }
+                    const densityColour = printableMode ? '#000' : ((gray > 128) ? '#000' : '#fff');
+                    offCtx.fillStyle = densityColour;
+                    offCtx.font = `${(sideLenExp * 0.35).toFixed(2)}px sans-serif`;
+                    offCtx.textAlign = 'center';
+                    offCtx.textBaseline = 'middle';
+                    offCtx.fillText(displayTextExp, cx, cy);
+                    // Prepare secondary (UWP) and tertiary (trade/base) text if whole-world mode is active
+                    let secondaryTextExp = '';
+                    let tertiaryTextExp = '';
+                    let tertiaryColourExp = null;
+                    let nameTextExp = '';
+                    let zoneExp = '';
+                    const worldPresentExp = isWorldPresent(globalIndex, level);
+                    if (generateWholeWorlds && worldPresentExp) {
+                        const world = getOrCreateWorld(globalIndex);
+                        secondaryTextExp = worldToUWP(world);
+                        nameTextExp = getWorldName(globalIndex, world);
+                        zoneExp = world.zone;
+                        const codes = [];
+                        if (world.tradeCodes && world.tradeCodes.length > 0) {
+                            codes.push(...world.tradeCodes);
+                        }
+                        if (world.bases && world.bases.length > 0) {
+                            codes.push(...world.bases);
+                        }
+                        if (codes.length > 0) {
+                            tertiaryTextExp = codes.join(' ');
+                            // Determine colour for tertiary text
+                            const redCodes = ['In', 'Hi', 'Ht', 'Va', 'Ri'];
+                            const amberCodes = ['Ag', 'As', 'Ba', 'De', 'Fl', 'Ic', 'Na', 'Ni', 'Lo', 'Lt', 'Po', 'Wa', 'Ga'];
+                            if (world.tradeCodes && world.tradeCodes.some(tc => redCodes.includes(tc))) {
+                                tertiaryColourExp = 'red';
+                            } else if (world.tradeCodes && world.tradeCodes.some(tc => amberCodes.includes(tc))) {
+                                tertiaryColourExp = 'orange';
+                            }
+                        }
+                    }
+                    // Draw secondary text (UWP code)
+                    if (secondaryTextExp) {
+                        offCtx.font = `${(sideLenExp * 0.25).toFixed(2)}px monospace`;
+                        offCtx.textBaseline = 'top';
+                        const secondaryYExp = cy + sideLenExp * 0.35;
+                        offCtx.fillStyle = densityColour;
+                        offCtx.fillText(secondaryTextExp, cx, secondaryYExp);
+                    }
+                    // Draw tertiary text (trade/base codes)
+                    if (tertiaryTextExp) {
+                        offCtx.fillStyle = tertiaryColourExp || densityColour;
+                        offCtx.font = `${(sideLenExp * 0.20).toFixed(2)}px monospace`;
+                        offCtx.textBaseline = 'top';
+                        const tertiaryYExp = secondaryTextExp ? cy + sideLenExp * 0.58 : cy + sideLenExp * 0.35;
+                        offCtx.fillText(tertiaryTextExp, cx, tertiaryYExp);
+                        // Reset fillStyle for coordinate labels
+                        offCtx.fillStyle = densityColour;
+                    }
+                    // Travel zone circle
+                    drawZoneCircle(offCtx, cx, cy, sideLenExp, zoneExp, exportScale);
+                    // coordinate label (local coordinates 01–08, 01–10)
+                    const colStr = String(col + 1).padStart(2, '0');
+                    const rowStr = String(row + 1).padStart(2, '0');
+                    const coordLabel = `${colStr}${rowStr}`;
+                    offCtx.fillStyle = '#FF6600';
+                    offCtx.font = `${(sideLenExp * 0.25).toFixed(2)}px sans-serif`;
+                    const coordY = cy - sideLenExp * 0.6;
+                    offCtx.fillText(coordLabel, cx, coordY);
+                    // World name below the coordinate label
+                    if (nameTextExp) {
+                        offCtx.fillStyle = densityColour;
+                        offCtx.font = `${(sideLenExp * 0.2).toFixed(2)}px sans-serif`;
+                        offCtx.textBaseline = 'middle';
+                        offCtx.fillText(nameTextExp, cx, cy - sideLenExp * 0.33, sideLenExp * 1.6);
+                    }
+                });
             }
         }
+        if (showRoutes) {
+            // Include neighbours up to a jump away so routes leaving the
+            // subsector run off the edge of the image
+            const routes = computeRoutes(
+                globalSx * subCols - routeJumpMax,
+                globalSy * subRows - routeJumpMax,
+                subCols + 2 * routeJumpMax,
+                subRows + 2 * routeJumpMax
+            );
+            const insideSubsector = (system) => (
+                Math.floor(system.col / subCols) === globalSx && Math.floor(system.row / subRows) === globalSy
+            );
+            const touching = (link) => insideSubsector(link.from) || insideSubsector(link.to);
+            routes.links = routes.links.filter(touching);
+            routes.trade = routes.trade.filter(touching);
+            drawRoutes(offCtx, routes, (system) => hexCentre(
+                system.col - globalSx * subCols,
+                system.row - globalSy * subRows,
+                sideLenExp
+            ), sideLenExp, exportScale);
+        }
+        labelPasses.forEach((drawLabels) => drawLabels());
         // Draw border around the subsector only if boundaries are enabled
         if (showBoundaries) {
             offCtx.strokeStyle = '#0088CC';
             offCtx.lineWidth = 2 * exportScale;
             offCtx.strokeRect(0, 0, canvasW, canvasH);
         }
+        if (showPolities) {
+            drawPolityBorders(offCtx, computePolities(), globalSx * subCols, globalSy * subRows, subCols, subRows, sideLenExp, exportScale);
+        }
         // Trigger download as PNG for transparency
         const dataURL = off.toDataURL('image/png');
         const link = document.createElement('a');
@@ -1723,130 +2904,112 @@ document.addEventListener('DOMContentLoaded', () => {
         link.click();
     }
 
-    function getSeedStringForExport() {
-        updateEncodedSeedString();
-        const seedText = seedInput.value.trim();
-        if (seedText) {
-            return seedText;
-        }
-        return seedDisplay.textContent.replace(/^Seed\s+/i, '').trim();
+    /**
+     * Hex reference for a global cell as shown to the user: the sector
+     * hex (e.g. 0304), prefixed by the sector label in vastness mode.
+     * @param {number} index – global cell index
+     * @returns {string}
+     */
+    function formatHexReference(index) {
+        const { hexCol, hexRow, sector } = getSectorDetails(Math.floor(index / baseCols), index % baseCols);
+        const hex = `${String(hexCol + 1).padStart(2, '0')}${String(hexRow + 1).padStart(2, '0')}`;
+        return mapMode === 'vastness' ? `${sector} ${hex}` : hex;
     }
 
-    function getCellLevel(index, globalRow, globalCol, levels, subsectorRanges) {
-        const val = cellIntensities[index];
-        const sx = Math.floor(globalCol / subCols);
-        const sy = Math.floor(globalRow / subRows);
-        const { minVal, maxVal } = subsectorRanges[sy * baseSubSectorCols + sx];
-        let norm = 0;
-        if (maxVal > minVal) {
-            norm = (val - minVal) / (maxVal - minVal);
+    /**
+     * Parse a hex reference such as "0304" or "SECB 0710" into a global
+     * cell index.  The sector defaults to the first and must be shown in
+     * the current map mode.
+     * @param {string} text
+     * @returns {number} the global cell index
+     * @throws {Error} if the reference is malformed or off the map
+     */
+    function parseHexReference(text) {
+        const match = /^\s*(?:([A-Za-z]+)[\s/]+)?(\d{2})(\d{2})\s*$/.exec(text);
+        if (!match) {
+            throw new Error(`"${text.trim()}" is not a hex; use four digits such as 0304`);
         }
-        if (saturateFactor !== 1) {
-            norm = Math.min(1, Math.max(0, Math.pow(norm, 1 / saturateFactor)));
+        const sectorIndex = match[1] ? sectorLabels.indexOf(match[1].toUpperCase()) : 0;
+        if (sectorIndex < 0) {
+            throw new Error(`Unknown sector "${match[1]}" (expected one of ${sectorLabels.join(', ')})`);
         }
-        let level = Math.floor(norm * (levels - 1));
-        if (level < 0) level = 0;
-        if (level >= levels) level = levels - 1;
-        return level;
-    }
-
-    function formatUwpForExport(world) {
-        const baseUwp = worldToUWP(world).replace(/\*$/, '');
-        if (baseUwp.length < 8) {
-            return baseUwp;
+        if (sectorIndex > 0 && mapMode !== 'vastness') {
+            throw new Error(`${sectorLabels[sectorIndex]} is only shown in vastness mode`);
         }
-        return `${baseUwp.slice(0, 7)}-${baseUwp.slice(7)}`;
-    }
-
-    function getSectorDetails(globalRow, globalCol) {
         const sectorWidth = subCols * 4;
         const sectorHeight = subRows * 4;
-        const isVastness = mapMode === 'vastness';
-        const sectorX = isVastness ? Math.floor(globalCol / sectorWidth) : 0;
-        const sectorY = isVastness ? Math.floor(globalRow / sectorHeight) : 0;
-        const sectorLabels = ['SECA', 'SECB', 'SECC', 'SECD'];
-        const sectorIndex = sectorY * 2 + sectorX;
-        const sector = sectorLabels[sectorIndex] || sectorLabels[0];
-        const localCol = isVastness ? (globalCol % sectorWidth) : globalCol;
-        const localRow = isVastness ? (globalRow % sectorHeight) : globalRow;
-        const subsectorX = Math.floor(globalCol / subCols) % 4;
-        const subsectorY = Math.floor(globalRow / subRows) % 4;
-        const subsectorIndex = subsectorY * 4 + subsectorX;
-        const subsector = String.fromCharCode(65 + subsectorIndex);
-        return { hexCol: localCol, hexRow: localRow, sector, subsector };
-    }
-
-    function buildT5Rows() {
-        const levels = parseInt(bitDepthSlider.value, 10);
-        const subsectorRanges = computeSubsectorRanges();
-        const rows = [];
-        for (let row = 0; row < displayRows; row++) {
-            for (let col = 0; col < displayCols; col++) {
-                const index = globalIndexForDisplay(row, col);
-                const globalRow = row + displayOffsetSubsectorY * subRows;
-                const globalCol = col + displayOffsetSubsectorX * subCols;
-                const level = getCellLevel(index, globalRow, globalCol, levels, subsectorRanges);
-                const worldPresent = (level + 1) >= presenceThresholdVal;
-                if (!worldPresent) {
-                    continue;
-                }
-                if (!worlds[index]) {
-                    worlds[index] = generateWorld();
-                }
-                const world = worlds[index];
-                const { hexCol, hexRow, sector, subsector } = getSectorDetails(globalRow, globalCol);
-                const hex = `${String(hexCol + 1).padStart(2, '0')}${String(hexRow + 1).padStart(2, '0')}`;
-                const name = `World ${hex}`;
-                const uwp = formatUwpForExport(world);
-                const remarks = (world.tradeCodes || []).join(' ');
-                const pbg = `${world.population}${0}${world.gasGiant ? 1 : 0}`;
-                rows.push([
-                    hex,
-                    name,
-                    uwp,
-                    remarks,
-                    '',
-                    '',
-                    '',
-                    '',
-                    '',
-                    '',
-                    pbg,
-                    '',
-                    '',
-                    '',
-                    sector,
-                    subsector
-                ]);
-            }
+        const hexCol = parseInt(match[2], 10);
+        const hexRow = parseInt(match[3], 10);
+        if (hexCol < 1 || hexRow < 1 || hexCol > sectorWidth || hexRow > sectorHeight) {
+            throw new Error(`Hex ${match[2]}${match[3]} lies outside the ${sectorWidth}×${sectorHeight} sector`);
         }
-        return rows;
+        const globalCol = (sectorIndex % 2) * sectorWidth + hexCol - 1;
+        const globalRow = Math.floor(sectorIndex / 2) * sectorHeight + hexRow - 1;
+        return globalRow * baseCols + globalCol;
     }
 
-    function formatT5Rows(rows, format) {
-        const header = ['Hex', 'Name', 'UWP', 'Remarks', '{Ix}', '(Ex)', '[Cx]', 'N', 'B', 'Z', 'PBG', 'W', 'A', 'Stellar', 'Sector', 'SS'];
-        if (format === 'column') {
-            const widths = [4, 20, 9, 27, 6, 7, 6, 4, 2, 1, 3, 2, 4, 14, 6, 2];
-            const formatRow = (columns) => columns
-                .map((value, index) => String(value).padEnd(widths[index] || 0))
-                .join(' ')
-                .trimEnd();
-            const separator = widths
-                .map((width) => '-'.repeat(Math.max(1, width)))
-                .join(' ')
-                .trimEnd();
-            return [formatRow(header), separator, ...rows.map(formatRow)].join('\r\n');
+    /**
+     * Plan a route between the hexes in the planner inputs, highlight it
+     * on the map and list each jump with the UWP of the world reached.
+     */
+    function planRoute() {
+        const jump = parseInt(routePlanJumpSelect.value, 10);
+        let fromIndex;
+        let toIndex;
+        try {
+            fromIndex = parseHexReference(routeFromInput.value);
+            toIndex = parseHexReference(routeToInput.value);
+        } catch (error) {
+            plannedPath = [];
+            routePlanOutput.textContent = error.message;
+            drawHexGrid();
+            return;
         }
-        return [header.join('\t'), ...rows.map((row) => row.join('\t'))].join('\r\n');
+        const systems = collectSystems(displayOffsetSubsectorX * subCols, displayOffsetSubsectorY * subRows, displayCols, displayRows);
+        const start = systems.find((system) => system.index === fromIndex);
+        const goal = systems.find((system) => system.index === toIndex);
+        if (!start || !goal) {
+            plannedPath = [];
+            routePlanOutput.textContent = `There is no world at ${formatHexReference(start ? toIndex : fromIndex)}.`;
+            drawHexGrid();
+            return;
+        }
+        const path = findJumpPath(systems, start, goal, jump, {
+            avoidRed: routeAvoidRedCheckbox.checked,
+            preferRefuel: routePreferRefuelCheckbox.checked
+        });
+        if (!path) {
+            plannedPath = [];
+            routePlanOutput.textContent = `No Jump-${jump} route from ${formatHexReference(fromIndex)} to ${formatHexReference(toIndex)}.`;
+            drawHexGrid();
+            return;
+        }
+        plannedPath = path.map((system) => system.index);
+        const describe = (system) => {
+            const fuel = canRefuel(system.world) ? 'fuel' : 'no fuel';
+            const zone = system.world.zone ? `, ${system.world.zone === 'R' ? 'Red' : 'Amber'} zone` : '';
+            return `${formatHexReference(system.index)}  ${worldToUWP(system.world)}  ${getWorldName(system.index, system.world)} (${fuel}${zone})`;
+        };
+        let parsecs = 0;
+        const lines = [`${'Start'.padEnd(8)} ${describe(path[0])}`];
+        for (let i = 1; i < path.length; i++) {
+            const distance = hexDistance(path[i - 1].col, path[i - 1].row, path[i].col, path[i].row);
+            parsecs += distance;
+            lines.push(`${`Jump ${i}`.padEnd(8)} ${describe(path[i])}  ${distance} pc`);
+        }
+        const jumps = path.length - 1;
+        lines.unshift(`Jump-${jump}: ${jumps} jump${jumps === 1 ? '' : 's'}, ${parsecs} parsec${parsecs === 1 ? '' : 's'}`);
+        routePlanOutput.textContent = lines.join('\n');
+        drawHexGrid();
     }
 
     function exportT5Data() {
-        const rows = buildT5Rows();
+        const rows = buildT5Rows(displayOffsetSubsectorX * subCols, displayOffsetSubsectorY * subRows, displayCols, displayRows);
         const format = getSelectedT5Format();
         let content = formatT5Rows(rows, format);
         if (includeXmlMetadataCheckbox && includeXmlMetadataCheckbox.checked) {
-            const seedString = getSeedStringForExport();
-            content += `\r\n\r\n<Metadata>\r\n  <Seed>${seedString}</Seed>\r\n</Metadata>`;
+            const mapCode = encodeMapCode(currentMapSettings());
+            content += `\r\n\r\n<Metadata>\r\n  <Seed>${mapCode}</Seed>\r\n  <Ruleset>${currentRuleset().name}</Ruleset>\r\n</Metadata>`;
         }
         if (t5Output) {
             t5Output.value = content;
@@ -1854,4 +3017,535 @@ document.addEventListener('DOMContentLoaded', () => {
             t5Output.select();
         }
     }
+
+    /**
+     * Import a T5 sector file from the import text area.  Each parsed row
+     * is placed at its global hex position using the Sector column written
+     * by getSectorDetails() (rows without a sector go to the first
+     * sector).  When "replace" is checked, every other hex in the
+     * imported sectors is emptied so the map matches the file exactly.
+     * Problems are listed per line in the import report.
+     */
+    function importT5Data() {
+        const { entries, errors, warnings } = parseT5Sector(t5Input.value);
+        const sectorWidth = subCols * 4;
+        const sectorHeight = subRows * 4;
+        const placements = [];
+        entries.forEach((entry) => {
+            const sectorIndex = entry.sector === '' ? 0 : sectorLabels.indexOf(entry.sector.toUpperCase());
+            if (sectorIndex < 0) {
+                errors.push({ line: entry.line, message: `Unknown sector "${entry.sector}" (expected one of ${sectorLabels.join(', ')})` });
+                return;
+            }
+            if (entry.hexCol > sectorWidth || entry.hexRow > sectorHeight) {
+                errors.push({ line: entry.line, message: `Hex ${String(entry.hexCol).padStart(2, '0')}${String(entry.hexRow).padStart(2, '0')} lies outside the ${sectorWidth}×${sectorHeight} sector` });
+                return;
+            }
+            const globalCol = (sectorIndex % 2) * sectorWidth + entry.hexCol - 1;
+            const globalRow = Math.floor(sectorIndex / 2) * sectorHeight + entry.hexRow - 1;
+            placements.push({ sectorIndex, index: globalRow * baseCols + globalCol, world: entry.world });
+        });
+        if (t5ImportReplaceCheckbox && t5ImportReplaceCheckbox.checked) {
+            const importedSectors = new Set(placements.map((p) => p.sectorIndex));
+            importedSectors.forEach((sectorIndex) => {
+                const startCol = (sectorIndex % 2) * sectorWidth;
+                const startRow = Math.floor(sectorIndex / 2) * sectorHeight;
+                for (let r = 0; r < sectorHeight; r++) {
+                    for (let c = 0; c < sectorWidth; c++) {
+                        worldOverrides.set((startRow + r) * baseCols + startCol + c, null);
+                    }
+                }
+            });
+        }
+        placements.forEach(({ index, world }) => {
+            worldOverrides.set(index, world);
+        });
+        // Worlds outside the first sector are only visible in vastness mode
+        if (placements.some((p) => p.sectorIndex > 0)) {
+            applyMapMode('vastness');
+        }
+        errors.sort((a, b) => a.line - b.line);
+        const lines = [`Imported ${placements.length} world${placements.length === 1 ? '' : 's'}.`];
+        const rules = currentRuleset();
+        const broken = placements.filter(({ world }) => checkWorld(world, rules).length > 0).length;
+        if (broken > 0) {
+            lines.push(`${broken} imported world${broken === 1 ? ' breaks' : 's break'} the ${rules.name} rules; see World Check.`);
+        }
+        errors.forEach(({ line, message }) => {
+            lines.push(line > 0 ? `Line ${line}: ${message}` : message);
+        });
+        warnings.forEach(({ line, message }) => {
+            lines.push(`Line ${line}: ${message}`);
+        });
+        t5ImportReport.textContent = lines.join('\n');
+        // Show the imported world if its hex is open in the hex editor
+        if (selectedHex !== null) {
+            openHexEditor(selectedHex);
+        }
+        drawHexGrid();
+        updateEncodedSeedString();
+    }
+
+    if (t5FileInput) {
+        t5FileInput.addEventListener('change', () => {
+            const file = t5FileInput.files[0];
+            if (!file) {
+                return;
+            }
+            file.text().then((text) => {
+                t5Input.value = text;
+            });
+        });
+    }
+
+    if (importT5Btn) {
+        importT5Btn.addEventListener('click', () => {
+            importT5Data();
+        });
+    }
+
+    if (clearImportBtn) {
+        clearImportBtn.addEventListener('click', () => {
+            worldOverrides = new Map();
+            t5ImportReport.textContent = '';
+            if (selectedHex !== null) {
+                openHexEditor(selectedHex);
+            }
+            drawHexGrid();
+            updatePermalink();
+        });
+    }
+
+    // House rules (see rulesets.js).  The editor holds a rules document;
+    // applying it checks every step and rerolls the map with it.
+    const houseRulesBaseSelect = document.getElementById('houseRulesBase');
+    const houseRulesText = document.getElementById('houseRulesText');
+    const houseRulesReport = document.getElementById('houseRulesReport');
+    const houseRulesFileInput = document.getElementById('houseRulesFile');
+    const houseRulesOption = rulesetSelect ? rulesetSelect.querySelector(`option[value="${HOUSE_RULESET_ID}"]`) : null;
+    houseRulesText.value = serialiseRuleset(getRuleset(houseRulesBaseSelect.value));
+
+    /**
+     * Make a house ruleset the one the "House rules" choice uses, and show
+     * it in the editor.  The map is left to the caller.
+     * @param {object} rules – from parseRulesDocument()
+     * @param {string} message – shown under the editor
+     */
+    function loadHouseRules(rules, message) {
+        houseRules = rules;
+        if (houseRulesOption) {
+            houseRulesOption.disabled = false;
+            houseRulesOption.textContent = `House rules: ${rules.name}`;
+        }
+        houseRulesText.value = serialiseRuleset(rules);
+        houseRulesReport.textContent = message;
+    }
+
+    /**
+     * Check the rules in the editor and, if they are sound, reroll the map
+     * with them.
+     * @param {string} source – names the rules in messages
+     */
+    function applyHouseRules(source) {
+        let rules;
+        try {
+            rules = parseRulesDocument(houseRulesText.value);
+        } catch (error) {
+            houseRulesReport.textContent = `Could not apply ${source}. ${error.message}`;
+            return;
+        }
+        loadHouseRules(rules, `Applied "${rules.name}"; worlds not locked by hand have been rerolled.`);
+        switchRuleset(HOUSE_RULESET_ID);
+    }
+
+    document.getElementById('houseRulesTemplate').addEventListener('click', () => {
+        houseRulesText.value = serialiseRuleset(getRuleset(houseRulesBaseSelect.value));
+        houseRulesReport.textContent = '';
+    });
+
+    document.getElementById('applyHouseRules').addEventListener('click', () => applyHouseRules('the rules'));
+
+    document.getElementById('downloadHouseRules').addEventListener('click', () => {
+        let rules;
+        try {
+            rules = parseRulesDocument(houseRulesText.value);
+        } catch (error) {
+            houseRulesReport.textContent = `Could not download the rules. ${error.message}`;
+            return;
+        }
+        downloadJson(serialiseRuleset(rules), 'house-rules.json');
+        houseRulesReport.textContent = `Downloaded "${rules.name}".`;
+    });
+
+    houseRulesFileInput.addEventListener('change', () => {
+        const file = houseRulesFileInput.files[0];
+        if (!file) {
+            return;
+        }
+        file.text().then((text) => {
+            houseRulesFileInput.value = '';
+            houseRulesText.value = text;
+            applyHouseRules(file.name);
+        });
+    });
+
+    // Campaign library (see campaigns.js).  The store opens in the
+    // background; the panel reports if the browser will not store data.
+    const campaignNameInput = document.getElementById('campaignName');
+    const campaignList = document.getElementById('campaignList');
+    const campaignStatus = document.getElementById('campaignStatus');
+    const campaignFileInput = document.getElementById('campaignFile');
+    const campaignStore = openCampaignStore(window);
+
+    /**
+     * Snapshot the current map as a campaign record: everything needed to
+     * show it again exactly, without rerunning the simulation.
+     * @param {string} name
+     * @returns {object}
+     */
+    function captureCampaign(name) {
+        const now = new Date().toISOString();
+        return {
+            id: createCampaignId(),
+            name,
+            created: now,
+            modified: now,
+            version: CAMPAIGN_VERSION,
+            mapCode: encodeMapCode(currentMapSettings()),
+            cellIntensities: Array.from(cellIntensities),
+            densityImage: densityImage ? Array.from(densityImage) : null,
+            worlds: worlds.map((world, index) => (world ? [index, world] : null)).filter(Boolean),
+            overrides: Array.from(worldOverrides.entries()),
+            customNames,
+            houseRules: ruleset === HOUSE_RULESET_ID ? rulesToDocument(houseRules) : null,
+            view: { zoom: zoomFactor, subsector: selectedSubsector }
+        };
+    }
+
+    /**
+     * Show a saved map – a campaign or a JSON map document – without
+     * rerunning the simulation.  The view and the drawing are left to the
+     * caller.
+     * @param {object} saved
+     * @param {object} saved.settings – as returned by readMapCode()
+     * @param {number[]} saved.cellIntensities
+     * @param {ArrayLike<number>|null} saved.densityImage
+     * @param {string[]} saved.customNames
+     * @param {object|null} saved.houseRules – from parseRulesDocument()
+     * @param {object[]} saved.worlds – world or null by global cell index
+     * @param {Map<number, object|null>} saved.overrides – the locked hexes
+     * @param {string} saved.source – names the map in messages
+     */
+    function restoreSavedMap(saved) {
+        cancelGeneration();
+        // Restore the image and names first so the settings find them
+        densityImage = saved.densityImage ? Float32Array.from(saved.densityImage) : null;
+        densityImageFileInput.value = '';
+        densityImageInfo.textContent = densityImage ? `Using the image saved with ${saved.source}` : '';
+        customNames = saved.customNames;
+        customNameModel = customNames.length > 0 ? buildNameModel(customNames) : null;
+        nameListInfo.textContent = customNames.length > 0 ? `${customNames.length} name${customNames.length === 1 ? '' : 's'} saved with ${saved.source}` : '';
+        if (saved.houseRules) {
+            loadHouseRules(saved.houseRules, `Using the rules saved with ${saved.source}.`);
+        }
+        applyMapSettings(saved.settings);
+        currentSeed = saved.settings.seed;
+        cellIntensities = saved.cellIntensities;
+        worlds = saved.worlds;
+        worldOverrides = saved.overrides;
+        nameCache = new Map();
+        plannedPath = [];
+        routePlanOutput.textContent = '';
+        closeHexEditor();
+        showSeedMessage('');
+    }
+
+    /**
+     * Show a saved campaign: its settings, density field, worlds, edits
+     * and view.  The simulation is not rerun.
+     * @param {object} campaign
+     */
+    function loadCampaign(campaign) {
+        let result;
+        let savedRules = null;
+        try {
+            result = readMapCode(campaign.mapCode, baseCols * baseRows);
+            if (campaign.houseRules) {
+                savedRules = parseRulesDocument(campaign.houseRules);
+            }
+        } catch (error) {
+            campaignStatus.textContent = `Could not load "${campaign.name}". ${error.message}`;
+            return;
+        }
+        if (campaign.cellIntensities.length !== baseCols * baseRows) {
+            campaignStatus.textContent = `Could not load "${campaign.name}": its density field does not fit this map.`;
+            return;
+        }
+        const savedWorlds = new Array(baseCols * baseRows).fill(null);
+        campaign.worlds.forEach(([index, world]) => {
+            savedWorlds[index] = world;
+        });
+        restoreSavedMap({
+            settings: result.settings,
+            cellIntensities: campaign.cellIntensities.slice(),
+            densityImage: campaign.densityImage,
+            customNames: campaign.customNames || [],
+            houseRules: savedRules,
+            worlds: savedWorlds,
+            overrides: new Map(campaign.overrides),
+            source: `"${campaign.name}"`
+        });
+        const view = campaign.view || {};
+        restoreView(view.zoom, view.subsector || null);
+        drawHexGrid();
+        updateEncodedSeedString({ newHistoryEntry: true });
+        campaignNameInput.value = campaign.name;
+        campaignStatus.textContent = `Loaded "${campaign.name}".`;
+    }
+
+    /**
+     * Offer text as a file download.
+     * @param {string} text
+     * @param {string} filename
+     */
+    function downloadJson(text, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Redraw the campaign list, most recently saved first.
+     * @returns {Promise}
+     */
+    function renderCampaignList() {
+        return campaignStore.then((store) => store.list()).then((campaigns) => {
+            campaigns.sort((a, b) => b.modified.localeCompare(a.modified));
+            campaignList.textContent = '';
+            campaigns.forEach((campaign) => {
+                const item = document.createElement('li');
+                item.className = 'campaign-list__item';
+                const name = document.createElement('input');
+                name.type = 'text';
+                name.value = campaign.name;
+                name.setAttribute('aria-label', 'Campaign name');
+                const date = document.createElement('span');
+                date.className = 'campaign-list__date';
+                date.textContent = `Saved ${new Date(campaign.modified).toLocaleString()}`;
+                item.append(name, date);
+                const actions = {
+                    Load: () => loadCampaign(campaign),
+                    Duplicate: () => {
+                        const copy = duplicateCampaign(campaign, `${campaign.name} (copy)`);
+                        campaignAction(campaignStore.then((s) => s.put(copy)), `Duplicated "${campaign.name}".`);
+                    },
+                    Rename: () => {
+                        const newName = name.value.trim();
+                        if (newName === '') {
+                            campaignStatus.textContent = 'Enter a name first.';
+                            return;
+                        }
+                        const renamed = Object.assign({}, campaign, { name: newName, modified: new Date().toISOString() });
+                        campaignAction(campaignStore.then((s) => s.put(renamed)), `Renamed "${campaign.name}" to "${newName}".`);
+                    },
+                    Export: () => downloadJson(serialiseCampaigns([campaign]), `${campaign.name.replace(/[^\w -]+/g, '_')}.json`),
+                    Delete: () => {
+                        if (window.confirm(`Delete the campaign "${campaign.name}"? This cannot be undone.`)) {
+                            campaignAction(campaignStore.then((s) => s.remove(campaign.id)), `Deleted "${campaign.name}".`);
+                        }
+                    }
+                };
+                Object.keys(actions).forEach((label) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.textContent = label;
+                    button.addEventListener('click', actions[label]);
+                    item.appendChild(button);
+                });
+                campaignList.appendChild(item);
+            });
+            if (campaigns.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'control-description';
+                empty.textContent = 'No saved campaigns yet.';
+                campaignList.appendChild(empty);
+            }
+        });
+    }
+
+    /**
+     * Report the outcome of a library change and refresh the list.
+     * @param {Promise} operation
+     * @param {string} message – shown when the operation succeeds
+     */
+    function campaignAction(operation, message) {
+        operation.then(() => {
+            campaignStatus.textContent = message;
+            return renderCampaignList();
+        }).catch((error) => {
+            campaignStatus.textContent = `The campaign library could not be updated: ${error.message}`;
+        });
+    }
+
+    document.getElementById('saveCampaign').addEventListener('click', () => {
+        const name = campaignNameInput.value.trim();
+        if (name === '') {
+            campaignStatus.textContent = 'Enter a name for the campaign.';
+            return;
+        }
+        if (pendingGeneration) {
+            campaignStatus.textContent = 'Wait for the map to finish generating before saving it.';
+            return;
+        }
+        const campaign = captureCampaign(name);
+        // Saving under an existing name updates that campaign
+        campaignAction(campaignStore.then((s) => s.list().then((campaigns) => {
+            const existing = campaigns.find((c) => c.name === name);
+            if (existing) {
+                campaign.id = existing.id;
+                campaign.created = existing.created;
+            }
+            return s.put(campaign);
+        })), `Saved "${name}".`);
+    });
+
+    document.getElementById('exportCampaigns').addEventListener('click', () => {
+        campaignStore.then((s) => s.list()).then((campaigns) => {
+            if (campaigns.length === 0) {
+                campaignStatus.textContent = 'There are no campaigns to export.';
+                return;
+            }
+            downloadJson(serialiseCampaigns(campaigns), 'traveller-campaigns.json');
+        });
+    });
+
+    // Import: campaigns keep their ids, so importing a file again updates
+    // the campaigns it holds rather than duplicating them
+    campaignFileInput.addEventListener('change', () => {
+        const file = campaignFileInput.files[0];
+        if (!file) {
+            return;
+        }
+        file.text().then((text) => {
+            let campaigns;
+            try {
+                campaigns = parseCampaignFile(text);
+            } catch (error) {
+                campaignStatus.textContent = `Could not import ${file.name}: ${error.message}`;
+                return;
+            }
+            campaignFileInput.value = '';
+            const puts = campaignStore.then((s) => Promise.all(campaigns.map((campaign) => s.put(Object.assign({
+                id: createCampaignId(),
+                created: new Date().toISOString(),
+                modified: new Date().toISOString()
+            }, campaign)))));
+            campaignAction(puts, `Imported ${campaigns.length} campaign${campaigns.length === 1 ? '' : 's'} from ${file.name}.`);
+        });
+    });
+
+    renderCampaignList().catch((error) => {
+        campaignStatus.textContent = error.message;
+    });
+
+    // JSON map documents (see mapdocument.js)
+    const mapDocumentStatus = document.getElementById('mapDocumentStatus');
+    const mapDocumentFileInput = document.getElementById('mapDocumentFile');
+
+    /**
+     * Write the whole base map, whichever part is shown, as a map
+     * document and offer it as a download.
+     */
+    function exportMapDocument() {
+        if (pendingGeneration) {
+            mapDocumentStatus.textContent = 'Wait for the map to finish generating before exporting it.';
+            return;
+        }
+        const mapDocument = mapModel.toMapDocument();
+        downloadJson(JSON.stringify(mapDocument), `traveller-map-${currentSeed}.json`);
+        mapDocumentStatus.textContent = `Exported ${mapDocument.hexes.filter((hex) => hex.world).length} worlds.`;
+    }
+
+    /**
+     * Show the map in a map document.  The hexes give the density field
+     * and the worlds; a world or a name another tool has changed, and a
+     * world placed where the density would not put one, is kept by
+     * locking its hex.
+     * @param {string} text
+     * @param {string} filename – names the file in messages
+     */
+    function importMapDocument(text, filename) {
+        let mapDocument;
+        let result;
+        try {
+            mapDocument = parseMapDocument(text);
+            const { columns, rows } = mapDocument.map;
+            if (columns !== baseCols || rows !== baseRows) {
+                throw new Error(`It holds a ${columns}×${rows} map; this page shows ${baseCols}×${baseRows}.`);
+            }
+            result = readMapCode(mapDocument.generator.mapCode, baseCols * baseRows);
+        } catch (error) {
+            mapDocumentStatus.textContent = `Could not import ${filename}: ${error.message}`;
+            return;
+        }
+        const hexes = mapDocument.hexes;
+        const savedWorlds = new Array(baseCols * baseRows).fill(null);
+        const overrides = new Map();
+        hexes.forEach((hex, index) => {
+            if (hex.locked) {
+                overrides.set(index, hex.world);
+            } else {
+                savedWorlds[index] = hex.world;
+            }
+        });
+        restoreSavedMap({
+            settings: Object.assign({}, result.settings, {
+                densityMask: Int8Array.from(hexes, (hex) => hex.density.painted || 0)
+            }),
+            cellIntensities: hexes.map((hex) => hex.density.intensity),
+            densityImage: mapDocument.densityImage,
+            customNames: mapDocument.customNames,
+            houseRules: mapDocument.houseRules,
+            worlds: savedWorlds,
+            overrides,
+            source: filename
+        });
+        const levels = parseInt(bitDepthSlider.value, 10);
+        const subsectorRanges = computeSubsectorRanges();
+        let locked = 0;
+        hexes.forEach((hex, index) => {
+            let world = hex.world;
+            if (world && hex.name !== undefined && hex.name !== getWorldName(index, world)) {
+                world = Object.assign({}, world, { name: hex.name });
+            }
+            if (hex.locked) {
+                worldOverrides.set(index, world);
+                return;
+            }
+            const level = getCellLevel(index, hex.row, hex.col, levels, subsectorRanges);
+            if (world !== hex.world || isWorldPresent(index, level) !== (world !== null)) {
+                worldOverrides.set(index, world);
+                locked++;
+            }
+        });
+        drawHexGrid();
+        updateEncodedSeedString({ newHistoryEntry: true });
+        const changed = locked > 0 ? `; ${locked} changed hex${locked === 1 ? ' was' : 'es were'} locked` : '';
+        mapDocumentStatus.textContent = `Imported ${filename}${changed}.`;
+    }
+
+    document.getElementById('exportMapDocument').addEventListener('click', exportMapDocument);
+
+    mapDocumentFileInput.addEventListener('change', () => {
+        const file = mapDocumentFileInput.files[0];
+        if (!file) {
+            return;
+        }
+        file.text().then((text) => {
+            mapDocumentFileInput.value = '';
+            importMapDocument(text, file.name);
+        });
+    });
 });
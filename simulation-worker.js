@@ -0,0 +1,24 @@
+/*
+ * Web Worker that runs the density simulation (simulation.js) off the
+ * main thread so the page stays responsive while a map is generated.
+ *
+ * Messages in:  { id, seed, params, layout } – see simulateRegions().
+ * Messages out: { type: 'progress', id, fraction } a few times per region;
+ *               { type: 'region', id, sx, sy, cols, rows, intensities } for
+ *               each finished region (intensities as a Float64Array, so
+ *               values arrive exactly as computed), then { type: 'done', id }.
+ * A run cannot be interrupted from inside; the page cancels one by
+ * terminating the worker.
+ */
+importScripts('worldgen.js', 'generators.js', 'simulation.js');
+
+self.addEventListener('message', (event) => {
+    const { id, seed, params, layout } = event.data;
+    simulateRegions(seed, params, layout, (sx, sy, cols, rows, intensities) => {
+        const cells = Float64Array.from(intensities);
+        self.postMessage({ type: 'region', id, sx, sy, cols, rows, intensities: cells }, [cells.buffer]);
+    }, (fraction) => {
+        self.postMessage({ type: 'progress', id, fraction });
+    });
+    self.postMessage({ type: 'done', id });
+});
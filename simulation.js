@@ -0,0 +1,441 @@
+/*
+ * Physarum (slime mould) density simulation.
+ *
+ * The map is simulated either one subsector at a time or in larger
+ * continuous regions (a sector, or the whole 2×2 sector area), and the
+ * trail left by the agents is summed per hex to give the density field
+ * the map is drawn from, optionally mixed with the procedural
+ * generators in generators.js.  This file has no DOM dependencies: the
+ * page runs it inside a Web Worker (simulation-worker.js) and falls back
+ * to calling it directly where workers are unavailable.  Both paths draw
+ * every random number from the same LCG streams in the same order, so a
+ * seed always gives a bit‑identical field.
+ */
+
+// In Node.js pull in the helpers that the browser loads as separate scripts
+const simulationHelpers = (typeof module !== 'undefined' && typeof module.exports !== 'undefined')
+    ? Object.assign({}, require('./worldgen.js'), require('./generators.js'))
+    : self;
+
+/**
+ * Default simulation parameters.  Distances are in deposit grid cells and
+ * angles in radians; `scale` multiplies the sensor distance, step size
+ * and rotation angle.
+ */
+const SIMULATION_DEFAULTS = {
+    depositCellSize: 10, // base size in simulation grid cells per hex
+    agentCount: 300,     // number of agents to simulate per subsector
+    iterations: 200,     // number of simulation steps (reduced for performance with multiple subsectors)
+    sensorDistance: 2,   // sensor distance in deposit grid cells
+    sensorAngle: 0.5,    // angle offset (radians) for left/right sensors (approx 28.6°)
+    rotationAngle: 0.3,  // how sharply agents turn towards higher deposit (radians ≈ 17°)
+    stepSize: 1,         // move distance per step (in deposit grid cells)
+    depositAmount: 1,    // deposit amount added at each agent position
+    diffusionRate: 0.2,  // diffusion rate for trail (controls how quickly trail spreads)
+    decayRate: 0.96,     // decay factor for trail each iteration (multiplier < 1)
+    scale: 1             // simulation scale factor
+};
+
+/** Parameters that can be tuned from the page, in seed string order. */
+const SIMULATION_TUNABLES = [
+    'agentCount', 'iterations', 'sensorDistance', 'sensorAngle',
+    'rotationAngle', 'depositAmount', 'diffusionRate', 'decayRate'
+];
+
+/**
+ * Named sets of tunable parameters.  Sparse rift: few agents and a fast
+ * decay leave thin strands around wide voids.  Dense core: many agents
+ * with slow decay and strong diffusion fill the map with broad, bright
+ * clusters.  Spiral arms: a wide sensor angle and gentle turning bend
+ * the strands into long sweeping arcs.
+ */
+const SIMULATION_PRESETS = {
+    default: {
+        agentCount: 300, iterations: 200, sensorDistance: 2, sensorAngle: 0.5,
+        rotationAngle: 0.3, depositAmount: 1, diffusionRate: 0.2, decayRate: 0.96
+    },
+    sparseRift: {
+        agentCount: 150, iterations: 250, sensorDistance: 4, sensorAngle: 0.6,
+        rotationAngle: 0.4, depositAmount: 1, diffusionRate: 0.1, decayRate: 0.9
+    },
+    denseCore: {
+        agentCount: 700, iterations: 200, sensorDistance: 2, sensorAngle: 0.35,
+        rotationAngle: 0.2, depositAmount: 1.5, diffusionRate: 0.4, decayRate: 0.98
+    },
+    spiralArms: {
+        agentCount: 350, iterations: 300, sensorDistance: 3, sensorAngle: 1,
+        rotationAngle: 0.15, depositAmount: 1, diffusionRate: 0.15, decayRate: 0.95
+    }
+};
+
+/**
+ * Name of the preset whose values all equal those in `params`, if any.
+ * @param {object} params
+ * @returns {string|null}
+ */
+function findSimulationPreset(params) {
+    return Object.keys(SIMULATION_PRESETS).find((name) => (
+        SIMULATION_TUNABLES.every((key) => SIMULATION_PRESETS[name][key] === params[key])
+    )) || null;
+}
+
+/**
+ * Encode the tunable parameters for a seed string: the preset name when
+ * they match a preset, otherwise the values in SIMULATION_TUNABLES order
+ * joined by underscores (e.g. "300_200_2_0.5_0.3_1_0.2_0.96").
+ * @param {object} params
+ * @returns {string}
+ */
+function encodeSimulationParams(params) {
+    return findSimulationPreset(params) || SIMULATION_TUNABLES.map((key) => String(params[key])).join('_');
+}
+
+/**
+ * Decode the output of encodeSimulationParams().  Missing or invalid
+ * values fall back to the defaults.
+ * @param {string} text
+ * @returns {object} the tunable parameters
+ */
+function decodeSimulationParams(text) {
+    if (Object.prototype.hasOwnProperty.call(SIMULATION_PRESETS, text)) {
+        return Object.assign({}, SIMULATION_PRESETS[text]);
+    }
+    const values = String(text).split('_');
+    const params = {};
+    SIMULATION_TUNABLES.forEach((key, i) => {
+        const value = parseFloat(values[i]);
+        params[key] = isFinite(value) && value >= 0 ? value : SIMULATION_DEFAULTS[key];
+    });
+    return params;
+}
+
+/**
+ * Run the slime‑mold simulation on a small 2D grid.  Returns a flat array
+ * of length simWidth × simHeight representing the amount of trail at each
+ * cell after diffusion and decay.  Uses a simplified version of the
+ * agent‑based Physarum algorithm: each agent senses the pheromone field
+ * straight ahead and slightly to the left and right, turns toward the
+ * strongest signal, moves forward, deposits trail, and the trail
+ * diffuses and decays.
+ * @param {function(): number} seededRandom – the map's random stream
+ * @param {number} nCols – hex columns covered
+ * @param {number} nRows – hex rows covered
+ * @param {object} [params] – as SIMULATION_DEFAULTS
+ * @param {function(number)} [onIteration] – called with the iteration
+ *   number after each simulation step
+ * @returns {{deposit: Float32Array, width: number, height: number}}
+ */
+function runSimulation(seededRandom, nCols, nRows, params = SIMULATION_DEFAULTS, onIteration) {
+    const {
+        depositCellSize, agentCount, iterations, sensorDistance, sensorAngle,
+        rotationAngle, stepSize, depositAmount, diffusionRate, decayRate, scale
+    } = params;
+    // Determine grid dimensions with small random offsets to avoid symmetric
+    // patterns.  The base dimension is number of hex columns/rows times the
+    // depositCellSize plus a random offset between 1 and 4.
+    // Use seeded random numbers to determine small offsets; ensures
+    // determinism when a seed is provided.  Offsets in the range [1,4].
+    const randOffX = Math.floor(seededRandom() * 4) + 1;
+    const randOffY = Math.floor(seededRandom() * 4) + 1;
+    const simWidth = nCols * depositCellSize + randOffX;
+    const simHeight = nRows * depositCellSize + randOffY;
+
+    // Create deposit field and scratch buffer for diffusion
+    const deposit = new Float32Array(simWidth * simHeight);
+    const newDeposit = new Float32Array(simWidth * simHeight);
+
+    // Initialise deposit with a little random noise to break symmetry
+    for (let i = 0; i < deposit.length; i++) {
+        deposit[i] = seededRandom() * 0.01;
+    }
+
+    // Determine scaled parameters based on simulation scale factor.  We
+    // multiply the sensor distance and step size by the scale and
+    // also scale the rotation angle proportionally for consistent
+    // behaviour across scales.
+    const sDistScaled = sensorDistance * scale;
+    const stepScaled = stepSize * scale;
+    const rotScaled = rotationAngle * scale;
+    const sensorAngleScaled = sensorAngle; // keep sensor angle constant
+
+    // Initialise agents at random positions and headings
+    const agents = [];
+    for (let i = 0; i < agentCount; i++) {
+        agents.push({
+            x: seededRandom() * simWidth,
+            y: seededRandom() * simHeight,
+            angle: seededRandom() * Math.PI * 2
+        });
+    }
+
+    // Helper to sample deposit at floating coordinates with clamping
+    function sampleAt(x, y) {
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        if (xi < 0 || xi >= simWidth || yi < 0 || yi >= simHeight) {
+            return 0;
+        }
+        return deposit[yi * simWidth + xi];
+    }
+
+    // Main simulation loop
+    for (let iter = 0; iter < iterations; iter++) {
+        // Agents: sense, turn, move, deposit
+        for (let a = 0; a < agentCount; a++) {
+            const agent = agents[a];
+            // Sample deposit at sensors: ahead, left, right
+            const ax = agent.x;
+            const ay = agent.y;
+            const heading = agent.angle;
+            // centre sensor
+            const cx = ax + Math.cos(heading) * sDistScaled;
+            const cy = ay + Math.sin(heading) * sDistScaled;
+            const centre = sampleAt(cx, cy);
+            // left sensor
+            const lx = ax + Math.cos(heading - sensorAngleScaled) * sDistScaled;
+            const ly = ay + Math.sin(heading - sensorAngleScaled) * sDistScaled;
+            const left = sampleAt(lx, ly);
+            // right sensor
+            const rx = ax + Math.cos(heading + sensorAngleScaled) * sDistScaled;
+            const ry = ay + Math.sin(heading + sensorAngleScaled) * sDistScaled;
+            const right = sampleAt(rx, ry);
+            // Turn based on sensor readings
+            if (centre > left && centre > right) {
+                // keep going straight
+            } else if (left > right) {
+                agent.angle -= rotScaled;
+            } else if (right > left) {
+                agent.angle += rotScaled;
+            } else {
+                // When all are equal or centre lowest, randomise direction slightly
+                agent.angle += (seededRandom() - 0.5) * rotScaled;
+            }
+            // Move forward
+            agent.x += Math.cos(agent.angle) * stepScaled;
+            agent.y += Math.sin(agent.angle) * stepScaled;
+            // Reflective boundaries: bounce agents off the edges to
+            // prevent perfectly symmetric wrap‑around patterns
+            if (agent.x < 0) {
+                agent.x = 0;
+                agent.angle = Math.PI - agent.angle;
+            } else if (agent.x >= simWidth - 1) {
+                agent.x = simWidth - 1;
+                agent.angle = Math.PI - agent.angle;
+            }
+            if (agent.y < 0) {
+                agent.y = 0;
+                agent.angle = -agent.angle;
+            } else if (agent.y >= simHeight - 1) {
+                agent.y = simHeight - 1;
+                agent.angle = -agent.angle;
+            }
+            // Deposit trail
+            const ix = Math.floor(agent.x);
+            const iy = Math.floor(agent.y);
+            deposit[iy * simWidth + ix] += depositAmount;
+        }
+        // Diffuse and decay the deposit field
+        for (let y = 0; y < simHeight; y++) {
+            for (let x = 0; x < simWidth; x++) {
+                const idx = y * simWidth + x;
+                // Compute sum of four neighbors (wrap for diffusion)
+                const up = deposit[((y - 1 + simHeight) % simHeight) * simWidth + x];
+                const down = deposit[((y + 1) % simHeight) * simWidth + x];
+                const leftVal = deposit[y * simWidth + ((x - 1 + simWidth) % simWidth)];
+                const rightVal = deposit[y * simWidth + ((x + 1) % simWidth)];
+                const average = (up + down + leftVal + rightVal) * 0.25;
+                // Apply diffusion and decay
+                let val = deposit[idx] + diffusionRate * (average - deposit[idx]);
+                val *= decayRate;
+                newDeposit[idx] = val;
+            }
+        }
+        // Swap buffers by copying newDeposit back into deposit
+        deposit.set(newDeposit);
+        if (onIteration) {
+            onIteration(iter);
+        }
+    }
+    // Return deposit field and its dimensions
+    return { deposit, width: simWidth, height: simHeight };
+}
+
+/**
+ * Convert the deposit field into per‑hex cell intensities.  Each hex cell
+ * corresponds to a block of depositCellSize × depositCellSize in the
+ * deposit grid.  The sum of deposit values in that block represents the
+ * accumulated trail for the hex.
+ * @param {{deposit: Float32Array, width: number, height: number}} simData – from runSimulation()
+ * @param {number} nCols
+ * @param {number} nRows
+ * @returns {number[]}
+ */
+function accumulateToCells(simData, nCols, nRows) {
+    const { deposit, width, height } = simData;
+    const intensities = new Array(nCols * nRows).fill(0);
+    // Determine how many simulation grid cells correspond to each hex cell
+    const cellW = width / nCols;
+    const cellH = height / nRows;
+    for (let y = 0; y < height; y++) {
+        const rowIndex = Math.floor(y / cellH);
+        for (let x = 0; x < width; x++) {
+            const colIndex = Math.floor(x / cellW);
+            const idx = y * width + x;
+            const cellIndex = rowIndex * nCols + colIndex;
+            intensities[cellIndex] += deposit[idx];
+        }
+    }
+    return intensities;
+}
+
+/**
+ * Sample a field generator onto a region's deposit grid, one sample per
+ * deposit cell, in the same layout runSimulation() returns.
+ * @param {function(number, number): number} field – of global hex coordinates
+ * @param {number} firstCol – global column of the region's first hex
+ * @param {number} firstRow – global row of the region's first hex
+ * @param {number} nCols
+ * @param {number} nRows
+ * @param {number} depositCellSize
+ * @returns {{deposit: Float32Array, width: number, height: number}}
+ */
+function sampleField(field, firstCol, firstRow, nCols, nRows, depositCellSize) {
+    const width = nCols * depositCellSize;
+    const height = nRows * depositCellSize;
+    const deposit = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const row = firstRow + (y + 0.5) / depositCellSize;
+        for (let x = 0; x < width; x++) {
+            deposit[y * width + x] = field(firstCol + (x + 0.5) / depositCellSize, row);
+        }
+    }
+    return { deposit, width, height };
+}
+
+/**
+ * Generate the density field in regions of `regionCols` × `regionRows`
+ * subsectors (both default to 1, one region per subsector), in row‑major
+ * order.  Larger regions give one continuous simulation whose filaments
+ * cross subsector lines; `agentCount` is per subsector and is scaled up
+ * by the region's area so the trail density does not depend on the
+ * region size.  `layout` gives the subsector size in hexes (subCols ×
+ * subRows) and the map size in subsectors (subsectorCols ×
+ * subsectorRows), which must be whole multiples of the region size.
+ *
+ * `params.generators` lists the density generators to mix, as
+ * { name, weight } (see DENSITY_GENERATORS in generators.js; default
+ * the Physarum simulation alone).  The simulation draws from one random
+ * stream seeded with `seed`, the same as when it is used alone, and each
+ * other generator from the seed salted with its own salt.  A single
+ * field is used as it is; several are each scaled to 0–1 (the
+ * simulation by its largest hex in the region) and added by weight.
+ * Masks then scale the result by 1 − weight × (1 − mask).
+ *
+ * `onRegion(sx, sy, nCols, nRows, intensities)` is called as each region
+ * finishes with its first subsector and its size in hexes;
+ * `onProgress(fraction)`, if given, reports the share of the whole run
+ * that is done a few times per region.
+ * @param {number} seed
+ * @param {object} params – as SIMULATION_DEFAULTS, plus `generators`
+ * @param {{subCols: number, subRows: number, subsectorCols: number, subsectorRows: number, regionCols?: number, regionRows?: number}} layout
+ * @param {function(number, number, number, number, number[])} onRegion
+ * @param {function(number)} [onProgress]
+ */
+function simulateRegions(seed, params, layout, onRegion, onProgress) {
+    const seededRandom = simulationHelpers.createSeededRandom(seed);
+    const { subCols, subRows, subsectorCols, subsectorRows, regionCols = 1, regionRows = 1 } = layout;
+    const nCols = subCols * regionCols;
+    const nRows = subRows * regionRows;
+    const regionParams = Object.assign({}, params, { agentCount: params.agentCount * regionCols * regionRows });
+    const regionCount = (subsectorCols / regionCols) * (subsectorRows / regionRows);
+    const map = { cols: subCols * subsectorCols, rows: subRows * subsectorRows };
+    // Set up every generator once per map so fields match across regions
+    const mix = (params.generators || simulationHelpers.DEFAULT_GENERATORS).map(({ name, weight }) => {
+        const generator = simulationHelpers.DENSITY_GENERATORS[name];
+        const field = generator.create
+            ? generator.create(simulationHelpers.createSeededRandom((seed ^ generator.salt) >>> 0), map)
+            : null;
+        return { name, kind: generator.kind, weight, field };
+    });
+    const sources = mix.filter(({ kind }) => kind !== 'mask');
+    const masks = mix.filter(({ kind }) => kind === 'mask');
+    const runsSimulation = sources.some(({ kind }) => kind === 'simulation');
+    let done = 0;
+    // Report progress ten times per region
+    const progressEvery = Math.max(1, Math.ceil(params.iterations / 10));
+    const onIteration = onProgress
+        ? (iter) => {
+            if ((iter + 1) % progressEvery === 0) {
+                onProgress((done + (iter + 1) / params.iterations) / regionCount);
+            }
+        }
+        : undefined;
+    const cellArea = params.depositCellSize * params.depositCellSize;
+    for (let sy = 0; sy < subsectorRows; sy += regionRows) {
+        for (let sx = 0; sx < subsectorCols; sx += regionCols) {
+            const firstCol = sx * subCols;
+            const firstRow = sy * subRows;
+            const layers = sources.map(({ kind, weight, field }) => {
+                if (kind === 'simulation') {
+                    const simData = runSimulation(seededRandom, nCols, nRows, regionParams, onIteration);
+                    const cells = accumulateToCells(simData, nCols, nRows);
+                    const max = Math.max(...cells);
+                    return { weight, cells, scale: max > 0 ? 1 / max : 0 };
+                }
+                const cells = accumulateToCells(sampleField(field, firstCol, firstRow, nCols, nRows, params.depositCellSize), nCols, nRows);
+                return { weight, cells, scale: 1 / cellArea };
+            });
+            let intensities;
+            if (layers.length === 1) {
+                intensities = layers[0].cells;
+            } else if (layers.length === 0) {
+                intensities = new Array(nCols * nRows).fill(1);
+            } else {
+                intensities = new Array(nCols * nRows).fill(0);
+                layers.forEach(({ weight, cells, scale }) => {
+                    for (let i = 0; i < intensities.length; i++) {
+                        intensities[i] += weight * cells[i] * scale;
+                    }
+                });
+            }
+            masks.forEach(({ weight, field }) => {
+                const strength = Math.min(1, weight);
+                const cells = accumulateToCells(sampleField(field, firstCol, firstRow, nCols, nRows, params.depositCellSize), nCols, nRows);
+                for (let i = 0; i < intensities.length; i++) {
+                    intensities[i] *= 1 - strength * (1 - cells[i] / cellArea);
+                }
+            });
+            done++;
+            if (onProgress && !runsSimulation) {
+                onProgress(done / regionCount);
+            }
+            onRegion(sx, sy, nCols, nRows, intensities);
+        }
+    }
+}
+
+// Expose the simulation in the browser (page or worker) and through
+// CommonJS in Node.js, mirroring worldgen.js.
+if (typeof self !== 'undefined') {
+    self.SIMULATION_DEFAULTS = SIMULATION_DEFAULTS;
+    self.SIMULATION_TUNABLES = SIMULATION_TUNABLES;
+    self.SIMULATION_PRESETS = SIMULATION_PRESETS;
+    self.findSimulationPreset = findSimulationPreset;
+    self.encodeSimulationParams = encodeSimulationParams;
+    self.decodeSimulationParams = decodeSimulationParams;
+    self.simulateRegions = simulateRegions;
+}
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = {
+        SIMULATION_DEFAULTS,
+        SIMULATION_TUNABLES,
+        SIMULATION_PRESETS,
+        findSimulationPreset,
+        encodeSimulationParams,
+        decodeSimulationParams,
+        runSimulation,
+        accumulateToCells,
+        sampleField,
+        simulateRegions
+    };
+}
@@ -0,0 +1,331 @@
+/*
+ * T5 sector file import.
+ *
+ * Parses the T5 "second survey" sector formats – tab‑delimited and
+ * column‑delimited – back into world objects of the same shape as those
+ * returned by generateWorld() in worldgen.js.  Both formats start with a
+ * header row naming the columns; the column‑delimited format follows it
+ * with a row of dashes whose runs give the width of each column.  Lines
+ * beginning with '#' are comments.  Parsing never throws: every line
+ * that cannot be understood is reported with its line number so hand‑
+ * edited files can be fixed rather than silently losing worlds.  Stellar
+ * data is the exception: TravellerMap writes forms the generator never
+ * makes (brown dwarfs, size‑less or peculiar classes such as "G V" or
+ * "M9 Ve"), so a Stellar entry that cannot be read only costs the world
+ * its stars, with a warning for the line.
+ */
+
+/**
+ * Extended hexadecimal digits used by T5 for UWP values (I and O are
+ * skipped to avoid confusion with 1 and 0).
+ */
+const EHEX_DIGITS = '0123456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+/**
+ * Convert a single eHex digit to its numeric value.
+ * @param {string} ch
+ * @returns {number} the value, or -1 if the character is not an eHex digit
+ */
+function fromEHex(ch) {
+    return EHEX_DIGITS.indexOf(ch.toUpperCase());
+}
+
+/**
+ * Parse a UWP such as "A788899-C" (the dash is optional) into the
+ * numeric fields used by generateWorld().
+ * @param {string} uwp
+ * @returns {object|null} the parsed fields, or null if malformed
+ */
+function parseUwp(uwp) {
+    const match = /^([ABCDEX])([0-9A-Z])([0-9A-Z])([0-9A-Z])([0-9A-Z])([0-9A-Z])([0-9A-Z])-?([0-9A-Z])$/i.exec(uwp.trim());
+    if (!match) return null;
+    const digits = match.slice(2).map(fromEHex);
+    if (digits.some((d) => d < 0)) return null;
+    return {
+        starport: match[1].toUpperCase(),
+        size: digits[0],
+        atmosphere: digits[1],
+        hydrographics: digits[2],
+        population: digits[3],
+        government: digits[4],
+        law: digits[5],
+        techLevel: digits[6]
+    };
+}
+
+/**
+ * Map a header label to the key used for that column in parsed rows.
+ * Unrecognised columns are ignored.
+ */
+const T5_COLUMN_KEYS = {
+    hex: 'hex',
+    name: 'name',
+    uwp: 'uwp',
+    remarks: 'remarks',
+    '{ix}': 'importance',
+    '(ex)': 'economic',
+    '[cx]': 'cultural',
+    b: 'bases',
+    bases: 'bases',
+    pbg: 'pbg',
+    z: 'zone',
+    w: 'worlds',
+    a: 'allegiance',
+    allegiance: 'allegiance',
+    stellar: 'stellar',
+    sector: 'sector',
+    ss: 'subsector'
+};
+
+/**
+ * Parse T5 Stellar notation ("G2 V M4 V", "K1 V D") into star objects
+ * of the shape produced by generateStars() in worldgen.js.  White dwarfs
+ * may carry their spectral class ("DA", "DB", …), which is dropped.
+ * @param {string} stellar
+ * @returns {{type: string, decimal: number|null, size: string}[]|null} null if malformed
+ */
+function parseStellar(stellar) {
+    const stars = [];
+    const tokens = stellar.trim().split(/\s+/).filter((token) => token !== '');
+    for (let i = 0; i < tokens.length; i++) {
+        if (/^D[A-Z]?$/.test(tokens[i])) {
+            stars.push({ type: 'D', decimal: null, size: 'D' });
+            continue;
+        }
+        const match = /^([OBAFGKM])([0-9])$/.exec(tokens[i]);
+        const size = tokens[i + 1];
+        if (!match || !/^(Ia|Ib|II|III|IV|V|VI|D)$/.test(size || '')) {
+            return null;
+        }
+        stars.push({ type: match[1], decimal: parseInt(match[2], 10), size });
+        i++;
+    }
+    return stars;
+}
+
+/**
+ * Split a tab‑delimited line into trimmed fields.
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitTabLine(line) {
+    return line.split('\t').map((field) => field.trim());
+}
+
+/**
+ * Work out the column spans of a column‑delimited file from its row of
+ * dashes.  Each span starts at a run of dashes and extends to the start
+ * of the next run, so values that overflow their column slightly are
+ * still read correctly.
+ * @param {string} separator
+ * @returns {{start: number, end: number}[]}
+ */
+function columnSpans(separator) {
+    const spans = [];
+    const re = /-+/g;
+    let match;
+    while ((match = re.exec(separator)) !== null) {
+        spans.push({ start: match.index, end: Infinity });
+    }
+    for (let i = 0; i < spans.length - 1; i++) {
+        spans[i].end = spans[i + 1].start;
+    }
+    return spans;
+}
+
+/**
+ * Split a column‑delimited line into trimmed fields using the spans
+ * computed from the separator row.
+ * @param {string} line
+ * @param {{start: number, end: number}[]} spans
+ * @returns {string[]}
+ */
+function splitColumnLine(line, spans) {
+    return spans.map(({ start, end }) => line.slice(start, end === Infinity ? undefined : end).trim());
+}
+
+/**
+ * Parse a T5 tab‑ or column‑delimited sector file.  Each successfully
+ * parsed row yields an entry with the 1‑based hex column and row within
+ * its sector, the sector and subsector labels (empty when the file has
+ * no such columns) and a world object.  Problems are collected in
+ * `errors` as { line, message } with 1‑based line numbers; data left out
+ * of an imported world is reported the same way in `warnings`.
+ * @param {string} text
+ * @returns {{format: string|null, entries: object[], errors: object[], warnings: object[]}}
+ */
+function parseT5Sector(text) {
+    const lines = text.split(/\r?\n/);
+    const entries = [];
+    const errors = [];
+    const warnings = [];
+    // Locate the header: the first non‑blank, non‑comment line
+    let headerIndex = -1;
+    for (let i = 0; i < lines.length; i++) {
+        const trimmed = lines[i].trim();
+        if (trimmed !== '' && !trimmed.startsWith('#')) {
+            headerIndex = i;
+            break;
+        }
+    }
+    if (headerIndex === -1) {
+        errors.push({ line: 0, message: 'No header row found' });
+        return { format: null, entries, errors, warnings };
+    }
+    const headerLine = lines[headerIndex];
+    const format = headerLine.includes('\t') ? 'tab' : 'column';
+    let splitLine;
+    let firstDataIndex = headerIndex + 1;
+    if (format === 'tab') {
+        splitLine = splitTabLine;
+    } else {
+        const separator = lines[headerIndex + 1] || '';
+        if (!/^[\s-]+$/.test(separator) || !separator.includes('-')) {
+            errors.push({ line: headerIndex + 2, message: 'Expected a row of dashes after the header in a column-delimited file' });
+            return { format, entries, errors, warnings };
+        }
+        const spans = columnSpans(separator);
+        splitLine = (line) => splitColumnLine(line, spans);
+        firstDataIndex = headerIndex + 2;
+    }
+    // Map column keys to their positions in each row
+    const columns = {};
+    splitLine(headerLine).forEach((label, position) => {
+        const key = T5_COLUMN_KEYS[label.toLowerCase()];
+        if (key && columns[key] === undefined) {
+            columns[key] = position;
+        }
+    });
+    if (columns.hex === undefined || columns.uwp === undefined) {
+        errors.push({ line: headerIndex + 1, message: 'Header must include Hex and UWP columns' });
+        return { format, entries, errors, warnings };
+    }
+    const seen = new Map();
+    for (let i = firstDataIndex; i < lines.length; i++) {
+        const lineNumber = i + 1;
+        const raw = lines[i];
+        const trimmed = raw.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) continue;
+        const fields = splitLine(raw);
+        const field = (key) => (columns[key] !== undefined && fields[columns[key]] !== undefined ? fields[columns[key]] : '');
+        const hex = field('hex');
+        if (!/^\d{4}$/.test(hex)) {
+            errors.push({ line: lineNumber, message: `Invalid hex "${hex}" (expected four digits, e.g. 0304)` });
+            continue;
+        }
+        const hexCol = parseInt(hex.slice(0, 2), 10);
+        const hexRow = parseInt(hex.slice(2), 10);
+        if (hexCol < 1 || hexRow < 1) {
+            errors.push({ line: lineNumber, message: `Invalid hex "${hex}"` });
+            continue;
+        }
+        const uwpFields = parseUwp(field('uwp'));
+        if (!uwpFields) {
+            errors.push({ line: lineNumber, message: `Invalid UWP "${field('uwp')}"` });
+            continue;
+        }
+        const pbg = field('pbg');
+        if (pbg !== '' && !/^[0-9A-HJ-NP-Z]{3}$/i.test(pbg)) {
+            errors.push({ line: lineNumber, message: `Invalid PBG "${pbg}"` });
+            continue;
+        }
+        const worldCount = field('worlds');
+        if (worldCount !== '' && !/^\d+$/.test(worldCount)) {
+            errors.push({ line: lineNumber, message: `Invalid worlds count "${worldCount}"` });
+            continue;
+        }
+        let stars = parseStellar(field('stellar'));
+        if (!stars) {
+            warnings.push({ line: lineNumber, message: `Stellar "${field('stellar')}" not understood; the world is imported without its stars` });
+            stars = [];
+        }
+        const economicText = field('economic');
+        const economicMatch = /^\(([0-9A-HJ-NP-Z])([0-9A-HJ-NP-Z])([0-9A-HJ-NP-Z])([+-]?\d)\)$/i.exec(economicText);
+        if (economicText !== '' && !economicMatch) {
+            errors.push({ line: lineNumber, message: `Invalid Economic extension "${economicText}"` });
+            continue;
+        }
+        const culturalText = field('cultural');
+        const culturalMatch = /^\[([0-9A-HJ-NP-Z])([0-9A-HJ-NP-Z])([0-9A-HJ-NP-Z])([0-9A-HJ-NP-Z])\]$/i.exec(culturalText);
+        if (culturalText !== '' && !culturalMatch) {
+            errors.push({ line: lineNumber, message: `Invalid Cultural extension "${culturalText}"` });
+            continue;
+        }
+        const zone = field('zone').toUpperCase();
+        if (!['', 'G', 'A', 'R'].includes(zone)) {
+            errors.push({ line: lineNumber, message: `Invalid travel zone "${field('zone')}" (expected A, R or blank)` });
+            continue;
+        }
+        const sector = field('sector');
+        const key = `${sector}/${hex}`;
+        if (seen.has(key)) {
+            errors.push({ line: lineNumber, message: `Hex ${hex} already defined on line ${seen.get(key)}` });
+            continue;
+        }
+        seen.set(key, lineNumber);
+        const remarks = field('remarks');
+        const bases = field('bases').replace(/[-\s]/g, '');
+        const world = Object.assign(uwpFields, {
+            tradeCodes: remarks === '' ? [] : remarks.split(/\s+/),
+            bases: bases === '' ? [] : bases.toUpperCase().split(''),
+            gasGiant: pbg !== '' && fromEHex(pbg[2]) > 0,
+            zone: zone === 'G' ? '' : zone
+        });
+        if (pbg !== '') {
+            const belts = fromEHex(pbg[1]);
+            const gasGiants = fromEHex(pbg[2]);
+            world.system = {
+                stars,
+                populationMultiplier: fromEHex(pbg[0]),
+                belts,
+                gasGiants,
+                worlds: worldCount !== '' ? parseInt(worldCount, 10) : 1 + belts + gasGiants
+            };
+        }
+        // Importance is not read back: it is derived from the profile
+        if (economicMatch) {
+            world.economic = {
+                resources: fromEHex(economicMatch[1]),
+                labor: fromEHex(economicMatch[2]),
+                infrastructure: fromEHex(economicMatch[3]),
+                efficiency: parseInt(economicMatch[4], 10)
+            };
+        }
+        if (culturalMatch) {
+            world.cultural = {
+                heterogeneity: fromEHex(culturalMatch[1]),
+                acceptance: fromEHex(culturalMatch[2]),
+                strangeness: fromEHex(culturalMatch[3]),
+                symbols: fromEHex(culturalMatch[4])
+            };
+        }
+        const name = field('name');
+        if (name !== '') {
+            world.name = name;
+        }
+        const allegiance = field('allegiance');
+        if (allegiance !== '') {
+            world.allegiance = allegiance;
+        }
+        entries.push({
+            line: lineNumber,
+            hexCol,
+            hexRow,
+            sector,
+            subsector: field('subsector'),
+            world
+        });
+    }
+    return { format, entries, errors, warnings };
+}
+
+// Expose the parser on the global object in the browser and through
+// CommonJS in Node.js, mirroring worldgen.js.
+if (typeof window !== 'undefined') {
+    window.parseT5Sector = parseT5Sector;
+    window.parseUwp = parseUwp;
+    window.fromEHex = fromEHex;
+}
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = { parseT5Sector, parseUwp, fromEHex };
+}
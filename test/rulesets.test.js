@@ -0,0 +1,15 @@
+// Built-in rulesets checked against their rulebooks.
+const test = require('node:test');
+const assert = require('node:assert');
+const { getRuleset } = require('../rulesets.js');
+
+test('Mongoose 2e base thresholds follow the core rulebook', () => {
+    const bases = getRuleset('mongoose2').bases;
+    const thresholds = Object.fromEntries(bases.map((base) => [base.code, base.thresholds]));
+    assert.deepStrictEqual(thresholds, {
+        N: { A: 8, B: 8 },
+        S: { A: 10, B: 9, C: 9, D: 8 },
+        P: { D: 12, E: 10, X: 10 }
+    });
+    bases.forEach((base) => assert.strictEqual(base.roll, '2D', `${base.code} is rolled on 2D`));
+});
@@ -0,0 +1,94 @@
+// T5 sector files: export from the map engine and import again.
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAP_LAYOUT, mapModeArea, formatT5Rows, createMapModel } = require('../engine.js');
+const { parseT5Sector } = require('../t5import.js');
+
+const CELL_COUNT = MAP_LAYOUT.cols * MAP_LAYOUT.rows;
+
+/** A world with three bases, a trinary system and eHex digits above F. */
+const WORLD = {
+    starport: 'A', size: 8, atmosphere: 7, hydrographics: 5, population: 9,
+    government: 6, law: 5, techLevel: 17,
+    tradeCodes: ['Hi', 'Ht'],
+    bases: ['N', 'R', 'S'],
+    gasGiant: true,
+    zone: 'A',
+    system: {
+        stars: [
+            { type: 'G', decimal: 2, size: 'IV' },
+            { type: 'K', decimal: 4, size: 'V' },
+            { type: 'M', decimal: 2, size: 'V' }
+        ],
+        populationMultiplier: 3,
+        belts: 1,
+        gasGiants: 2,
+        worlds: 9
+    },
+    economic: { resources: 17, labor: 8, infrastructure: 12, efficiency: 3 },
+    cultural: { heterogeneity: 10, acceptance: 16, strangeness: 3, symbols: 18 },
+    name: 'Trinary',
+    allegiance: 'ImDd'
+};
+
+/**
+ * Export a map whose only world is `world`, locked in hex 0304.
+ * @param {object} world
+ * @param {string} format – 'tab' or 'column'
+ * @returns {string}
+ */
+function exportWorld(world, format) {
+    const overrides = new Map([[3 * MAP_LAYOUT.cols + 2, world]]);
+    const model = createMapModel({
+        seed: 1, levels: 16, saturate: 1, threshold: 17, normalisation: 'subsector',
+        mapMode: 'single', displayMode: 'density', routeJump: 2, nameSource: 'syllables',
+        ruleset: 'cepheus', houseRules: null, customNames: [], customNameModel: null,
+        cellIntensities: new Array(CELL_COUNT).fill(0), densityMask: new Int8Array(CELL_COUNT),
+        densityImage: null, worlds: new Array(CELL_COUNT).fill(null), names: new Map(), overrides,
+        settings: {}
+    });
+    const area = mapModeArea('single');
+    return formatT5Rows(model.buildT5Rows(area.firstCol, area.firstRow, area.nCols, area.nRows), format);
+}
+
+for (const format of ['tab', 'column']) {
+    test(`a ${format} export reads back as the same world`, () => {
+        const result = parseT5Sector(exportWorld(WORLD, format));
+        assert.deepStrictEqual(result.errors, []);
+        assert.deepStrictEqual(result.warnings, []);
+        assert.strictEqual(result.entries.length, 1);
+        const entry = result.entries[0];
+        assert.deepStrictEqual([entry.hexCol, entry.hexRow], [3, 4]);
+        assert.deepStrictEqual(entry.world, WORLD);
+    });
+}
+
+test('every value of a column export lies within its column', () => {
+    const [header, separator, row] = exportWorld(WORLD, 'column').split('\r\n');
+    const runs = [...separator.matchAll(/-+/g)].map((match) => ({ start: match.index, width: match[0].length }));
+    const fields = exportWorld(WORLD, 'tab').split('\r\n')[1].split('\t');
+    assert.strictEqual(runs.length, header.split(/\s+/).length);
+    runs.forEach(({ start, width }, i) => {
+        assert.strictEqual(row.slice(start, start + width).trim(), fields[i], `column ${i}`);
+        assert.ok(start === 0 || row[start - 1] === ' ', `column ${i} is preceded by a space`);
+    });
+    assert.ok(fields.includes('NRS'));
+    assert.ok(fields.includes('G2 IV K4 V M2 V'));
+});
+
+test('I and O are not read as eHex digits', () => {
+    const file = [
+        'Hex\tName\tUWP\tRemarks\t(Ex)\t[Cx]\tPBG\tStellar',
+        '0101\tGood\tA788899-C\t\t(A9B+2)\t[4A5B]\t123\tG2 V',
+        '0102\tBelts\tA788899-C\t\t\t\t1O2\tG2 V',
+        '0103\tEconomy\tA788899-C\t\t(AIB+2)\t\t123\tG2 V',
+        '0104\tCulture\tA788899-C\t\t\t[4O5B]\t123\tG2 V'
+    ].join('\n');
+    const result = parseT5Sector(file);
+    assert.deepStrictEqual(result.entries.map((entry) => entry.world.name), ['Good']);
+    assert.deepStrictEqual(result.errors, [
+        { line: 3, message: 'Invalid PBG "1O2"' },
+        { line: 4, message: 'Invalid Economic extension "(AIB+2)"' },
+        { line: 5, message: 'Invalid Cultural extension "[4O5B]"' }
+    ]);
+});
@@ -0,0 +1,246 @@
+/*
+ * World checks.
+ *
+ * Hand edits and imported T5 rows can give worlds the rules could never
+ * roll: an atmosphere on a Size 0 world, a starport on an empty one, a
+ * Tech Level too low to survive its air.  checkWorld() holds any world
+ * against a ruleset (see rulesets.js) and lists what is wrong, step by
+ * step in the order generateWorld() rolls them:
+ *
+ *   errors    what the rules rule out: a value other than the one a
+ *             fixed entry sets, a value outside a step's clamps, a Tech
+ *             Level below a minimum, a base the starport cannot have or
+ *             another base rules out, a UWP digit that is not eHex
+ *   warnings  what the dice could not give this world, although the
+ *             rules allow it elsewhere, and trade codes that do not
+ *             follow from the UWP
+ *
+ * fixWorld() moves each value to the nearest one the rules give, in the
+ * same order, so a fixed world passes the check.  Trade codes the ruleset
+ * does not define (e.g. T5 remarks) are left alone.  This file has no DOM
+ * dependencies.
+ */
+
+// In Node.js pull in the rulesets and the generator's condition helpers,
+// which the browser loads as separate scripts
+const worldCheckHelpers = (typeof module !== 'undefined' && typeof module.exports !== 'undefined')
+    ? Object.assign({}, require('./rulesets.js'), require('./worldgen.js'))
+    : self;
+
+/** The numeric UWP fields, in generation order. */
+const WORLD_CHECK_DIGITS = ['size', 'atmosphere', 'hydrographics', 'population', 'government', 'law', 'techLevel'];
+/** Highest value a single eHex digit can show. */
+const WORLD_CHECK_MAX_DIGIT = 33;
+/** Starport classes a UWP can show. */
+const WORLD_CHECK_STARPORTS = ['A', 'B', 'C', 'D', 'E', 'X'];
+
+/**
+ * The values a numeric step can give a world: a fixed value, or the
+ * dice range with the characteristic added and the DMs that apply,
+ * clamped; for the Tech Level, raised to the minimums.
+ * @param {string} key – the step, e.g. 'atmosphere'
+ * @param {object} step – e.g. rules.atmosphere
+ * @param {object} world
+ * @returns {{fixed: object|null, clampLow: number, clampHigh: number, minimum: object|null, low: number, high: number}}
+ *   `low`–`high` is what the dice give; `minimum` is the Tech Level
+ *   minimum entry that raises the most, if any
+ */
+function stepRange(key, step, world) {
+    const range = { fixed: null, clampLow: 0, clampHigh: WORLD_CHECK_MAX_DIGIT, minimum: null, low: 0, high: 0 };
+    if (step.min !== undefined) range.clampLow = step.min;
+    if (step.max !== undefined) range.clampHigh = step.max;
+    range.fixed = (step.fixed || []).find((entry) => worldCheckHelpers.matchesCondition(entry.when, world)) || null;
+    if (range.fixed) {
+        range.low = range.fixed.value;
+        range.high = range.fixed.value;
+    } else {
+        const dice = worldCheckHelpers.parseDice(step.roll);
+        const extra = dice.modifier + (step.add ? world[step.add] : 0) + worldCheckHelpers.totalDMs(step.dms, world);
+        const clampValue = (value) => Math.max(range.clampLow, Math.min(range.clampHigh, value));
+        range.low = clampValue(dice.count + extra);
+        range.high = clampValue(dice.count * 6 + extra);
+    }
+    if (key === 'techLevel') {
+        (step.minimums || []).forEach((entry) => {
+            if (worldCheckHelpers.matchesCondition(entry.when, world) && (!range.minimum || entry.min > range.minimum.min)) {
+                range.minimum = entry;
+            }
+        });
+        if (range.minimum) {
+            range.low = Math.max(range.low, range.minimum.min);
+            range.high = Math.max(range.high, range.minimum.min);
+        }
+    }
+    return range;
+}
+
+/**
+ * The starport classes the ruleset can give a world, in table order.
+ * @param {object} step – rules.starport
+ * @param {object} world
+ * @returns {{fixed: object|null, classes: string[]}}
+ */
+function starportRange(step, world) {
+    const fixed = (step.fixed || []).find((entry) => worldCheckHelpers.matchesCondition(entry.when, world)) || null;
+    if (fixed) {
+        return { fixed, classes: [fixed.value] };
+    }
+    const dice = worldCheckHelpers.parseDice(step.roll);
+    const extra = dice.modifier + (step.add ? world[step.add] : 0) + worldCheckHelpers.totalDMs(step.dms, world);
+    const low = dice.count + extra;
+    const high = dice.count * 6 + extra;
+    const classes = [];
+    step.table.forEach((entry, i) => {
+        const floor = i === 0 ? -Infinity : step.table[i - 1].max + 1;
+        const ceiling = entry.max === undefined ? Infinity : entry.max;
+        if (floor <= high && ceiling >= low && !classes.includes(entry.value)) {
+            classes.push(entry.value);
+        }
+    });
+    return { fixed: null, classes };
+}
+
+/**
+ * Describe the values from `low` to `high`, e.g. "3", "0–7".
+ * @param {number} low
+ * @param {number} high
+ * @returns {string}
+ */
+function describeSpan(low, high) {
+    return low === high ? String(low) : `${low}–${high}`;
+}
+
+/**
+ * Check a world against a ruleset.
+ * @param {object} world – as from generateWorld() or parseT5Sector()
+ * @param {object} rules – ruleset (see rulesets.js)
+ * @returns {{severity: string, field: string, message: string}[]} the
+ *   problems found, errors and warnings (severity 'error' or
+ *   'warning'), in generation order; empty if there are none
+ */
+function checkWorld(world, rules) {
+    const issues = [];
+    const error = (field, message) => issues.push({ severity: 'error', field, message });
+    const warning = (field, message) => issues.push({ severity: 'warning', field, message });
+    const names = worldCheckHelpers.CHARACTERISTIC_NAMES;
+    // Every condition reads the digits, so nothing else can be checked
+    // until they are sound
+    WORLD_CHECK_DIGITS.forEach((key) => {
+        const value = world[key];
+        if (!Number.isInteger(value) || value < 0 || value > WORLD_CHECK_MAX_DIGIT) {
+            error(key, `${names[key]} must be a whole number from 0 to ${WORLD_CHECK_MAX_DIGIT}.`);
+        }
+    });
+    if (!WORLD_CHECK_STARPORTS.includes(world.starport)) {
+        error('starport', `Starport must be one of ${worldCheckHelpers.describeValues(WORLD_CHECK_STARPORTS)}.`);
+    }
+    if (issues.length > 0) {
+        return issues;
+    }
+    const checkDigit = (key) => {
+        const value = world[key];
+        const range = stepRange(key, rules[key], world);
+        if (range.fixed) {
+            if (value !== range.fixed.value) {
+                error(key, `${names[key]} must be ${range.fixed.value} for ${worldCheckHelpers.describeCondition(range.fixed.when, world)}, not ${value}.`);
+            }
+        } else if (value < range.clampLow || value > range.clampHigh) {
+            error(key, `${names[key]} ${value} is outside the ${describeSpan(range.clampLow, range.clampHigh)} the rules allow.`);
+        } else if (range.minimum && value < range.minimum.min) {
+            error(key, `${names[key]} ${value} is below ${range.minimum.min}, the minimum for ${worldCheckHelpers.describeCondition(range.minimum.when, world)}.`);
+        } else if (value < range.low || value > range.high) {
+            warning(key, `${names[key]} ${value} cannot be rolled for this world; the rules give ${describeSpan(range.low, range.high)}.`);
+        }
+    };
+    WORLD_CHECK_DIGITS.slice(0, -1).forEach(checkDigit);
+    const ports = starportRange(rules.starport, world);
+    if (ports.fixed) {
+        if (world.starport !== ports.fixed.value) {
+            error('starport', `Starport must be ${ports.fixed.value} for ${worldCheckHelpers.describeCondition(ports.fixed.when, world)}, not ${world.starport}.`);
+        }
+    } else if (!ports.classes.includes(world.starport)) {
+        warning('starport', `Starport ${world.starport} cannot be rolled for this world; the rules give ${worldCheckHelpers.describeValues(ports.classes)}.`);
+    }
+    checkDigit('techLevel');
+
+    const codes = world.tradeCodes || [];
+    rules.tradeCodes.forEach((entry) => {
+        const applies = worldCheckHelpers.matchesCondition(entry.when, world);
+        if (applies && !codes.includes(entry.code)) {
+            warning('tradeCodes', `Trade code ${entry.code} is missing: ${worldCheckHelpers.describeCondition(entry.when, world)}.`);
+        } else if (!applies && codes.includes(entry.code)) {
+            warning('tradeCodes', `Trade code ${entry.code} does not apply to this UWP.`);
+        }
+    });
+
+    const bases = world.bases || [];
+    bases.forEach((code) => {
+        const name = worldCheckHelpers.BASE_NAMES[code] || `Base ${code}`;
+        const base = rules.bases.find((entry) => entry.code === code);
+        if (!base) {
+            error('bases', `${rules.name} has no ${name.toLowerCase()}s.`);
+            return;
+        }
+        if (base.thresholds[world.starport] === undefined) {
+            error('bases', `${name} needs Starport ${worldCheckHelpers.describeValues(Object.keys(base.thresholds))}.`);
+        }
+        (base.unless || []).filter((other) => bases.includes(other)).forEach((other) => {
+            error('bases', `${name} cannot share a system with a ${(worldCheckHelpers.BASE_NAMES[other] || `base ${other}`).toLowerCase()}.`);
+        });
+    });
+    return issues;
+}
+
+/**
+ * Correct a world so it passes checkWorld(): each value is moved to the
+ * nearest one the rules give for the world as corrected so far, trade
+ * codes are recomputed and bases the rules rule out are removed.  Fields
+ * the rules do not cover (name, zone, system, …) are kept.
+ * @param {object} world
+ * @param {object} rules – ruleset (see rulesets.js)
+ * @returns {object} a corrected copy
+ */
+function fixWorld(world, rules) {
+    const fixed = Object.assign({}, world);
+    WORLD_CHECK_DIGITS.forEach((key) => {
+        const value = fixed[key];
+        fixed[key] = Number.isInteger(value) ? Math.max(0, Math.min(WORLD_CHECK_MAX_DIGIT, value)) : 0;
+    });
+    const fixDigit = (key) => {
+        const range = stepRange(key, rules[key], fixed);
+        fixed[key] = Math.max(range.low, Math.min(range.high, fixed[key]));
+    };
+    WORLD_CHECK_DIGITS.slice(0, -1).forEach(fixDigit);
+    const ports = starportRange(rules.starport, fixed);
+    if (!ports.classes.includes(fixed.starport)) {
+        // The class nearest in the starport table, or the first possible
+        const tableIndex = (value) => rules.starport.table.findIndex((entry) => entry.value === value);
+        const current = tableIndex(fixed.starport);
+        fixed.starport = current < 0 ? ports.classes[0] : ports.classes.reduce((best, value) => (
+            Math.abs(tableIndex(value) - current) < Math.abs(tableIndex(best) - current) ? value : best
+        ));
+    }
+    fixDigit('techLevel');
+    const ruleCodes = rules.tradeCodes.map((entry) => entry.code);
+    fixed.tradeCodes = worldCheckHelpers.generateTradeCodes(fixed, rules)
+        .concat((world.tradeCodes || []).filter((code) => !ruleCodes.includes(code)));
+    const possible = (world.bases || []).filter((code) => {
+        const base = rules.bases.find((entry) => entry.code === code);
+        return base && base.thresholds[fixed.starport] !== undefined;
+    });
+    fixed.bases = possible.filter((code) => {
+        const base = rules.bases.find((entry) => entry.code === code);
+        return !(base.unless || []).some((other) => possible.includes(other));
+    });
+    return fixed;
+}
+
+// Expose the checks on the global object in the browser and through
+// CommonJS in Node.js, mirroring worldgen.js.
+if (typeof self !== 'undefined') {
+    self.checkWorld = checkWorld;
+    self.fixWorld = fixWorld;
+}
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = { checkWorld, fixWorld };
+}
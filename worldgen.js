@@ -2,24 +2,122 @@
  * World generation functions for Traveller/Cepheus Deluxe worlds.
  *
  * This module exposes a function generateWorld() which returns an
- * object describing a randomly generated main world using the rules
- * laid out in the Cepheus Deluxe world generation chapter.  The
- * probability distributions are based on the classic 2D6 Traveller
- * tables with modifiers.  Where the exact table values were not
- * available, reasonable approximations have been used that preserve
- * the overall shape of the distributions.  For example, Tech Level
- * modifiers follow the standard Traveller/Cepheus conventions: high
- * quality starports give large bonuses, while poor or non‑existent
- * starports penalise the result.  Minimum Tech Levels for hostile
- * environments are enforced as per the rulebook.
+ * object describing a randomly generated main world.  The main world's
+ * UWP, trade codes, bases and gas giant follow a ruleset (see
+ * rulesets.js): Cepheus Deluxe by default, or Classic Traveller or
+ * Mongoose Traveller 2e.  The probability distributions are based on
+ * the classic 2D6 Traveller tables with modifiers.  Where the exact
+ * table values were not available, reasonable approximations have been
+ * used that preserve the overall shape of the distributions.  The star
+ * system, the T5 extensions and the travel zone are generated the same
+ * way whatever the ruleset.
  */
 
+// In Node.js pull in the rulesets, which the browser loads as a separate
+// script
+const worldgenHelpers = (typeof module !== 'undefined' && typeof module.exports !== 'undefined')
+    ? require('./rulesets.js')
+    : self;
+
+/**
+ * Create a deterministic random number generator from a 32‑bit seed.
+ * Uses the same linear congruential generator as the map simulation in
+ * script.js, so a given seed always yields the same sequence of floats
+ * in [0,1).
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * Scramble a 32‑bit integer (MurmurHash3 finaliser).  Used to spread
+ * nearby inputs (neighbouring hexes, consecutive seeds) across the
+ * whole state space before they seed an LCG.
+ * @param {number} h
+ * @returns {number}
+ */
+function mix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Derive the seed of a single hex's world from the map seed and the
+ * hex's global column and row.  Because each hex gets its own stream,
+ * a world does not depend on the order in which hexes are generated.
+ * @param {number} mapSeed
+ * @param {number} col – global column (zero‑based)
+ * @param {number} row – global row (zero‑based)
+ * @returns {number}
+ */
+function worldSeedForHex(mapSeed, col, row) {
+    let h = mix32(mapSeed >>> 0);
+    h = mix32(h ^ Math.imul(col + 1, 0x9e3779b1));
+    h = mix32(h ^ Math.imul(row + 1, 0x85ebca77));
+    return h;
+}
+
+/**
+ * Create the random stream used to generate the world in a given hex.
+ * @param {number} mapSeed
+ * @param {number} col – global column (zero‑based)
+ * @param {number} row – global row (zero‑based)
+ * @returns {function(): number}
+ */
+function createHexRandom(mapSeed, col, row) {
+    return createSeededRandom(worldSeedForHex(mapSeed, col, row));
+}
+
+/**
+ * Extended hexadecimal digits used by T5 notation (I and O are skipped
+ * to avoid confusion with 1 and 0).
+ */
+const EHEX = '0123456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+/**
+ * Format a non‑negative integer as a single eHex digit.
+ * @param {number} n
+ * @returns {string}
+ */
+function toEHex(n) {
+    return EHEX[clamp(n, 0, EHEX.length - 1)];
+}
+
+/**
+ * Roll a single six‑sided die (range 1–6).
+ * @param {function(): number} [rng=Math.random] – source of floats in [0,1)
+ * @returns {number}
+ */
+function roll1D(rng = Math.random) {
+    return Math.floor(rng() * 6) + 1;
+}
+
 /**
  * Roll a pair of six‑sided dice and return the sum (range 2–12).
+ * @param {function(): number} [rng=Math.random] – source of floats in [0,1)
+ * @returns {number}
+ */
+function roll2D(rng = Math.random) {
+    return roll1D(rng) + roll1D(rng);
+}
+
+/**
+ * Roll Flux: one die minus another (range –5 to +5, centred on 0).
+ * @param {function(): number} [rng=Math.random]
  * @returns {number}
  */
-function roll2D() {
-    return Math.floor(Math.random() * 6) + 1 + Math.floor(Math.random() * 6) + 1;
+function rollFlux(rng = Math.random) {
+    return roll1D(rng) - roll1D(rng);
 }
 
 /**
@@ -34,347 +132,719 @@ function clamp(value, min, max) {
 }
 
 /**
- * Generate a world Size rating (0–10) by rolling 2D6–2.  Asteroid belts
- * (size 0) and tiny worlds (size 1) are included.  Values are clamped
- * to the range specified in the Cepheus Deluxe table.
+ * Roll a dice expression such as "2D-7", "1D" or "3D+1" (see parseDice()
+ * in rulesets.js): that many six‑sided dice, rolled one at a time, plus
+ * the modifier.
+ * @param {string} expression
+ * @param {function(): number} [rng=Math.random]
+ * @param {number[]} [faces] – if given, each die's result is appended
  * @returns {number}
+ * @throws {Error} if the expression cannot be read
  */
-function generateSize() {
-    const size = roll2D() - 2;
-    return clamp(size, 0, 10);
+function rollDice(expression, rng = Math.random, faces = null) {
+    const dice = worldgenHelpers.parseDice(expression);
+    if (!dice) {
+        throw new Error(`"${expression}" is not a dice expression such as 2D-7.`);
+    }
+    let total = dice.modifier;
+    for (let i = dice.count; i > 0; i--) {
+        const face = roll1D(rng);
+        if (faces) faces.push(face);
+        total += face;
+    }
+    return total;
 }
 
 /**
- * Generate an Atmosphere rating (0–15) using 2D6–7 + Size.  If Size is
- * zero the atmosphere is automatically zero.  Otherwise the value is
- * clamped to the rulebook bounds.  This function does not apply
- * further modifiers – any unusual atmospheres beyond the standard
- * table can be added by users as desired.
- * @param {number} size
- * @returns {number}
+ * Names of the characteristics ruleset conditions refer to, for
+ * explaining worlds (roll traces, world checks).
+ */
+const CHARACTERISTIC_NAMES = {
+    size: 'Size',
+    atmosphere: 'Atmosphere',
+    hydrographics: 'Hydrographics',
+    population: 'Population',
+    government: 'Government',
+    law: 'Law Level',
+    starport: 'Starport',
+    techLevel: 'Tech Level'
+};
+
+/** Names of the base codes rulesets use, for explaining worlds. */
+const BASE_NAMES = { N: 'Naval base', R: 'Research base', S: 'Scout base', P: 'Pirate base' };
+
+/**
+ * Explain why a ruleset condition holds for a world: each characteristic
+ * it names, the world's value and the values the condition allows, e.g.
+ * "Atmosphere 2 (3 or less) and Population 7 (6+)".
+ * @param {object} when – a condition that matches the world
+ * @param {object} world
+ * @returns {string}
  */
-function generateAtmosphere(size) {
-    if (size === 0) return 0;
-    let atm = roll2D() - 7 + size;
-    return clamp(atm, 0, 15);
+function describeCondition(when, world) {
+    return Object.keys(when).map((key) => {
+        const allowed = when[key];
+        const range = Array.isArray(allowed) && allowed.length === 1 ? '' : ` (${describeValues(allowed)})`;
+        return `${CHARACTERISTIC_NAMES[key]} ${world[key]}${range}`;
+    }).join(' and ');
 }
 
 /**
- * Generate a Hydrographics rating (0–10) using 2D6–7 + Size with
- * modifiers based on Atmosphere.  Size 0–1 worlds always have
- * Hydrographics 0.  Worlds with unbreathable atmospheres (0,1,A,B,C)
- * suffer DM–4; worlds with atmosphere E suffer DM–2.  Result is
- * clamped to 0–10.
- * @param {number} size
- * @param {number} atmosphere
- * @returns {number}
+ * Describe the values one characteristic of a ruleset condition allows,
+ * e.g. "0, 1 or 10", "4–9", "6+" or "3 or less".
+ * @param {Array|{min: number, max: number}} allowed
+ * @returns {string}
  */
-function generateHydrographics(size, atmosphere) {
-    if (size === 0 || size === 1) return 0;
-    let hydro = roll2D() - 7 + size;
-    // Apply DMs from atmosphere
-    // unbreathable atmospheres (Vacuum, Trace, Exotic, Corrosive, Insidious)
-    const unbreathable = [0, 1, 10, 11, 12];
-    if (unbreathable.includes(atmosphere)) {
-        hydro -= 4;
+function describeValues(allowed) {
+    if (Array.isArray(allowed)) {
+        return allowed.length === 1 ? String(allowed[0]) : `${allowed.slice(0, -1).join(', ')} or ${allowed[allowed.length - 1]}`;
     }
-    // Unusual atmosphere E (14)
-    if (atmosphere === 14) {
-        hydro -= 2;
+    if (allowed.min !== undefined && allowed.max !== undefined) {
+        return `${allowed.min}–${allowed.max}`;
     }
-    return clamp(hydro, 0, 10);
+    return allowed.min !== undefined ? `${allowed.min}+` : `${allowed.max} or less`;
 }
 
 /**
- * Generate a Population rating (0–10) using 2D6–2 with modifiers.  The
- * DM table is adapted from Cepheus Deluxe: Standard atmospheres (6)
- * add +3; Standard Tainted (7) adds +1; Thin or Dense (5 or 8)
- * add +1; Unbreathable atmospheres (Vacuum, Trace, Exotic,
- * Corrosive, Insidious) subtract 2.  Worlds with Hydrographics 0 and
- * Very Thin or less atmosphere (≤3) have DM–1.  Population ratings
- * are orders of magnitude (0=none, 1=dozens, 2=hundreds, ...).
- * @param {number} atmosphere
- * @param {number} hydro
- * @returns {number}
+ * Start the trace of one roll: the dice, the characteristic added and
+ * the DMs that apply, with their reasons.  Rolls the dice.
+ * @param {object} step – a ruleset step with `roll`, and maybe `add`
+ *   and `dms`
+ * @param {object} world – characteristics generated so far
+ * @param {function(): number} rng
+ * @returns {{roll: string, dice: number[], add: object|null, dms: {dm: number, reason: string}[], total: number}}
  */
-function generatePopulation(atmosphere, hydro) {
-    let pop = roll2D() - 2;
-    let dm = 0;
-    // Unbreathable atmospheres penalise population
-    const unbreathable = [0, 1, 10, 11, 12];
-    if (unbreathable.includes(atmosphere)) dm -= 2;
-    // Standard atmosphere adds +3
-    if (atmosphere === 6) dm += 3;
-    // Standard tainted adds +1
-    if (atmosphere === 7) dm += 1;
-    // Thin or Dense atmospheres add +1
-    if (atmosphere === 5 || atmosphere === 8) dm += 1;
-    // Hydrographics 0 with very thin or less atmosphere subtracts 1
-    if (hydro === 0 && atmosphere <= 3) dm -= 1;
-    pop += dm;
-    return clamp(pop, 0, 10);
-}
-
-/**
- * Generate a Government rating (0–15) using 2D6–7 + Population.  Worlds
- * with Population 0 automatically have Government 0.  Result is
- * clamped to 0–15.
- * @param {number} population
+function traceRoll(step, world, rng) {
+    const dice = [];
+    let total = rollDice(step.roll, rng, dice);
+    const add = step.add ? { characteristic: step.add, value: world[step.add] } : null;
+    if (add) total += add.value;
+    const dms = (step.dms || [])
+        .filter((entry) => matchesCondition(entry.when, world))
+        .map((entry) => ({ dm: entry.dm, reason: describeCondition(entry.when, world) }));
+    dms.forEach((entry) => {
+        total += entry.dm;
+    });
+    return { roll: step.roll, dice, add, dms, total };
+}
+
+/**
+ * Test a ruleset condition (see rulesets.js) against a world: every
+ * characteristic named must be one of the values listed, or inside the
+ * { min, max } range given.
+ * @param {object} [when] – the condition; no condition always holds
+ * @param {object} world – characteristics generated so far
+ * @returns {boolean}
+ */
+function matchesCondition(when, world) {
+    if (!when) return true;
+    return Object.keys(when).every((key) => {
+        const allowed = when[key];
+        const value = world[key];
+        if (Array.isArray(allowed)) return allowed.includes(value);
+        return (allowed.min === undefined || value >= allowed.min)
+            && (allowed.max === undefined || value <= allowed.max);
+    });
+}
+
+/**
+ * Add up the DMs of a ruleset step that apply to a world.
+ * @param {{when: object, dm: number}[]} [dms]
+ * @param {object} world
  * @returns {number}
  */
-function generateGovernment(population) {
-    if (population === 0) return 0;
-    let gov = roll2D() - 7 + population;
-    return clamp(gov, 0, 15);
+function totalDMs(dms, world) {
+    return (dms || []).reduce((sum, entry) => (matchesCondition(entry.when, world) ? sum + entry.dm : sum), 0);
 }
 
 /**
- * Generate a Law Level rating (0–10) using 2D6–7 + Government.  Worlds
- * without Government (gov=0) have Law Level 0.  Law Level is clamped
- * between 0 and 10.
- * @param {number} government
+ * Roll one step of a ruleset for a world: a fixed value if one applies
+ * (without rolling), otherwise the dice plus the characteristic the
+ * step adds and its DMs, clamped to the step's range.
+ * @param {object} step – e.g. rules.size
+ * @param {object} world – characteristics generated so far
+ * @param {function(): number} [rng=Math.random]
+ * @param {object} [record] – if given, filled in with how the value was
+ *   reached (see generateWorld())
  * @returns {number}
  */
-function generateLaw(government) {
-    if (government === 0) return 0;
-    let law = roll2D() - 7 + government;
-    return clamp(law, 0, 10);
+function generateCharacteristic(step, world, rng = Math.random, record = null) {
+    const fixed = (step.fixed || []).find((entry) => matchesCondition(entry.when, world));
+    if (fixed) {
+        if (record) record.fixed = { value: fixed.value, reason: describeCondition(fixed.when, world) };
+        return fixed.value;
+    }
+    if (record) {
+        Object.assign(record, traceRoll(step, world, rng));
+    }
+    let value = record ? record.total : rollDice(step.roll, rng) + (step.add ? world[step.add] : 0) + totalDMs(step.dms, world);
+    if (step.min !== undefined && value < step.min) {
+        if (record) record.clamp = { limit: 'min', value: step.min };
+        value = step.min;
+    }
+    if (step.max !== undefined && value > step.max) {
+        if (record) record.clamp = { limit: 'max', value: step.max };
+        value = step.max;
+    }
+    return value;
 }
 
 /**
- * Generate a Starport class (A, B, C, D, E or X) based on 2D6–7 +
- * Population.  Worlds without population default to class X.  The
- * resulting numeric value maps to starport classes as follows:
- * ≤2: X; 3–4: E; 5–6: D; 7–8: C; 9–10: B; ≥11: A.
- * @param {number} population
+ * Generate a Starport class (A, B, C, D, E or X).  The ruleset's roll,
+ * with its DMs, is looked up in its starport table: Cepheus Deluxe and
+ * Mongoose 2e roll low for X and add the population one way or another;
+ * Classic Traveller reads 2D straight off its table, low rolls giving
+ * the best ports.
+ * @param {object} world – characteristics generated so far
+ * @param {object} rules – ruleset (see rulesets.js)
+ * @param {function(): number} [rng=Math.random]
+ * @param {object} [record] – as for generateCharacteristic()
  * @returns {string}
  */
-function generateStarport(population) {
-    if (population === 0) return 'X';
-    const val = roll2D() - 7 + population;
-    if (val <= 2) return 'X';
-    if (val <= 4) return 'E';
-    if (val <= 6) return 'D';
-    if (val <= 8) return 'C';
-    if (val <= 10) return 'B';
-    return 'A';
-}
-
-/**
- * Generate a Tech Level value (0–∞) starting with 1D6 and applying
- * modifiers based on Starport, Size, Atmosphere, Hydrographics,
- * Population and Government.  This approximation follows the
- * Traveller/Cepheus tables: high‑quality ports grant a bonus, poor
- * ports penalise, very small or very large worlds modify, hostile
- * atmospheres nudge the result, etc.  Minimum Tech Levels required
- * for hostile environments are enforced (e.g. vacuum worlds with
- * large populations have at least TL4, tainted/hostile atmospheres
- * require TL5 or 7).
- * @param {number} size
- * @param {number} atmosphere
- * @param {number} hydro
- * @param {number} population
- * @param {number} government
- * @param {string} starport
+function generateStarport(world, rules, rng = Math.random, record = null) {
+    const step = rules.starport;
+    const fixed = (step.fixed || []).find((entry) => matchesCondition(entry.when, world));
+    if (fixed) {
+        if (record) record.fixed = { value: fixed.value, reason: describeCondition(fixed.when, world) };
+        return fixed.value;
+    }
+    if (record) {
+        Object.assign(record, traceRoll(step, world, rng));
+    }
+    const total = record ? record.total : rollDice(step.roll, rng) + (step.add ? world[step.add] : 0) + totalDMs(step.dms, world);
+    const entry = step.table.find((row) => row.max === undefined || total <= row.max);
+    return entry.value;
+}
+
+/**
+ * Generate a Tech Level: the ruleset's roll (1D in every edition) with
+ * DMs for the starport and the UWP digits, at least 0, then raised to
+ * any minimum the ruleset sets for surviving a hostile environment.
+ * @param {object} world – characteristics generated so far, starport
+ *   included
+ * @param {object} rules – ruleset (see rulesets.js)
+ * @param {function(): number} [rng=Math.random]
+ * @param {object} [record] – as for generateCharacteristic(); also gets
+ *   the minimums that raised the Tech Level
  * @returns {number}
  */
-function generateTechLevel(size, atmosphere, hydro, population, government, starport) {
-    let tl = Math.floor(Math.random() * 6) + 1; // roll 1D6
-    let dm = 0;
-    // Starport modifiers
-    switch (starport) {
-        case 'A': dm += 6; break;
-        case 'B': dm += 4; break;
-        case 'C': dm += 2; break;
-        case 'X': dm -= 4; break;
-        default: break;
-    }
-    // Size modifiers
-    if (size === 0 || size === 1) dm += 2;
-    else if (size >= 2 && size <= 3) dm += 1;
-    else if (size >= 8 && size <= 9) dm += 1;
-    else if (size === 10) dm += 2;
-    // Atmosphere modifiers
-    if (atmosphere <= 3 || [10, 11, 12].includes(atmosphere)) dm += 1;
-    if (atmosphere === 4 || atmosphere === 7 || atmosphere === 9) ; // no DM for standard/tainted
-    // Hydrographics modifiers
-    if (hydro === 0 || hydro === 9) dm += 1;
-    if (hydro === 10) dm += 2;
-    // Population modifiers
-    if (population === 1 || population === 2) dm += 1;
-    if (population >= 3 && population <= 5) dm += 1;
-    if (population === 9) dm += 2;
-    if (population === 10) dm += 4;
-    // Government modifiers
-    if (government === 0 || government === 5) dm += 1;
-    if (government === 13 || government === 14) dm += 1;
-    if (government === 9) dm += 2;
-    tl += dm;
-    if (tl < 0) tl = 0;
-    // Minimum TL requirements for survival on hostile worlds
-    // Vacuum/No atmosphere or hydro 0 with large populations require TL4
-    if ((hydro === 0 || hydro === 10) && population >= 6) tl = Math.max(tl, 4);
-    // Tainted/dense atmospheres require TL5
-    if ([4, 7, 9].includes(atmosphere)) tl = Math.max(tl, 5);
-    // Very thin or worse atmospheres (≤3) or Exotic/Corrosive/Insidious/Unusual require TL7
-    if (atmosphere <= 3 || [10, 11, 12, 15].includes(atmosphere)) tl = Math.max(tl, 7);
+function generateTechLevel(world, rules, rng = Math.random, record = null) {
+    const step = rules.techLevel;
+    let tl = generateCharacteristic(step, world, rng, record);
+    (step.minimums || []).forEach((entry) => {
+        if (!matchesCondition(entry.when, world) || tl >= entry.min) return;
+        tl = entry.min;
+        if (record) {
+            record.minimums = record.minimums || [];
+            record.minimums.push({ min: entry.min, reason: describeCondition(entry.when, world) });
+        }
+    });
     return tl;
 }
 
 /**
- * Determine trade codes based on the world characteristics.  See
- * Cepheus Deluxe for definitions.  Codes include:
+ * Determine trade codes from the world's characteristics, in the order
+ * the ruleset lists them.  With Cepheus Deluxe (the default) the codes
+ * are:
  *  Ag – Agricultural; As – Asteroid; Ba – Barren; De – Desert;
  *  Fl – Fluid Oceans; Ga – Garden; Hi – High Population;
  *  Ht – High Tech; Ic – Ice‑Capped; In – Industrial; Lo – Low
  *  Population; Lt – Low Tech; Na – Non‑Agricultural; Ni – Non‑Industrial;
  *  Po – Poor; Ri – Rich; Wa – Water world; Va – Vacuum.
- * @param {number} size
- * @param {number} atmosphere
- * @param {number} hydro
- * @param {number} pop
- * @param {number} tl
+ * @param {object} world – UWP digits and techLevel
+ * @param {object} [rules] – ruleset (see rulesets.js)
  * @returns {string[]}
  */
-function generateTradeCodes(size, atmosphere, hydro, pop, tl) {
-    const codes = [];
-    // Agricultural: Thin/Std/Dense atmospheres (4–9, excluding 0–3 and 10+), hydro 5–7, pop 5–7
-    if (size >= 4 && size <= 9 && [4, 5, 6, 7, 8, 9].includes(atmosphere) && hydro >= 5 && hydro <= 7 && pop >= 5 && pop <= 7) {
-        codes.push('Ag');
-    }
-    // Asteroid: size 0
-    if (size === 0) codes.push('As');
-    // Barren: population 0
-    if (pop === 0) codes.push('Ba');
-    // Desert: atmosphere ≥2 and hydro 0
-    if (atmosphere >= 2 && hydro === 0) codes.push('De');
-    // Fluid Oceans: Exotic/Corrosive/Insidious atmospheres (10–12) and hydro ≥1
-    if ([10, 11, 12].includes(atmosphere) && hydro >= 1) codes.push('Fl');
-    // Garden: atmospheres 5,6,8; hydro 4–8; pop 4–8
-    if ([5, 6, 8].includes(atmosphere) && hydro >= 4 && hydro <= 8 && pop >= 4 && pop <= 8) codes.push('Ga');
-    // High Population: population ≥9
-    if (pop >= 9) codes.push('Hi');
-    // High Technology: TL ≥12
-    if (tl >= 12) codes.push('Ht');
-    // Ice‑Capped: atmosphere ≤1 and hydro ≥1
-    if (atmosphere <= 1 && hydro >= 1) codes.push('Ic');
-    // Industrial: atmospheres 0–2 or 4 or 7 or 9 and pop ≥9
-    if ([0, 1, 2, 4, 7, 9].includes(atmosphere) && pop >= 9) codes.push('In');
-    // Low Population: pop 1–3
-    if (pop >= 1 && pop <= 3) codes.push('Lo');
-    // Low Technology: TL ≤5
-    if (tl <= 5) codes.push('Lt');
-    // Non‑Agricultural: atmospheres ≤3, hydro ≤3, pop ≥6
-    if (atmosphere <= 3 && hydro <= 3 && pop >= 6) codes.push('Na');
-    // Non‑Industrial: pop 4–6
-    if (pop >= 4 && pop <= 6) codes.push('Ni');
-    // Poor: atmospheres 2–5 and hydro ≤3
-    if (atmosphere >= 2 && atmosphere <= 5 && hydro <= 3) codes.push('Po');
-    // Rich: atmospheres 6 or 8; pop 6–8
-    if ((atmosphere === 6 || atmosphere === 8) && pop >= 6 && pop <= 8) codes.push('Ri');
-    // Water world: hydro 10
-    if (hydro === 10) codes.push('Wa');
-    // Vacuum: atmosphere 0
-    if (atmosphere === 0) codes.push('Va');
-    return codes;
-}
-
-/**
- * Generate base codes present in the system based on Starport class.
- * Naval bases appear on A/B ports on 8+; research bases appear on
- * A/B/C ports on 10+ (DM–2 for A ports); scout bases appear on
- * D/C/B/A ports on 7+ (DMs for better ports); pirate bases appear
- * on worlds without naval bases or class A ports on 12+.
- * Returns an array of base codes: N, R, S and/or P.
- * @param {string} starport
+function generateTradeCodes(world, rules = worldgenHelpers.getRuleset()) {
+    return rules.tradeCodes
+        .filter((entry) => matchesCondition(entry.when, world))
+        .map((entry) => entry.code);
+}
+
+/**
+ * Generate the bases present in the system.  Each base the ruleset lists
+ * is rolled for, in order, when the starport class has a threshold for
+ * it and no base that rules it out is already present; it is there if
+ * the roll plus DMs reaches the threshold.  With Cepheus Deluxe naval
+ * bases need A/B ports and 8+, research bases A/B/C ports and 10+ (8+
+ * at A), scout bases D or better and 7+ (easier at better ports) and
+ * pirate bases 12+ where there is no naval base or class A port.
+ * Returns an array of base codes such as N, R, S and P.
+ * @param {object} world – characteristics generated so far
+ * @param {object} rules – ruleset (see rulesets.js)
+ * @param {function(): number} [rng=Math.random]
+ * @param {object[]} [records] – if given, a record of each base rolled
+ *   for is appended (see generateWorld())
  * @returns {string[]}
  */
-function generateBases(starport) {
+function generateBases(world, rules, rng = Math.random, records = null) {
     const bases = [];
-    // Naval base: starport A or B, roll 8+
-    if (starport === 'A' || starport === 'B') {
-        let r = roll2D();
-        if (r >= 8) bases.push('N');
+    rules.bases.forEach((base) => {
+        const threshold = base.thresholds[world.starport];
+        if (threshold === undefined || (base.unless || []).some((code) => bases.includes(code))) return;
+        let total;
+        if (records) {
+            const record = Object.assign({ step: 'bases', code: base.code }, traceRoll(base, world, rng), { threshold, starport: world.starport });
+            record.result = record.total >= threshold;
+            records.push(record);
+            total = record.total;
+        } else {
+            total = rollDice(base.roll, rng) + totalDMs(base.dms, world);
+        }
+        if (total >= threshold) bases.push(base.code);
+    });
+    return bases;
+}
+
+/**
+ * Determine whether the system has a gas giant: the ruleset's roll falls
+ * in its target range.  Cepheus Deluxe notes one on 2D 5+
+ *【435193721292873†L21-L30】, about 83% of systems.
+ * @param {object} rules – ruleset (see rulesets.js)
+ * @param {function(): number} [rng=Math.random]
+ * @param {object} [record] – if given, filled in with the roll (see
+ *   generateWorld())
+ * @returns {boolean}
+ */
+function generateGasGiant(rules, rng = Math.random, record = null) {
+    const dice = record ? [] : null;
+    const total = rollDice(rules.gasGiant.roll, rng, dice);
+    const present = matchesCondition({ roll: rules.gasGiant.target }, { roll: total });
+    if (record) {
+        Object.assign(record, { roll: rules.gasGiant.roll, dice, add: null, dms: [], total, target: rules.gasGiant.target });
     }
-    // Research base: starport A/B/C, roll 10+; DM–2 if A (more likely)
-    if (['A', 'B', 'C'].includes(starport)) {
-        let r = roll2D();
-        let threshold = 10;
-        if (starport === 'A') threshold -= 2; // DM–2 lowers threshold
-        if (r >= threshold) bases.push('R');
+    return present;
+}
+
+/**
+ * Spectral types ordered from hottest to coolest.
+ */
+const SPECTRAL_TYPES = ['O', 'B', 'A', 'F', 'G', 'K', 'M'];
+
+/**
+ * Generate a star's spectral type from a 2D6 roll (plus DM).  The table
+ * follows the classic Traveller system generation tables, simplified:
+ * 2: A; 3–6: M; 7–8: K; 9–11: G; 12+: F.
+ * @param {number} roll
+ * @returns {string}
+ */
+function spectralTypeForRoll(roll) {
+    if (roll <= 2) return 'A';
+    if (roll <= 6) return 'M';
+    if (roll <= 8) return 'K';
+    if (roll <= 11) return 'G';
+    return 'F';
+}
+
+/**
+ * Generate a star size (luminosity class) from a 2D6 roll (plus DM):
+ * 2: II; 3: III; 4: IV; 5–10: V; 11: VI; 12+: D (white dwarf).
+ * Subgiants (IV) do not occur among late K and M stars and subdwarfs
+ * (VI) do not occur among A and F stars; both become V.
+ * @param {number} roll
+ * @param {string} type
+ * @param {number} decimal
+ * @returns {string}
+ */
+function starSizeForRoll(roll, type, decimal) {
+    let size;
+    if (roll <= 2) size = 'II';
+    else if (roll === 3) size = 'III';
+    else if (roll === 4) size = 'IV';
+    else if (roll <= 10) size = 'V';
+    else if (roll === 11) size = 'VI';
+    else size = 'D';
+    if (size === 'IV' && (type === 'M' || (type === 'K' && decimal >= 5))) size = 'V';
+    if (size === 'VI' && (type === 'A' || type === 'F')) size = 'V';
+    return size;
+}
+
+/**
+ * Generate the stars of a system.  When the main world has a
+ * breathable‑range atmosphere (4–9) or Population 8+ the primary gets
+ * DM+2 on the type roll and DM+4 on the size roll, capped at V, which
+ * favours the stable F–K main sequence stars such worlds need.  A
+ * companion is present on 8+ and a second companion on 12.  Companions
+ * are as hot as the primary or cooler (up to five types cooler on
+ * 1D6–1) and are main sequence unless a 12 makes them white dwarfs.
+ * White dwarfs have type D and no spectral decimal, as the T5 importer
+ * reads them back.
+ * @param {object} world – main world characteristics
+ * @param {function(): number} [rng=Math.random]
+ * @returns {{type: string, decimal: number|null, size: string}[]}
+ */
+function generateStars(world, rng = Math.random) {
+    const habitable = (world.atmosphere >= 4 && world.atmosphere <= 9) || world.population >= 8;
+    const type = spectralTypeForRoll(roll2D(rng) + (habitable ? 2 : 0));
+    const decimal = Math.floor(rng() * 10);
+    let sizeRoll = roll2D(rng);
+    if (habitable) sizeRoll = Math.min(sizeRoll + 4, 10);
+    const primary = { type, decimal, size: starSizeForRoll(sizeRoll, type, decimal) };
+    if (primary.size === 'D') {
+        primary.type = 'D';
+        primary.decimal = null;
     }
-    // Scout base: starport D or better on 7+; DM–1 for C, –2 for B, –3 for A
-    if (['A', 'B', 'C', 'D'].includes(starport)) {
-        let r = roll2D();
-        let threshold = 7;
-        if (starport === 'C') threshold -= 1;
-        else if (starport === 'B') threshold -= 2;
-        else if (starport === 'A') threshold -= 3;
-        if (r >= threshold) bases.push('S');
+    const stars = [primary];
+    let companions = 0;
+    if (roll2D(rng) >= 8) {
+        companions = 1;
+        if (roll2D(rng) === 12) companions = 2;
     }
-    // Pirate base: only if no naval base and starport not A; roll 12+
-    if (!bases.includes('N') && starport !== 'A') {
-        let r = roll2D();
-        if (r >= 12) bases.push('P');
+    for (let i = 0; i < companions; i++) {
+        const index = Math.min(SPECTRAL_TYPES.length - 1, SPECTRAL_TYPES.indexOf(type) + roll1D(rng) - 1);
+        const companionType = SPECTRAL_TYPES[index];
+        const companionDecimal = Math.floor(rng() * 10);
+        if (roll2D(rng) === 12) {
+            stars.push({ type: 'D', decimal: null, size: 'D' });
+        } else {
+            stars.push({ type: companionType, decimal: companionDecimal, size: 'V' });
+        }
     }
-    return bases;
+    return stars;
 }
 
 /**
- * Determine whether the system has a gas giant.  Cepheus Deluxe
- * suggests rolling 2D and noting a gas giant on a roll of 5 or greater
- *【435193721292873†L21-L30】.  This function returns true if the roll
- * meets or exceeds the threshold.  The probability of gas giants is high
- * (approximately 83%) but can be adjusted if needed.
- * @returns {boolean}
+ * Format stars in T5 Stellar notation, e.g. "G2 V M4 V" or "K1 V D".
+ * @param {{type: string, decimal: number|null, size: string}[]} stars
+ * @returns {string}
  */
-function generateGasGiant() {
-    // Roll two six‑sided dice and check if the total is 5 or more
-    return roll2D() >= 5;
+function formatStellar(stars) {
+    return stars.map((star) => (star.size === 'D' ? 'D' : `${star.type}${star.decimal} ${star.size}`)).join(' ');
 }
 
 /**
- * Generate a complete world using the functions above.  Returns an
- * object containing all the relevant characteristics.
+ * Generate the system around a main world: its stars, the population
+ * multiplier, planetoid belt and gas giant counts (the T5 PBG digits)
+ * and the total number of worlds.
+ *  – Population multiplier: 2D6–2 clamped to 1–9; 0 when unpopulated.
+ *  – Planetoid belts: 1D6–3 (minimum 0); at least one when the main
+ *    world is itself an asteroid belt (Size 0).
+ *  – Gas giants: 2D6÷2–2 (minimum 0).  The count agrees with the
+ *    world's gasGiant flag: at least one when it is set, none otherwise.
+ *  – Worlds: the main world, the belts and gas giants, plus 2D6 others.
+ * @param {object} world – main world as built by generateWorld()
+ * @param {function(): number} [rng=Math.random]
  * @returns {object}
  */
-function generateWorld() {
-    const size = generateSize();
-    const atmosphere = generateAtmosphere(size);
-    const hydro = generateHydrographics(size, atmosphere);
-    const population = generatePopulation(atmosphere, hydro);
-    const government = generateGovernment(population);
-    const law = generateLaw(government);
-    const starport = generateStarport(population);
-    const tech = generateTechLevel(size, atmosphere, hydro, population, government, starport);
-    const tradeCodes = generateTradeCodes(size, atmosphere, hydro, population, tech);
-    const bases = generateBases(starport);
-    const gasGiant = generateGasGiant();
+function generateSystem(world, rng = Math.random) {
+    const stars = generateStars(world, rng);
+    const populationMultiplier = world.population > 0 ? clamp(roll2D(rng) - 2, 1, 9) : 0;
+    let belts = Math.max(0, roll1D(rng) - 3);
+    if (world.size === 0) belts = Math.max(1, belts);
+    let gasGiants = Math.max(0, Math.floor(roll2D(rng) / 2) - 2);
+    gasGiants = world.gasGiant ? Math.max(1, gasGiants) : 0;
+    const worlds = 1 + belts + gasGiants + roll2D(rng);
+    return { stars, populationMultiplier, belts, gasGiants, worlds };
+}
+
+/**
+ * Calculate the T5 Importance extension {Ix}.  Importance is derived,
+ * not rolled, so it always reflects the world's current profile:
+ *  Starport A or B +1; D, E or X –1.
+ *  Tech Level 10+ +1; 16+ a further +1; 8 or less –1.
+ *  Population 9+ +1; 6 or less –1.
+ *  +1 each for the Ag, Hi, In and Ri trade codes.
+ *  +1 when both Naval and Scout bases are present.
+ * @param {object} world
+ * @returns {number}
+ */
+function calculateImportance(world) {
+    let ix = 0;
+    if (world.starport === 'A' || world.starport === 'B') ix += 1;
+    if (['D', 'E', 'X'].includes(world.starport)) ix -= 1;
+    if (world.techLevel >= 10) ix += 1;
+    if (world.techLevel >= 16) ix += 1;
+    if (world.techLevel <= 8) ix -= 1;
+    if (world.population >= 9) ix += 1;
+    if (world.population <= 6) ix -= 1;
+    const codes = world.tradeCodes || [];
+    ['Ag', 'Hi', 'In', 'Ri'].forEach((code) => {
+        if (codes.includes(code)) ix += 1;
+    });
+    const bases = world.bases || [];
+    if (bases.includes('N') && bases.includes('S')) ix += 1;
+    return ix;
+}
+
+/**
+ * Generate the T5 Economic extension (Ex) from the world and its system:
+ *  Resources: 2D6, plus gas giants and planetoid belts at TL 8+.
+ *  Labor: Population – 1.
+ *  Infrastructure: 0 when unpopulated; Importance at Population 1–3;
+ *    1D6 + Importance at 4–6; 2D6 + Importance at 7+.
+ *  Efficiency: Flux (–5 to +5).
+ * Resources, Labor and Infrastructure are at least 0.
+ * @param {object} world – with `system` already generated
+ * @param {function(): number} [rng=Math.random]
+ * @returns {{resources: number, labor: number, infrastructure: number, efficiency: number}}
+ */
+function generateEconomicExtension(world, rng = Math.random) {
+    const system = world.system || { gasGiants: 0, belts: 0 };
+    let resources = roll2D(rng);
+    if (world.techLevel >= 8) resources += system.gasGiants + system.belts;
+    const labor = Math.max(0, world.population - 1);
+    const ix = calculateImportance(world);
+    let infrastructure = 0;
+    if (world.population >= 7) infrastructure = roll2D(rng) + ix;
+    else if (world.population >= 4) infrastructure = roll1D(rng) + ix;
+    else if (world.population >= 1) infrastructure = ix;
+    const efficiency = rollFlux(rng);
+    return { resources, labor, infrastructure: Math.max(0, infrastructure), efficiency };
+}
+
+/**
+ * Generate the T5 Cultural extension [Cx]:
+ *  Heterogeneity: Population + Flux.
+ *  Acceptance: Population + Importance.
+ *  Strangeness: Flux + 5.
+ *  Symbols: Flux + Tech Level.
+ * Each is at least 1; all are 0 on unpopulated worlds.
+ * @param {object} world
+ * @param {function(): number} [rng=Math.random]
+ * @returns {{heterogeneity: number, acceptance: number, strangeness: number, symbols: number}}
+ */
+function generateCulturalExtension(world, rng = Math.random) {
+    if (world.population === 0) {
+        return { heterogeneity: 0, acceptance: 0, strangeness: 0, symbols: 0 };
+    }
+    const ix = calculateImportance(world);
     return {
-        size,
-        atmosphere,
-        hydrographics: hydro,
-        population,
-        government,
-        law,
-        starport,
-        techLevel: tech,
-        tradeCodes,
-        bases,
-        gasGiant
+        heterogeneity: Math.max(1, world.population + rollFlux(rng)),
+        acceptance: Math.max(1, world.population + ix),
+        strangeness: Math.max(1, rollFlux(rng) + 5),
+        symbols: Math.max(1, rollFlux(rng) + world.techLevel)
+    };
+}
+
+/**
+ * Assign a travel zone: '' (Green), 'A' (Amber) or 'R' (Red).  Worlds
+ * with Law Level 9+ or, when populated, Government 0 (anarchy), 7
+ * (balkanised) or 10 (charismatic dictator) are Amber; an Amber world
+ * becomes Red on a 2D6 roll of 12.  The dice are always rolled so the
+ * random stream does not depend on the outcome.
+ * @param {object} world
+ * @param {function(): number} [rng=Math.random]
+ * @returns {string}
+ */
+function generateTravelZone(world, rng = Math.random) {
+    const roll = roll2D(rng);
+    const amber = world.law >= 9 || (world.population > 0 && [0, 7, 10].includes(world.government));
+    if (!amber) return '';
+    return roll === 12 ? 'R' : 'A';
+}
+
+/**
+ * Format Importance in T5 notation, e.g. "{ +2 }" or "{ -1 }".
+ * @param {number} ix
+ * @returns {string}
+ */
+function formatImportance(ix) {
+    return `{ ${ix > 0 ? '+' : ''}${ix} }`;
+}
+
+/**
+ * Format the Economic extension in T5 notation, e.g. "(A46+2)".
+ * @param {{resources: number, labor: number, infrastructure: number, efficiency: number}} ex
+ * @returns {string}
+ */
+function formatEconomic(ex) {
+    const sign = ex.efficiency < 0 ? '-' : '+';
+    return `(${toEHex(ex.resources)}${toEHex(ex.labor)}${toEHex(ex.infrastructure)}${sign}${Math.abs(ex.efficiency)})`;
+}
+
+/**
+ * Format the Cultural extension in T5 notation, e.g. "[9A6B]".
+ * @param {{heterogeneity: number, acceptance: number, strangeness: number, symbols: number}} cx
+ * @returns {string}
+ */
+function formatCultural(cx) {
+    return `[${toEHex(cx.heterogeneity)}${toEHex(cx.acceptance)}${toEHex(cx.strangeness)}${toEHex(cx.symbols)}]`;
+}
+
+/**
+ * Generate a complete world using the functions above.  Returns an
+ * object containing all the relevant characteristics, including the
+ * surrounding star system (see generateSystem()), the T5 Economic
+ * and Cultural extensions and the travel zone.  Every die roll
+ * is drawn from `rng`; pass a seeded generator (see createHexRandom())
+ * to make the result reproducible.
+ *
+ * Given a `trace` array, the steps the ruleset drives are recorded in
+ * it, in the order they are rolled, without changing the dice drawn.
+ * Each record has the `step` (a ruleset step name such as 'techLevel')
+ * and the `result`, and either
+ *   fixed      { value, reason }: the value was set without rolling
+ * or the roll:
+ *   roll       the dice expression, e.g. "2D-7"
+ *   dice       the result of each die
+ *   add        { characteristic, value } added to the roll, or null
+ *   dms        [ { dm, reason } ]: the DMs that applied and why
+ *   total      roll plus everything added, before any clamp
+ *   clamp      { limit: 'min' | 'max', value }, if the total was clamped
+ *   minimums   [ { min, reason } ]: Tech Level minimums that raised it
+ *   threshold  for a base (the record also has its `code` and the
+ *              world's `starport`): the total needed at that starport
+ *   target     for the gas giant: the totals that give one
+ * The trade code record lists `codes` as [ { code, reason } ].  See
+ * formatRollTrace() for a readable version.  The star system, the T5
+ * extensions and the travel zone are not traced.
+ * @param {function(): number} [rng=Math.random] – source of floats in [0,1)
+ * @param {object} [rules] – ruleset (see rulesets.js); Cepheus Deluxe if
+ *   not given
+ * @param {object[]} [trace] – if given, the records are appended to it
+ * @returns {object}
+ */
+function generateWorld(rng = Math.random, rules = worldgenHelpers.getRuleset(), trace = null) {
+    const world = {};
+    // Start a record for a step when tracing, and fill in its result
+    const record = (step) => (trace ? { step } : null);
+    const finish = (entry, result) => {
+        if (entry) {
+            entry.result = result;
+            trace.push(entry);
+        }
+        return result;
     };
+    ['size', 'atmosphere', 'hydrographics', 'population', 'government', 'law'].forEach((key) => {
+        const entry = record(key);
+        world[key] = finish(entry, generateCharacteristic(rules[key], world, rng, entry));
+    });
+    const starport = record('starport');
+    world.starport = finish(starport, generateStarport(world, rules, rng, starport));
+    const techLevel = record('techLevel');
+    world.techLevel = finish(techLevel, generateTechLevel(world, rules, rng, techLevel));
+    world.tradeCodes = generateTradeCodes(world, rules);
+    if (trace) {
+        trace.push({
+            step: 'tradeCodes',
+            codes: rules.tradeCodes
+                .filter((entry) => matchesCondition(entry.when, world))
+                .map((entry) => ({ code: entry.code, reason: describeCondition(entry.when, world) })),
+            result: world.tradeCodes
+        });
+    }
+    world.bases = generateBases(world, rules, rng, trace);
+    const gasGiant = record('gasGiant');
+    world.gasGiant = finish(gasGiant, generateGasGiant(rules, rng, gasGiant));
+    // The system, the T5 extensions and the travel zone are rolled last,
+    // in this order, so that adding them did not change the main world
+    // rolled from a given seed.
+    world.system = generateSystem(world, rng);
+    world.economic = generateEconomicExtension(world, rng);
+    world.cultural = generateCulturalExtension(world, rng);
+    world.zone = generateTravelZone(world, rng);
+    return world;
 }
 
-// Expose the generateWorld() function on the global object when
-// running in a browser so that other scripts (e.g. script.js) can
-// invoke it.  Node.js users can import this module using CommonJS.
+/**
+ * Write a roll trace from generateWorld() as readable text: a line per
+ * step giving its result, then how it was reached, indented, e.g.
+ *   Tech Level 7
+ *     Roll 1D: 3
+ *     DM +1: Atmosphere 2 (3 or less)
+ *     Total 4
+ *     Raised to 7: Atmosphere 2 (3 or less)
+ * @param {object[]} trace
+ * @returns {string}
+ */
+function formatRollTrace(trace) {
+    const signed = (n) => (n < 0 ? `${n}` : `+${n}`);
+    const lines = [];
+    trace.forEach((entry) => {
+        if (entry.step === 'tradeCodes') {
+            lines.push(`Trade codes: ${entry.result.length > 0 ? entry.result.join(' ') : 'none'}`);
+            entry.codes.forEach(({ code, reason }) => lines.push(`  ${code}: ${reason}`));
+            return;
+        }
+        let heading;
+        if (entry.step === 'bases') {
+            heading = `${BASE_NAMES[entry.code] || `Base ${entry.code}`}: ${entry.result ? 'yes' : 'no'}`;
+        } else if (entry.step === 'gasGiant') {
+            heading = `Gas giant: ${entry.result ? 'yes' : 'no'}`;
+        } else {
+            const value = typeof entry.result === 'number' && entry.result > 9 ? `${entry.result} (${toEHex(entry.result)})` : entry.result;
+            heading = `${CHARACTERISTIC_NAMES[entry.step]} ${value}`;
+        }
+        lines.push(heading);
+        if (entry.fixed) {
+            lines.push(`  Set without rolling: ${entry.fixed.reason}`);
+            return;
+        }
+        const modifier = worldgenHelpers.parseDice(entry.roll).modifier;
+        const rolled = entry.dice.join(' + ') + (modifier ? ` ${modifier < 0 ? '-' : '+'} ${Math.abs(modifier)}` : '');
+        const rollTotal = entry.dice.reduce((sum, face) => sum + face, modifier);
+        lines.push(`  Roll ${entry.roll}: ${entry.dice.length > 1 || modifier ? `${rolled} = ${rollTotal}` : rollTotal}`);
+        if (entry.add) {
+            lines.push(`  Plus ${CHARACTERISTIC_NAMES[entry.add.characteristic]} ${entry.add.value}`);
+        }
+        entry.dms.forEach(({ dm, reason }) => lines.push(`  DM ${signed(dm)}: ${reason}`));
+        if (entry.add || entry.dms.length > 0) {
+            lines.push(`  Total ${entry.total}`);
+        }
+        if (entry.clamp) {
+            lines.push(`  Clamped to ${entry.clamp.value}, the ${entry.clamp.limit === 'min' ? 'lowest' : 'highest'} allowed`);
+        }
+        (entry.minimums || []).forEach(({ min, reason }) => lines.push(`  Raised to ${min}: ${reason}`));
+        if (entry.threshold !== undefined) {
+            lines.push(`  Needs ${entry.threshold}+ at Starport ${entry.starport}`);
+        }
+        if (entry.target !== undefined) {
+            lines.push(`  Needs ${describeValues(entry.target)}`);
+        }
+    });
+    return lines.join('\n');
+}
+
+// Expose generateWorld(), the helpers other scripts reuse and the seeded
+// stream functions on the global object when running in a browser so
+// that other scripts (e.g. script.js) can invoke them.  Node.js users
+// can import this module using CommonJS.
 if (typeof window !== 'undefined') {
     window.generateWorld = generateWorld;
+    window.generateTradeCodes = generateTradeCodes;
+    window.generateSystem = generateSystem;
+    window.formatStellar = formatStellar;
+    window.calculateImportance = calculateImportance;
+    window.formatImportance = formatImportance;
+    window.formatEconomic = formatEconomic;
+    window.formatCultural = formatCultural;
+    window.toEHex = toEHex;
+    window.createSeededRandom = createSeededRandom;
+    window.createHexRandom = createHexRandom;
+    window.rollDice = rollDice;
+    window.matchesCondition = matchesCondition;
+    window.totalDMs = totalDMs;
+    window.describeCondition = describeCondition;
+    window.describeValues = describeValues;
+    window.CHARACTERISTIC_NAMES = CHARACTERISTIC_NAMES;
+    window.BASE_NAMES = BASE_NAMES;
+    window.formatRollTrace = formatRollTrace;
 }
 // Support CommonJS (Node.js) exports without using ES module syntax in
-// the browser.  When module.exports is available, assign generateWorld
-// to it.  This avoids syntax errors when loading this script in a
-// non‑module context in the browser.
+// the browser.  When module.exports is available, assign the public
+// functions to it.  This avoids syntax errors when loading this script
+// in a non‑module context in the browser.
 if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
-    module.exports = { generateWorld };
+    module.exports = {
+        generateWorld,
+        generateTradeCodes,
+        generateSystem,
+        formatStellar,
+        calculateImportance,
+        formatImportance,
+        formatEconomic,
+        formatCultural,
+        toEHex,
+        createSeededRandom,
+        createHexRandom,
+        worldSeedForHex,
+        rollDice,
+        matchesCondition,
+        totalDMs,
+        describeCondition,
+        describeValues,
+        CHARACTERISTIC_NAMES,
+        BASE_NAMES,
+        formatRollTrace
+    };
 }
\ No newline at end of file